@@ -0,0 +1,225 @@
+/*
+ * Admin rate card editor, opened with ?admin in the URL.
+ *
+ * Lets the office manager change prices without touching code: every
+ * entry of the rate card is listed with an inline input, the sample jobs
+ * are re-priced under the draft as it changes, and the draft is exported
+ * as a rate-card JSON file to publish as public/rates.json.  The screen
+ * is behind a password whose SHA-256 hash is set at build time in
+ * REACT_APP_ADMIN_PASSWORD_SHA256.
+ */
+import React, { useMemo, useState } from "react";
+import { fmt, per } from "./format";
+import { validateRates } from "./rateCard";
+import { checkAdminPassword, exportRateCard, formatEntry, getRate, parseEntry, rateEntries, repriceSamples, setRate } from "./rateEditor";
+
+const PASSWORD_HASH = process.env.REACT_APP_ADMIN_PASSWORD_SHA256 || "";
+
+// Download `text` as a file named `filename`.
+function downloadFile(filename, text) {
+  const url = URL.createObjectURL(new Blob([text], { type: "application/json" }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// Recurring amounts of a priced job, e.g. "$49.99/month".
+const recurringText = (summary) =>
+  Object.keys(summary.recurring).map((interval) => fmt(summary.recurring[interval]) + per(interval)).join(", ");
+
+function AdminRates({ rates }) {
+  const [unlocked, setUnlocked] = useState(false);
+  const [password, setPassword] = useState("");
+  const [passwordError, setPasswordError] = useState("");
+  const [draft, setDraft] = useState(rates);
+  // Text typed into each input, by path, while it differs from the draft.
+  const [texts, setTexts] = useState({});
+  const [inputErrors, setInputErrors] = useState({});
+  const [version, setVersion] = useState(rates.version);
+
+  const entries = useMemo(() => rateEntries(rates), [rates]);
+  const groups = useMemo(() => {
+    const out = [];
+    entries.forEach((entry) => {
+      const last = out[out.length - 1];
+      if (last && last.name === entry.group) last.entries.push(entry);
+      else out.push({ name: entry.group, entries: [entry] });
+    });
+    return out;
+  }, [entries]);
+  const samples = useMemo(() => repriceSamples(rates, draft), [rates, draft]);
+  const cardErrors = useMemo(() => validateRates({ ...draft, version }), [draft, version]);
+  const changedCount = entries.filter((e) => getRate(draft, e.path) !== getRate(rates, e.path)).length;
+  const canExport = Object.keys(inputErrors).length === 0 && cardErrors.length === 0;
+
+  const handleUnlock = (e) => {
+    e.preventDefault();
+    checkAdminPassword(password, PASSWORD_HASH).then((ok) => {
+      setUnlocked(ok);
+      setPasswordError(ok ? "" : "That password is not correct.");
+    }).catch(() => {
+      setUnlocked(false);
+      setPasswordError("The password can't be checked on this connection. Open the rate editor over HTTPS.");
+    });
+  };
+
+  const handleChange = (entry, text) => {
+    setTexts((p) => ({ ...p, [entry.path]: text }));
+    const result = parseEntry(entry, text);
+    setInputErrors((p) => {
+      const next = { ...p };
+      if (result.error) next[entry.path] = result.error;
+      else delete next[entry.path];
+      return next;
+    });
+    if (!result.error) setDraft((d) => setRate(d, entry.path, result.value));
+  };
+
+  const handleReset = () => {
+    setDraft(rates);
+    setTexts({});
+    setInputErrors({});
+    setVersion(rates.version);
+  };
+
+  const handleExport = () => {
+    if (!canExport) return;
+    downloadFile("rates-" + version + ".json", exportRateCard(draft, version));
+  };
+
+  if (!unlocked) {
+    return (
+      <div className="max-w-md mx-auto p-6 mt-12 bg-white rounded-xl shadow-lg">
+        <h1 className="text-2xl font-bold text-blue-900 mb-4">Rate Card Editor</h1>
+        {PASSWORD_HASH ? (
+          <form onSubmit={handleUnlock} className="space-y-3">
+            <label className="block text-sm">
+              <span className="font-medium block mb-1">Password</span>
+              <input
+                type="password"
+                className="border-2 border-gray-300 rounded-lg h-10 px-3 w-full"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                autoFocus
+              />
+            </label>
+            {passwordError && <p className="text-sm text-red-600">{passwordError}</p>}
+            <button type="submit" className="px-4 py-2 bg-blue-600 text-white rounded-lg font-semibold hover:bg-blue-700">Unlock</button>
+          </form>
+        ) : (
+          <p className="text-sm text-slate-600">The rate editor isn't set up. Set REACT_APP_ADMIN_PASSWORD_SHA256 to the SHA-256 hash of a password when building the app.</p>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-5xl mx-auto p-6 bg-gradient-to-br from-blue-50 to-slate-50 min-h-screen">
+      <div className="bg-white rounded-xl shadow-lg p-6 mb-6">
+        <h1 className="text-3xl font-bold text-blue-900 mb-2">Rate Card Editor</h1>
+        <p className="text-sm text-slate-600">
+          Editing a copy of rate card {rates.version}. Changes don't reach customers until the exported file is published as rates.json.
+        </p>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-lg p-6 mb-6">
+        <h2 className="text-xl font-semibold text-blue-900 mb-4">Sample jobs under the draft</h2>
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b-2 border-slate-300 text-left">
+              <th className="py-2">Job</th>
+              <th className="py-2 text-right">Current</th>
+              <th className="py-2 text-right">Draft</th>
+              <th className="py-2 text-right">Change</th>
+            </tr>
+          </thead>
+          <tbody>
+            {samples.map((s) => (
+              <tr key={s.name} className="border-b border-slate-200">
+                <td className="py-2">{s.name}</td>
+                <td className="py-2 text-right">
+                  {fmt(s.before.total)}
+                  {recurringText(s.before) && <div className="text-xs text-slate-500">+ {recurringText(s.before)}</div>}
+                </td>
+                <td className="py-2 text-right">
+                  {fmt(s.after.total)}
+                  {recurringText(s.after) && <div className="text-xs text-slate-500">+ {recurringText(s.after)}</div>}
+                </td>
+                <td className={"py-2 text-right font-semibold " + (s.change > 0 ? "text-red-600" : s.change < 0 ? "text-green-700" : "text-slate-500")}>
+                  {s.change > 0 ? "+" : s.change < 0 ? "-" : ""}{fmt(Math.abs(s.change))}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {groups.map((g) => (
+        <div key={g.name} className="bg-white rounded-xl shadow-lg p-6 mb-6">
+          <h2 className="text-xl font-semibold text-blue-900 mb-4">{g.name}</h2>
+          <div className="space-y-2">
+            {g.entries.map((entry) => {
+              const current = getRate(rates, entry.path);
+              const changed = getRate(draft, entry.path) !== current;
+              const error = inputErrors[entry.path];
+              return (
+                <label key={entry.path} className="grid grid-cols-12 gap-3 items-center text-sm">
+                  <span className="col-span-6">{entry.label}</span>
+                  <span className="col-span-2 text-right text-slate-500">
+                    {formatEntry(entry, current)}{entry.kind === "percent" ? "%" : ""}
+                  </span>
+                  <span className="col-span-4">
+                    <input
+                      type="text"
+                      inputMode="decimal"
+                      className={"border-2 rounded-lg h-9 px-3 w-full " + (error ? "border-red-400" : changed ? "border-blue-500 bg-blue-50" : "border-gray-300")}
+                      value={entry.path in texts ? texts[entry.path] : formatEntry(entry, getRate(draft, entry.path))}
+                      onChange={(e) => handleChange(entry, e.target.value)}
+                    />
+                    {error && <span className="text-xs text-red-600 block mt-1">{error}</span>}
+                  </span>
+                </label>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+
+      <div className="bg-white rounded-xl shadow-lg p-6 mb-6 space-y-4">
+        <label className="block text-sm max-w-xs">
+          <span className="font-medium block mb-1">Version for the exported rate card</span>
+          <input
+            type="text"
+            className="border-2 border-gray-300 rounded-lg h-10 px-3 w-full"
+            value={version}
+            onChange={(e) => setVersion(e.target.value)}
+          />
+        </label>
+        {cardErrors.length > 0 && (
+          <ul className="text-sm text-red-600 list-disc pl-5">
+            {cardErrors.map((err) => (
+              <li key={err}>{err}</li>
+            ))}
+          </ul>
+        )}
+        <div className="flex gap-3 items-center">
+          <button
+            onClick={handleExport}
+            disabled={!canExport}
+            className={"px-6 py-3 rounded-lg font-semibold " + (canExport ? "bg-green-600 text-white hover:bg-green-700" : "bg-gray-300 text-gray-500 cursor-not-allowed")}
+          >
+            Export Rate Card JSON
+          </button>
+          <button onClick={handleReset} className="px-6 py-3 border-2 border-blue-600 text-blue-600 rounded-lg font-semibold hover:bg-blue-50">
+            Discard Changes
+          </button>
+          <span className="text-sm text-slate-600">{changedCount} {changedCount === 1 ? "price" : "prices"} changed</span>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AdminRates;
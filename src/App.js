@@ -3,346 +3,461 @@
  *
  * This React component implements a multi-step form that allows
  * potential customers to build an instant quote for carpet, tile,
- * upholstery, rug and pest control services.  The pricing logic is
- * contained in the RATES constant and the `useMemo` hook below.
+ * upholstery, rug, air duct and pest control services.  Prices come
+ * from the `rates` prop, the rate card loaded by rateCard.js (falling
+ * back to the RATES table in rates.js), and are computed by the quote
+ * engine in quoteEngine.js; this component only collects the job
+ * description.
  *
- * The user can proceed through four steps: entering their location,
- * selecting services and quantities, providing contact information
- * and viewing a summary of the quote.  The final step includes a
- * button that copies the quote text to the clipboard and opens the
- * booking URL in a new tab.
+ * The user can proceed through five steps: entering their location,
+ * selecting services and quantities, providing contact information,
+ * viewing a summary of the quote and scheduling the service.  Property
+ * managers can switch to a commercial quote at Step 1 and choose
+ * services unit by unit (see commercial.js); the summary then lists the
+ * lines of each unit.  The final step offers arrival windows from the
+ * `availability` provider (see availability.js) for the estimated
+ * length of the job and sends the service request with the quote
+ * attached; without a provider it only offers to book online.  It can
+ * also copy the quote text to the clipboard and open the booking URL in
+ * a new tab.  Once the quote has a valid contact and the customer
+ * agrees to be contacted about it, it is sent to us as a lead through
+ * the `leads` queue (see leads.js), when one is configured, so it
+ * reaches us even if the customer never books.  Step 3 asks for consent
+ * to each way we may contact the customer (see consent.js); the consent
+ * record goes with the lead and the quote text.  Customers who agree to
+ * be contacted about the quote and leave on Step 3 or 4 are sent as
+ * partial leads through the `abandoned` queue (see abandonment.js),
+ * when one is configured.  "Forget my information", below the wizard,
+ * clears the form and removes everything saved in the browser (see
+ * privacy.js).
  */
-import React, { useMemo, useState } from "react";
+import React, { useEffect, useMemo, useState } from "react";
+import { RATES } from "./rates";
+import { cls, fmt, per } from "./format";
+import QuoteDocument, { makeQuoteNumber } from "./QuoteDocument";
+import { clearQuote, loadQuote, saveQuote } from "./quoteStorage";
+import { buildShareUrl, decodeShareHash, isShareHash } from "./shareLink";
+import { detectZone, zoneLadder } from "./serviceArea";
+import { stateForZip } from "./zipStates";
+import { firstIncompleteStep, normalizePhone, validateStep } from "./validation";
+import { findPromo, promoMessage } from "./promotions";
+import { bundleSuggestions } from "./bundles";
+import { roomsFromCounts } from "./carpetRooms";
+import { tileAreasFromSqft } from "./tileAreas";
+import ServiceSection from "./ServiceSection";
+import UnitBar from "./UnitBar";
+import { commercialCatalog, isCommercial, newUnit } from "./commercial";
+import { accessConditionLabels, emptyJob, groupLinesByUnit, hasPestSelection, INTERVAL_LABELS, isPestEligible, priceQuote, validateAccess } from "./quoteEngine";
+import { categoryAvailable, serviceCatalog, setPath } from "./serviceCatalog";
+import { crewMinutes, estimateLabor, laborText } from "./scheduling";
+import { defaultAvailability } from "./availability";
+import ScheduleStep from "./ScheduleStep";
+import { buildLead, defaultLeadQueue } from "./leads";
+import { buildAbandonedLead, defaultAbandonedQueue, sendAbandonedLead, shouldWatch, watchAbandonment } from "./abandonment";
+import { consentLines, CONSENT_PURPOSES, emptyConsent, setConsent } from "./consent";
+import { forgetStoredData, PRIVACY_POLICY_URL } from "./privacy";
 
-// Helper to format numbers as USD currency strings.
-const fmt = (n) => {
-  return "$" + (Math.round(n * 100) / 100).toFixed(2);
+// Booking URL that users are directed to after copying their quote.
+const SQUARE_BOOKING_URL = "https://jetstreamclean.square.site";
+
+// Arrival windows offered at Step 5 unless App is given another provider;
+// null when no service request endpoint is configured.
+const DEFAULT_AVAILABILITY = defaultAvailability();
+
+// Where leads are sent unless App is given another queue; null when no
+// lead endpoint is configured, and no leads are sent.
+const DEFAULT_LEADS = defaultLeadQueue(window.localStorage);
+
+// Where partial leads for abandoned quotes are sent unless App is given
+// another queue; null when no endpoint is configured, and no one is
+// watched.
+const DEFAULT_ABANDONED = defaultAbandonedQueue(window.localStorage);
+
+// How long the quote must stay unchanged before it is sent as a lead,
+// so a customer editing it doesn't send a version per keystroke.
+const LEAD_DELAY_MS = 1500;
+
+// What the lead status reads on Step 4.
+const LEAD_STATUS_TEXT = {
+  sending: "Sending your quote to our team...",
+  sent: "Your quote has been sent to our team. We'll be in touch.",
+  queued: "We couldn't reach our team just now. Your quote is saved on this device and will be sent when you're back online.",
 };
 
-// Helper to join class names conditionally.
-const cls = (...xs) => xs.filter(Boolean).join(" ");
+// Internal staff mode, enabled with ?staff in the URL.  Unlocks tools
+// customers must not use, such as overriding the detected service zone.
+const STAFF_MODE = new URLSearchParams(window.location.search).has("staff");
 
-// Booking URL that users are directed to after copying their quote.
-const SQUARE_BOOKING_URL = "https://jetstreamclean.square.site";
+// The parts of a job edited in the service sections: everything but the
+// zone and state, which come from the ZIP code, and the access
+// conditions, which are asked for separately.
+const selectionsOf = (job) => {
+  const { zone, state, access, ...selections } = job;
+  return selections;
+};
 
-// Rate definitions for all services offered.  These values drive
-// the pricing summary constructed in the useMemo hook below.
-const RATES = {
-  minCharge: 135,
-  serviceZones: {
-    local: { label: "Local (within 50 miles of Fort Mitchell)", fee: 0 },
-    extended: { label: "Extended (55+ miles from Fort Mitchell)", fee: 45 },
-  },
-  carpets: {
-    rooms: {
-      standard: { label: "Standard Steam Clean", price: 45, desc: "Professional steam cleaning with truck mounted carpet cleaner using hot water extraction." },
-      reset: { label: "Factory Reset Clean", price: 90, desc: "Deep cleaning with truck mounted carpet cleaner using CRB (counter rotating brushes) scrubber that unlocks hair and debris, and deodorizer." },
-      deluxe: { label: "Factory Reset Deluxe", price: 135, desc: "Includes everything with the Factory Reset Clean package plus prevacuuming and fiber protection." },
-    },
-    stairs: {
-      standard: { label: "Standard Steam Clean (Stairs)", price: 65, desc: "Professional steam cleaning with truck mounted carpet cleaner using hot water extraction." },
-      reset: { label: "Factory Reset Clean (Stairs)", price: 130, desc: "Deep cleaning with truck mounted carpet cleaner using CRB (counter rotating brushes) scrubber that unlocks hair and debris, and deodorizer." },
-      deluxe: { label: "Factory Reset Deluxe (Stairs)", price: 170, desc: "Includes everything with the Factory Reset Clean package plus prevacuuming and fiber protection." },
-    },
-    downHall: {
-      standard: { label: "Standard Steam Clean (Downstairs Hallway)", price: 20, desc: "Professional steam cleaning with truck mounted carpet cleaner using hot water extraction." },
-      reset: { label: "Factory Reset Clean (Downstairs Hallway)", price: 40, desc: "Deep cleaning with truck mounted carpet cleaner using CRB (counter rotating brushes) scrubber that unlocks hair and debris, and deodorizer." },
-      deluxe: { label: "Factory Reset Deluxe (Downstairs Hallway)", price: 60, desc: "Includes everything with the Factory Reset Clean package plus prevacuuming and fiber protection." },
-    },
-    upLanding: {
-      standard: { label: "Standard Steam Clean (Upstairs Landing)", price: 65, desc: "Professional steam cleaning with truck mounted carpet cleaner using hot water extraction." },
-      reset: { label: "Factory Reset Clean (Upstairs Landing)", price: 130, desc: "Deep cleaning with truck mounted carpet cleaner using CRB (counter rotating brushes) scrubber that unlocks hair and debris, and deodorizer." },
-      deluxe: { label: "Factory Reset Deluxe (Upstairs Landing)", price: 175, desc: "Includes everything with the Factory Reset Clean package plus prevacuuming and fiber protection." },
-    },
-    walkIn: {
-      standard: { label: "Standard Steam Clean (Walk-In Closet)", price: 20, desc: "Professional steam cleaning with truck mounted carpet cleaner using hot water extraction." },
-      reset: { label: "Factory Reset Clean (Walk-In Closet)", price: 40, desc: "Deep cleaning with truck mounted carpet cleaner using CRB (counter rotating brushes) scrubber that unlocks hair and debris, and deodorizer." },
-      deluxe: { label: "Factory Reset Deluxe (Walk-In Closet)", price: 60, desc: "Includes everything with the Factory Reset Clean package plus prevacuuming and fiber protection." },
-    },
-  },
-  tile: { rate: 0.75 },
-
-  upholstery: {
-    ottoman: { label: "Ottoman", price: 40 },
-    accentChair: { label: "Accent Chair", price: 40 },
-    diningChair: { label: "Dining Chair", price: 25 },
-    recliner: { label: "Recliner Chair", price: 65 },
-    oversizedChair: { label: "Oversized Double Chair", price: 65 },
-    throwPillow: { label: "Throw Pillow", price: 5 },
-    loveseat: { label: "Loveseat", price: 85 },
-    couch3: { label: "Couch (3 Cushions)", price: 100 },
-    couch4: { label: "Couch (4 Cushions)", price: 140 },
-    sectional: { label: "Sectional (by cushions)", price: 0 },
-    mattressTwin: { label: "Twin Mattress", price: 50 },
-    mattressFull: { label: "Full Mattress", price: 65 },
-    mattressQueen: { label: "Queen Mattress", price: 80 },
-    mattressKing: { label: "King Mattress", price: 95 },
-  },
-  sectionalPrices: {
-    4: 140, 5: 195, 6: 235, 7: 275, 8: 315, 9: 355, 10: 395, 11: 435, 12: 485,
-  },
-  upholsteryAddOns: {
-    deodorizerCap: 20,
-    fabricProtectorCap: 50,
-    deodorizerPct: 0.15,
-    fabricProtectorPct: 0.20,
-  },
-  rugs: {
-    small: { label: "Below 5x8", standard: 50, reset: 75, deluxe: 100 },
-    medium: { label: "5x8 to 6x9", standard: 60, reset: 90, deluxe: 120 },
-    large: { label: "6x9 to 8x10", standard: 75, reset: 112, deluxe: 150 },
-    xlarge: { label: "8x10 to 9x12", standard: 90, reset: 135, deluxe: 180 },
-    xxlarge: { label: "9x12 to 10x14", standard: 110, reset: 165, deluxe: 220 },
-    huge: { label: "10x14 to 12x18", standard: 162, reset: 243, deluxe: 324 },
-    massive: { label: "12x18 to 20x20", standard: 300, reset: 450, deluxe: 600 },
-  },
-  pest: {
-    monthly: { label: "Monthly General Pest Control", price: 49.99 },
-    oneTime: { label: "One-Time General Pest Control", price: 129.99 },
-    flea1600: 149,
-    flea3200: 300,
-  },
+// The form state for a job: whether it is commercial, its units and
+// service selections, and its access conditions.  A home job gets one
+// empty unit and a commercial job empty selections, as if the customer
+// had never switched.  Room counts from older quotes become unnamed rooms
+// on the list, and their total tile area becomes one tile area.
+function formOf(job, rates) {
+  const empty = emptyJob(rates);
+  if (isCommercial(job)) {
+    return { commercial: true, units: job.units.length > 0 ? job.units : [newUnit(0, rates)], selections: selectionsOf(empty), access: job.access };
+  }
+  const selections = {
+    ...selectionsOf(job),
+    carpets: { ...job.carpets, rooms: empty.carpets.rooms },
+    carpetRoomList: job.carpetRoomList.concat(roomsFromCounts(job.carpets.rooms, job.carpetRoomList.length)),
+    tileAreaList: job.tileAreaList.concat(tileAreasFromSqft(job.tileSqft, rates, job.tileAreaList.length)),
+    tileSqft: 0,
+  };
+  return { commercial: false, units: [newUnit(0, rates)], selections, access: job.access };
+}
+
+// One quote line as it reads in the copied quote text.
+const lineText = (l) => {
+  const eachStr = l.each !== undefined ? " x " + fmt(l.each) + per(l.interval) : "";
+  return l.label + " - " + l.qty + eachStr + " = " + fmt(l.total) + per(l.interval);
 };
 
 // Helper to build the quote text for copying.  It assembles the
-// line-by-line summary along with the customer's contact information.
-function buildQuoteText(summary, customerName, customerPhone, customerEmail, address, zip) {
-  const lines = summary.lines.map(l => {
-    const eachStr = l.each !== undefined ? " x " + fmt(l.each) : "";
-    return l.label + " - " + l.qty + eachStr + " = " + fmt(l.total);
-  }).join("\n");
-  const contactInfo = "\n\nCUSTOMER INFORMATION:\nName: " + customerName + "\nPhone: " + customerPhone + "\nEmail: " + customerEmail + "\nAddress: " + address + ", " + zip;
-  return "Jet Stream Clean - Quote\n" + lines + "\nTOTAL: " + fmt(summary.total) + contactInfo + "\n\nThis quote is an estimate. Minimum charge $135 applies.";
+// line-by-line summary along with the customer's contact information
+// and any access conditions the crew should know about, with the
+// estimated time on site from `labor` (see scheduling.js) and the
+// customer's `consent` record.  `confirmArea` marks a ZIP staff still
+// have to confirm we serve.  Commercial quotes list the lines unit by
+// unit, each unit with its subtotal.
+function buildQuoteText(summary, customerName, customerPhone, customerEmail, address, zip, confirmArea, access, labor, rates, consent) {
+  const lines = summary.units
+    ? groupLinesByUnit(summary).map(g =>
+      g.label.toUpperCase() + (g.subtotal !== undefined ? " - SUBTOTAL " + fmt(g.subtotal) : "") + ":\n" + g.lines.map(lineText).join("\n")
+    ).join("\n\n")
+    : summary.lines.map(lineText).join("\n");
+  const priced = summary.units ? summary.units.filter(u => u.subtotal > 0).length : 0;
+  const perUnit = priced > 1 ? "\nAVERAGE PER UNIT: " + fmt(Math.round(summary.total / priced * 100) / 100) + " (" + priced + " units)" : "";
+  const recurringTotals = Object.keys(summary.recurring).map(interval =>
+    "\nRECURRING " + INTERVAL_LABELS[interval].toUpperCase() + ": " + fmt(summary.recurring[interval]) + per(interval)
+  ).join("");
+  const laborInfo = labor.technicians > 0 ? "\nESTIMATED TIME ON SITE: " + laborText(labor) : "";
+  const contactInfo = "\n\nCUSTOMER INFORMATION:\nName: " + customerName + "\nPhone: " + customerPhone + "\nEmail: " + customerEmail + "\nAddress: " + address + ", " + zip + (confirmArea ? " (service area to be confirmed)" : "");
+  const conditions = accessConditionLabels(access, rates);
+  const accessInfo = "\n\nACCESS CONDITIONS:\n" + (conditions.length > 0 ? conditions.map(c => "- " + c).join("\n") : "None reported");
+  const consentInfo = "\n\nCONTACT CONSENT:\n" + consentLines(consent).join("\n");
+  return "Jet Stream Clean - Quote\n" + lines + "\nDUE AT SERVICE: " + fmt(summary.total) + perUnit + recurringTotals + laborInfo + contactInfo + accessInfo + consentInfo + "\n\nThis quote is an estimate. Minimum charge " + fmt(rates.minCharge) + " applies to the amount due at service.\nRate card: " + rates.version;
 }
 
-function App() {
+function App({ rates = RATES, rateWarning = null, availability = DEFAULT_AVAILABILITY, leads = DEFAULT_LEADS, abandoned = DEFAULT_ABANDONED }) {
+  // The services on offer, from the rate card in use, for a home and for
+  // each unit of a commercial quote.
+  const catalog = useMemo(() => serviceCatalog(rates), [rates]);
+  const unitCatalog = useMemo(() => commercialCatalog(rates), [rates]);
+  // A quote link the page was opened with: the decoded selection, or
+  // "invalid" when the link could not be read.  A valid link opens the
+  // form on the summary step with its quote.
+  const [sharedQuote, setSharedQuote] = useState(() => {
+    if (!isShareHash(window.location.hash)) return null;
+    return decodeShareHash(window.location.hash, rates) || "invalid";
+  });
+  const linked = sharedQuote && sharedQuote !== "invalid" ? sharedQuote : null;
+  const [initialForm] = useState(() => formOf(linked ? linked.job : emptyJob(rates), rates));
   // Form step state
-  const [step, setStep] = useState(1);
+  const [step, setStep] = useState(linked ? 4 : 1);
   // Zone and location details
-  const [zone, setZone] = useState("local");
-  const [zip, setZip] = useState("");
+  const [zip, setZip] = useState(linked ? linked.zip : "");
   const [address, setAddress] = useState("");
   // Service selection toggles
-  const [active, setActive] = useState({
-    carpet: false,
-    tile: false,
-    upholstery: false,
-    rugs: false,
-    pest: false,
+  const [active, setActive] = useState(() => {
+    const on = {};
+    catalog.forEach((c) => { on[c.key] = linked !== null && linked.active[c.key] === true; });
+    return on;
   });
-  // Carpet area quantities
-  const [carpetRooms, setCarpetRooms] = useState({ standard: 0, reset: 0, deluxe: 0 });
-  const [carpetStairs, setCarpetStairs] = useState({ standard: 0, reset: 0, deluxe: 0 });
-  const [downHall, setDownHall] = useState({ standard: 0, reset: 0, deluxe: 0 });
-  const [upLanding, setUpLanding] = useState({ standard: 0, reset: 0, deluxe: 0 });
-  const [walkIn, setWalkIn] = useState({ standard: 0, reset: 0, deluxe: 0 });
-  const [selectedCarpetType, setSelectedCarpetType] = useState("rooms");
-  // Tile total square footage
-  const [tileTotalSqft, setTileTotalSqft] = useState(0);
-  // Upholstery quantities and add-ons
-  const uphKeys = ["ottoman","accentChair","diningChair","recliner","oversizedChair","throwPillow","loveseat","couch3","couch4","mattressTwin","mattressFull","mattressQueen","mattressKing"];
-  const [uphQty, setUphQty] = useState({
-    ottoman:0, accentChair:0, diningChair:0, recliner:0, oversizedChair:0, throwPillow:0, loveseat:0, couch3:0, couch4:0, mattressTwin:0, mattressFull:0, mattressQueen:0, mattressKing:0
-  });
-  const [uphDeo, setUphDeo] = useState({
-    ottoman:false, accentChair:false, diningChair:false, recliner:false, oversizedChair:false, throwPillow:false, loveseat:false, couch3:false, couch4:false, mattressTwin:false, mattressFull:false, mattressQueen:false, mattressKing:false
-  });
-  const [uphProt, setUphProt] = useState({
-    ottoman:false, accentChair:false, diningChair:false, recliner:false, oversizedChair:false, throwPillow:false, loveseat:false, couch3:false, couch4:false, mattressTwin:false, mattressFull:false, mattressQueen:false, mattressKing:false
-  });
-  // Sectional settings
-  const [sectionalCushions, setSectionalCushions] = useState(6);
-  const [sectionalQty, setSectionalQty] = useState(0);
-  const [sectionalDeo, setSectionalDeo] = useState(false);
-  const [sectionalProt, setSectionalProt] = useState(false);
-  // Rug selections
-  const rugSizes = ["small", "medium", "large", "xlarge", "xxlarge", "huge", "massive"];
-  const [rugPackages, setRugPackages] = useState({
-    small: { standard: 0, reset: 0, deluxe: 0 },
-    medium: { standard: 0, reset: 0, deluxe: 0 },
-    large: { standard: 0, reset: 0, deluxe: 0 },
-    xlarge: { standard: 0, reset: 0, deluxe: 0 },
-    xxlarge: { standard: 0, reset: 0, deluxe: 0 },
-    huge: { standard: 0, reset: 0, deluxe: 0 },
-    massive: { standard: 0, reset: 0, deluxe: 0 },
-  });
-  const [selectedRugSize, setSelectedRugSize] = useState("small");
-  const [selectedRugMaterial, setSelectedRugMaterial] = useState("synthetic");
-  // Pest control options
-  const [pestMonthly, setPestMonthly] = useState(false);
-  const [pestOneTime, setPestOneTime] = useState(false);
-  const [pestHomeSqft, setPestHomeSqft] = useState(0);
+  // Everything chosen in the service sections, in the shape of a job
+  const [selections, setSelections] = useState(initialForm.selections);
+  const setSelection = (path, value) => setSelections((p) => setPath(p, path, value));
+  // Commercial quotes: the units, and the one being edited on Step 2
+  const [commercial, setCommercial] = useState(initialForm.commercial);
+  const [units, setUnits] = useState(initialForm.units);
+  const [unitIndex, setUnitIndex] = useState(0);
+  const setUnitSelection = (path, value) =>
+    setUnits((p) => p.map((u, i) => (i === unitIndex ? { ...u, selections: setPath(u.selections, path, value) } : u)));
+  // Staff-only manual zone override
+  const [zoneOverride, setZoneOverride] = useState(null);
+  // Job-site access conditions
+  const [access, setAccess] = useState(initialForm.access);
   // Copy/booking state and contact info
   const [copied, setCopied] = useState(false);
   const [customerName, setCustomerName] = useState("");
   const [customerPhone, setCustomerPhone] = useState("");
   const [customerEmail, setCustomerEmail] = useState("");
+  // When the customer agreed to each way we may contact them
+  const [consent, setConsentState] = useState(emptyConsent);
+  const [linkCopied, setLinkCopied] = useState(false);
+  // Whether the quote has been sent as a lead: null until it is first
+  // sent, then "sending", "sent" or "queued".
+  const [leadStatus, setLeadStatus] = useState(null);
+  // Promo code being typed, and the code applied to the quote.
+  const [promoInput, setPromoInput] = useState("");
+  const [promoCode, setPromoCode] = useState("");
+  // Steps the customer has tried to leave; their errors are shown inline.
+  const [attempted, setAttempted] = useState({});
+  // "Forget my information": null, "confirm" while asking, or "done".
+  const [forgetStatus, setForgetStatus] = useState(null);
+  // Quote number and date for the printable quote, fixed for the visit.
+  const [quoteDate] = useState(() => new Date());
+  const [quoteNumber] = useState(() => makeQuoteNumber(quoteDate));
+  // A quote saved on a previous visit, offered for resuming until the
+  // customer resumes it or starts over.  A quote link takes its place.
+  const [savedQuote, setSavedQuote] = useState(() => (linked ? null : loadQuote(window.localStorage, rates)));
 
-  // Calculate summary whenever any of the dependencies change.  This
-  // hook returns an object containing individual line items as well
-  // as subtotal and total values.
-  const summary = useMemo(() => {
-    const lines = [];
-    let sub = 0;
-    // Carpet rooms
-    Object.keys(RATES.carpets.rooms).forEach((k) => {
-      const qty = carpetRooms[k] || 0; 
-      if(qty === 0) return;
-      const each = RATES.carpets.rooms[k].price; 
-      const total = qty * each;
-      lines.push({label: RATES.carpets.rooms[k].label, qty, each, total}); 
-      sub = sub + total;
-    });
-    // Carpet stairs
-    Object.keys(RATES.carpets.stairs).forEach((k) => {
-      const qty = carpetStairs[k] || 0; 
-      if(qty === 0) return;
-      const each = RATES.carpets.stairs[k].price; 
-      const total = qty * each;
-      lines.push({label: RATES.carpets.stairs[k].label, qty, each, total}); 
-      sub = sub + total;
-    });
-    // Down hall
-    Object.keys(RATES.carpets.downHall).forEach((k) => {
-      const qty = downHall[k] || 0; 
-      if(qty === 0) return;
-      const each = RATES.carpets.downHall[k].price; 
-      const total = qty * each;
-      lines.push({label: RATES.carpets.downHall[k].label, qty, each, total}); 
-      sub = sub + total;
-    });
-    // Up landing
-    Object.keys(RATES.carpets.upLanding).forEach((k) => {
-      const qty = upLanding[k] || 0; 
-      if(qty === 0) return;
-      const each = RATES.carpets.upLanding[k].price; 
-      const total = qty * each;
-      lines.push({label: RATES.carpets.upLanding[k].label, qty, each, total}); 
-      sub = sub + total;
-    });
-    // Walk-in closet
-    Object.keys(RATES.carpets.walkIn).forEach((k) => {
-      const qty = walkIn[k] || 0; 
-      if(qty === 0) return;
-      const each = RATES.carpets.walkIn[k].price; 
-      const total = qty * each;
-      lines.push({label: RATES.carpets.walkIn[k].label, qty, each, total}); 
-      sub = sub + total;
-    });
-    // Tile
-    const t = Math.max(0, Number(tileTotalSqft) || 0);
-    if (t > 0) { 
-      const total = t * RATES.tile.rate; 
-      sub = sub + total; 
-      lines.push({label:"Tile and Grout Cleaning", qty:t, each:RATES.tile.rate, total});
+  // The service zone comes from the ZIP code unless staff override it.
+  const zoneInfo = useMemo(() => detectZone(zip, rates), [zip, rates]);
+  const zone = (STAFF_MODE && zoneOverride) || zoneInfo.zone;
+  // A ZIP missing from the bundled table is quoted at the farthest zone
+  // and flagged for staff, unless staff have already set the zone.
+  const confirmArea = zoneInfo.status === "unknown" && !(STAFF_MODE && zoneOverride);
+  // Pest control may only be sold where we hold a license.
+  const jobState = useMemo(() => stateForZip(zip), [zip]);
+  const pestEligible = isPestEligible(jobState, rates);
+
+  // Collect the form state into a serializable job description and
+  // price it with the quote engine whenever any of it changes.
+  const job = useMemo(
+    () => (commercial ? { zone, state: jobState, units, access } : { zone, state: jobState, ...selections, access }),
+    [zone, jobState, commercial, units, selections, access]
+  );
+  const promoLookup = useMemo(() => findPromo(promoCode, quoteDate), [promoCode, quoteDate]);
+  const summary = useMemo(
+    () => priceQuote(job, rates, promoLookup.status === "ok" ? promoLookup.promo : null),
+    [job, rates, promoLookup]
+  );
+  const promoNote = promoMessage(promoLookup, summary.promo, rates);
+  const suggestions = useMemo(() => (commercial ? [] : bundleSuggestions(job, summary.lines, rates)), [commercial, job, summary, rates]);
+  const accessErrors = validateAccess(access, rates);
+  // Step 2 offers the services of the unit being edited on commercial
+  // quotes.  Step 4 lists commercial lines unit by unit.
+  const shownCatalog = commercial ? unitCatalog : catalog;
+  const lineGroups = summary.units ? groupLinesByUnit(summary) : [{ key: "all", lines: summary.lines }];
+  const pricedUnits = summary.units ? summary.units.filter((u) => u.subtotal > 0).length : 0;
+  const pestDropped = !pestEligible && hasPestSelection(job);
+  // How long the crew will be on site and how many technicians it takes,
+  // shown with the quote and used for the arrival windows at Step 5.
+  const labor = useMemo(() => estimateLabor(job, rates), [job, rates]);
+
+  // Validate the current step.  Errors only show once the customer has
+  // tried to continue, and Continue does nothing until the step is valid.
+  const stepValues = { zip, address, zoneInfo, zone, summary, name: customerName, phone: customerPhone, email: customerEmail };
+  const errors = attempted[step] ? validateStep(step, stepValues) : {};
+  const handleContinue = () => {
+    if (Object.keys(validateStep(step, stepValues)).length > 0) {
+      setAttempted((p) => ({ ...p, [step]: true }));
+      return;
     }
-    // Upholstery add-on pricing caps and percentages
-    const deoPct = RATES.upholsteryAddOns.deodorizerPct;
-    const fabricPct = RATES.upholsteryAddOns.fabricProtectorPct;
-    const deoCap = RATES.upholsteryAddOns.deodorizerCap;
-    const fabricCap = RATES.upholsteryAddOns.fabricProtectorCap;
-    // Sectional pricing
-    if (sectionalQty > 0) {
-      const sectionalBase = RATES.sectionalPrices[sectionalCushions] || 0;
-      const sectionalTotal = sectionalBase * sectionalQty;
-      sub = sub + sectionalTotal;
-      lines.push({label: "Sectional - " + sectionalCushions + " cushions", qty: sectionalQty, each: sectionalBase, total: sectionalTotal});
-      if (sectionalDeo) {
-        const deoEach = Math.min(deoCap, Math.round(sectionalBase * deoPct));
-        const total = deoEach * sectionalQty;
-        sub = sub + total;
-        lines.push({label: "Sectional - Deodorizer", qty: sectionalQty, each: deoEach, total});
-      }
-      if (sectionalProt) {
-        const fabricEach = Math.min(fabricCap, Math.round(sectionalBase * fabricPct));
-        const total = fabricEach * sectionalQty;
-        sub = sub + total;
-        lines.push({label: "Sectional - Fabric Protector", qty: sectionalQty, each: fabricEach, total});
-      }
+    setStep(step + 1);
+  };
+  // A quote can be booked once every step is complete and the access
+  // conditions are consistent.  A quote opened from a link starts on
+  // Step 4 and a saved one may resume on Step 4 or 5, so booking sends
+  // the customer back to the first incomplete step, errors showing.
+  const incompleteStep = firstIncompleteStep(stepValues) || (accessErrors.length > 0 ? 4 : null);
+  const canBook = incompleteStep === null;
+  const handleBook = () => {
+    if (canBook) {
+      setStep(5);
+      return;
     }
-    // Other upholstery items
-    uphKeys.forEach((k) => {
-      let base = RATES.upholstery[k].price;
-      const qty = uphQty[k] || 0; 
-      if(qty === 0) return;
-      const baseTotal = base * qty; 
-      sub = sub + baseTotal; 
-      lines.push({label: RATES.upholstery[k].label, qty, each: base, total: baseTotal});
-      if (uphDeo[k]) { 
-        const deoEach = Math.min(deoCap, Math.round(base * deoPct));
-        const total = deoEach * qty; 
-        sub = sub + total; 
-        lines.push({label: RATES.upholstery[k].label + " - Deodorizer", qty, each:deoEach, total});
-      }
-      if (uphProt[k]) { 
-        const fabricEach = Math.min(fabricCap, Math.round(base * fabricPct));
-        const total = fabricEach * qty; 
-        sub = sub + total; 
-        lines.push({label: RATES.upholstery[k].label + " - Fabric Protector", qty, each:fabricEach, total});
-      }
-    });
-    // Rug pricing
-    rugSizes.forEach((size) => {
-      ["standard", "reset", "deluxe"].forEach((pkg) => {
-        const qty = rugPackages[size][pkg] || 0;
-        if (qty === 0) return;
-        const each = RATES.rugs[size][pkg];
-        const total = qty * each;
-        lines.push({ label: `Area Rug ${RATES.rugs[size].label} - ${pkg === "standard" ? "Standard Steam Clean" : pkg === "reset" ? "Factory Reset Clean" : "Factory Reset Deluxe"}`, qty, each, total });
-        sub = sub + total;
-      });
-    });
-    // Pest control selections
-    if (pestMonthly) { 
-      const each = RATES.pest.monthly.price; 
-      sub = sub + each; 
-      lines.push({label:"Monthly General Pest Control (AL only)", qty:1, each, total:each});
+    setAttempted((p) => ({ ...p, [incompleteStep]: true }));
+    setStep(incompleteStep);
+  };
+  useEffect(() => {
+    if (step !== 5 || incompleteStep === null) return;
+    setAttempted((p) => ({ ...p, [incompleteStep]: true }));
+    setStep(incompleteStep);
+  }, [step, incompleteStep]);
+
+  // Everything the customer has entered, in the shape saved to storage.
+  const snapshot = useMemo(() => ({
+    step, zip, address, active,
+    job: commercial ? { units, access } : { ...selections, access },
+    contact: { name: customerName, phone: customerPhone, email: customerEmail, consent },
+    promoCode,
+  }), [step, zip, address, active, commercial, units, selections, access, customerName, customerPhone, customerEmail, consent, promoCode]);
+  const isBlank = summary.lines.length === 0 && !zip && !address && !customerName && !customerPhone && !customerEmail;
+
+  // Save the quote as it changes.  Nothing is written while the resume
+  // prompt is showing, so an untouched form can't overwrite the saved
+  // quote before the customer decides what to do with it.
+  useEffect(() => {
+    if (savedQuote) return;
+    if (isBlank) {
+      clearQuote(window.localStorage);
+    } else {
+      saveQuote(window.localStorage, snapshot);
     }
-    if (pestOneTime) { 
-      const each = RATES.pest.oneTime.price; 
-      sub = sub + each; 
-      lines.push({label:"One-Time General Pest Control (AL only)", qty:1, each, total:each});
+  }, [snapshot, isBlank, savedQuote]);
+
+  // Load a job description into the form state.
+  const applyJob = (j) => {
+    const form = formOf(j, rates);
+    setAccess(form.access);
+    setCommercial(form.commercial);
+    setUnits(form.units);
+    setUnitIndex(0);
+    setSelections(form.selections);
+  };
+
+  const handleResume = () => {
+    setStep(savedQuote.step);
+    setZip(savedQuote.zip);
+    setAddress(savedQuote.address);
+    setActive((p) => {
+      const next = {};
+      Object.keys(p).forEach((k) => { next[k] = savedQuote.active[k] === true; });
+      return next;
+    });
+    applyJob(savedQuote.job);
+    setCustomerName(savedQuote.contact.name);
+    setCustomerPhone(savedQuote.contact.phone);
+    setCustomerEmail(savedQuote.contact.email);
+    setConsentState(savedQuote.contact.consent);
+    setPromoInput(savedQuote.promoCode);
+    setPromoCode(savedQuote.promoCode);
+    setSavedQuote(null);
+  };
+
+  // Remove the hash of a quote link the page was opened with, once it
+  // has been read, so later edits aren't replaced by the link on refresh.
+  useEffect(() => {
+    if (isShareHash(window.location.hash)) {
+      window.history.replaceState(null, "", window.location.pathname + window.location.search);
     }
-    if (pestHomeSqft > 0) {
-      let label = "Move-Out Flea and Tick (AL only)"; 
-      let price = 0;
-      if (pestHomeSqft <= 1600) {
-        price = RATES.pest.flea1600;
-      } else if (pestHomeSqft <= 3200) {
-        price = RATES.pest.flea3200;
-      } else {
-        label = label + " - custom quote";
-      }
-      if (price > 0) { 
-        sub = sub + price; 
-        lines.push({label, qty:1, each:price, total:price});
+  }, []);
+
+  // What leads are built from, and the lead to send once the customer
+  // has given a valid contact and agreed to be contacted about the
+  // quote.  A quote opened from a link has neither, so sends nothing.
+  const quoteValues = useMemo(() => ({
+    quoteNumber, rates, name: customerName, phone: customerPhone, email: customerEmail,
+    address, zip, zone, state: jobState, confirmArea, summary,
+    accessConditions: accessConditionLabels(access, rates), labor, promoCode, consent,
+  }), [quoteNumber, rates, customerName, customerPhone, customerEmail, address, zip, zone, jobState, confirmArea, summary, access, labor, promoCode, consent]);
+  const canSendLead = Object.keys(validateStep(3, stepValues)).length === 0 && consent.contact !== null;
+  const leadValues = canSendLead ? quoteValues : null;
+
+  // Send the lead from the quote step on, again whenever the quote
+  // changes.  Leads that can't be sent are queued and sent at startup
+  // and when the browser comes back online.  Without a lead queue no
+  // lead is sent and no status is shown.
+  useEffect(() => {
+    if (step < 4 || !leadValues || !leads) return;
+    const timer = setTimeout(() => {
+      setLeadStatus("sending");
+      leads.submit(buildLead(leadValues)).then(setLeadStatus);
+    }, LEAD_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [step, leadValues, leads]);
+  useEffect(() => {
+    const flush = () => {
+      if (leads) {
+        leads.flush().then((sent) => {
+          if (sent.indexOf(quoteNumber) !== -1) setLeadStatus((s) => (s === "queued" ? "sent" : s));
+        });
       }
-    }
-    // Zone fee and minimum charge
-    const zoneFee = zone === "extended" ? RATES.serviceZones.extended.fee : 0;
-    if (zoneFee > 0) { 
-      sub = sub + zoneFee; 
-      lines.push({label: "Service Zone Fee", qty:1, each: zoneFee, total: zoneFee});
-    }
-    if (sub < RATES.minCharge && sub > 0) {
-      const diff = RATES.minCharge - sub; 
-      sub = sub + diff; 
-      lines.push({label:"Minimum Charge Adjustment", qty:1, each: diff, total: diff});
-    }
-    return { lines, subtotal: sub, total: sub };
-  }, [
-    carpetRooms, carpetStairs, downHall, upLanding, walkIn,
-    tileTotalSqft,
-    uphQty, uphDeo, uphProt, 
-    sectionalCushions, sectionalQty, sectionalDeo, sectionalProt,
-    rugPackages,
-    pestMonthly, pestOneTime, pestHomeSqft,
-    zone
-  ]);
+      if (abandoned) abandoned.flush();
+    };
+    flush();
+    window.addEventListener("online", flush);
+    return () => window.removeEventListener("online", flush);
+  }, [leads, abandoned, quoteNumber]);
+
+  // Send a partial lead if the customer leaves the contact or quote step
+  // without booking, when partial leads have somewhere to go, they
+  // agreed to be contacted about the quote and we can reach them.
+  const watchLeaving = (step === 3 || step === 4) && shouldWatch(abandoned, consent.contact !== null, customerPhone, customerEmail);
+  useEffect(() => {
+    if (!watchLeaving) return;
+    return watchAbandonment((reason) => {
+      sendAbandonedLead(abandoned, buildAbandonedLead(quoteValues, step, reason), window.sessionStorage);
+    });
+  }, [watchLeaving, quoteValues, step, abandoned]);
+
+  const handleCopyShareLink = () => {
+    const url = buildShareUrl({ zip, active, job: snapshot.job }, rates);
+    navigator.clipboard.writeText(url).then(() => {
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    });
+  };
+
+  const handleApplyPromo = (e) => {
+    e.preventDefault();
+    setPromoCode(promoInput.trim());
+  };
+
+  const handleRemovePromo = () => {
+    setPromoInput("");
+    setPromoCode("");
+  };
+
+  const handleStartOver = () => {
+    clearQuote(window.localStorage);
+    setSavedQuote(null);
+  };
+
+  // Clear the form and everything saved in the browser.  The form goes
+  // back to how a new visit starts, so nothing is saved again.
+  const handleForget = () => {
+    forgetStoredData(window.localStorage, window.sessionStorage);
+    const empty = emptyJob(rates);
+    setStep(1);
+    setZip("");
+    setAddress("");
+    setActive((p) => {
+      const off = {};
+      Object.keys(p).forEach((k) => { off[k] = false; });
+      return off;
+    });
+    setSelections(selectionsOf(empty));
+    setCommercial(false);
+    setUnits([newUnit(0, rates)]);
+    setUnitIndex(0);
+    setZoneOverride(null);
+    setAccess(empty.access);
+    setCustomerName("");
+    setCustomerPhone("");
+    setCustomerEmail("");
+    setConsentState(emptyConsent());
+    setLeadStatus(null);
+    setPromoInput("");
+    setPromoCode("");
+    setAttempted({});
+    setSavedQuote(null);
+    setForgetStatus("done");
+  };
+
+  // The service request sent from Step 5 for arrival window `w`, with
+  // the quote attached as text and as priced.
+  const buildRequest = (w, notes) => ({
+    window: w,
+    minutes: crewMinutes(labor),
+    labor,
+    notes,
+    customer: { name: customerName, phone: customerPhone, email: customerEmail, address, zip, consent },
+    quote: {
+      number: quoteNumber,
+      date: quoteDate.toISOString(),
+      rateCard: rates.version,
+      text: buildQuoteText(summary, customerName, customerPhone, customerEmail, address, zip, confirmArea, access, labor, rates, consent),
+      summary,
+      job,
+    },
+  });
 
   // Handle copying the quote and opening the booking page.
   const handleCopyAndProceed = () => {
-    navigator.clipboard.writeText(buildQuoteText(summary, customerName, customerPhone, customerEmail, address, zip)).then(() => {
+    if (!canBook) return;
+    navigator.clipboard.writeText(buildQuoteText(summary, customerName, customerPhone, customerEmail, address, zip, confirmArea, access, labor, rates, consent)).then(() => {
       setCopied(true);
       setTimeout(() => setCopied(false), 2000);
       window.open(SQUARE_BOOKING_URL, "_blank");
@@ -350,56 +465,154 @@ function App() {
   };
 
   return (
-    <div className="max-w-5xl mx-auto p-6 bg-gradient-to-br from-blue-50 to-slate-50 min-h-screen">
-      <div className="bg-white rounded-xl shadow-lg p-6 mb-6 text-center">
+    <div className="max-w-5xl mx-auto p-6 bg-gradient-to-br from-blue-50 to-slate-50 min-h-screen print:max-w-none print:p-0 print:bg-none print:min-h-0">
+      <QuoteDocument 
+        className="hidden print:block text-black"
+        summary={summary}
+        quoteNumber={quoteNumber}
+        date={quoteDate}
+        customer={{ name: customerName, phone: customerPhone, email: customerEmail, address, zip }}
+        accessConditions={accessConditionLabels(access, rates)}
+        rates={rates}
+      />
+      <div className="bg-white rounded-xl shadow-lg p-6 mb-6 text-center print:hidden">
         <h1 className="text-4xl font-bold text-blue-900 mb-2">JET STREAM CLEAN</h1>
-        <p className="text-sm text-slate-600">Get your instant quote in 4 easy steps. Minimum charge of $135 applies to all jobs.</p>
+        <p className="text-sm text-slate-600">Get your instant quote in 4 easy steps, then pick a time. Minimum charge of {fmt(rates.minCharge)} applies to all jobs.</p>
       </div>
-      <div className="flex items-center justify-center mb-8 gap-2">
-        {[1, 2, 3, 4].map((s) => (
+      {rateWarning && (
+        <div className="bg-amber-50 border-2 border-amber-200 text-amber-800 rounded-xl p-4 mb-6 text-sm print:hidden" role="alert">
+          {rateWarning}
+        </div>
+      )}
+      {sharedQuote === "invalid" && (
+        <div className="bg-amber-50 border-2 border-amber-200 text-amber-800 rounded-xl p-6 mb-6 flex justify-between items-start gap-4 print:hidden">
+          <div>
+            <h2 className="font-semibold">We couldn't open that quote link</h2>
+            <p className="text-sm">The link may be incomplete or out of date. You can build a new quote below, or ask us to send the link again.</p>
+          </div>
+          <button onClick={() => setSharedQuote(null)} className="text-sm font-semibold underline">Dismiss</button>
+        </div>
+      )}
+      {savedQuote && (
+        <div className="bg-white rounded-xl shadow-lg p-6 mb-6 border-2 border-blue-300 print:hidden">
+          <h2 className="text-xl font-semibold text-blue-900 mb-1">Resume your quote?</h2>
+          <p className="text-sm text-slate-600 mb-4">
+            You have a quote in progress{savedQuote.savedAt ? " from " + new Date(savedQuote.savedAt).toLocaleString() : ""}. Pick up where you left off, or start a new one.
+          </p>
+          <div className="flex gap-3">
+            <button 
+              onClick={handleResume} 
+              className="h-12 px-8 rounded-lg bg-blue-600 text-white font-semibold hover:bg-blue-700 transition-colors"
+            >
+              Resume your quote
+            </button>
+            <button 
+              onClick={handleStartOver} 
+              className="h-12 px-6 rounded-lg border-2 border-gray-300 hover:bg-gray-50 font-semibold transition-colors"
+            >
+              Start over
+            </button>
+          </div>
+        </div>
+      )}
+      <div className="flex items-center justify-center mb-8 gap-2 print:hidden">
+        {[1, 2, 3, 4, 5].map((s) => (
           <div key={s} className="flex items-center">
             <div className={cls("w-10 h-10 rounded-full flex items-center justify-center font-semibold", step >= s ? "bg-blue-600 text-white" : "bg-gray-200 text-gray-500")}>
               {s}
             </div>
-            {s < 4 && <div className={cls("w-12 h-1 mx-1", step > s ? "bg-blue-600" : "bg-gray-200")} />}
+            {s < 5 && <div className={cls("w-12 h-1 mx-1", step > s ? "bg-blue-600" : "bg-gray-200")} />}
           </div>
         ))}
       </div>
-      <div className="bg-white rounded-xl shadow-lg p-6">
+      <div className="bg-white rounded-xl shadow-lg p-6 print:hidden">
         {step === 1 && (
           <div className="space-y-4">
             <h2 className="text-2xl font-semibold text-blue-900">Step 1: Location Details</h2>
-            <input 
-              placeholder="ZIP Code" 
-              value={zip} 
-              onChange={(e) => setZip(e.target.value)} 
-              className="border border-gray-300 rounded-lg h-12 px-4 w-full focus:ring-2 focus:ring-blue-500 focus:border-transparent" 
-            />
-            <input 
-              placeholder="Street Address" 
-              value={address} 
-              onChange={(e) => setAddress(e.target.value)} 
-              className="border border-gray-300 rounded-lg h-12 px-4 w-full focus:ring-2 focus:ring-blue-500 focus:border-transparent" 
-            />
             <div className="grid md:grid-cols-2 gap-3">
-              <button 
-                className={cls("h-14 rounded-lg border-2 px-4 text-left transition-all", zone === "local" ? "bg-blue-600 text-white border-blue-600" : "border-gray-300 hover:border-blue-400")} 
-                onClick={() => setZone("local")}
-              >
-                <div className="font-semibold">Local Service</div>
-                <div className="text-sm opacity-90">Within 50 miles - No fee</div>
-              </button>
-              <button 
-                className={cls("h-14 rounded-lg border-2 px-4 text-left transition-all", zone === "extended" ? "bg-blue-600 text-white border-blue-600" : "border-gray-300 hover:border-blue-400")} 
-                onClick={() => setZone("extended")}
-              >
-                <div className="font-semibold">Extended Service</div>
-                <div className="text-sm opacity-90">55+ miles - $45 travel fee</div>
-              </button>
+              {[
+                [false, "Home", "One house, apartment or condo."],
+                [true, "Commercial or Multi-Unit", "Several units or addresses, such as apartment turnovers or offices."],
+              ].map(([value, label, desc]) => (
+                <button
+                  key={label}
+                  onClick={() => setCommercial(value)}
+                  className={cls("rounded-lg border-2 text-left p-4 transition-all", commercial === value ? "bg-blue-600 text-white border-blue-600" : "border-gray-300 hover:border-blue-400")}
+                >
+                  <div className="font-semibold">{label}</div>
+                  <div className="text-sm">{desc}</div>
+                </button>
+              ))}
+            </div>
+            <div>
+              <input 
+                placeholder="ZIP Code" 
+                inputMode="numeric"
+                value={zip} 
+                onChange={(e) => setZip(e.target.value)} 
+                className={cls("border rounded-lg h-12 px-4 w-full focus:ring-2 focus:ring-blue-500 focus:border-transparent", errors.zip ? "border-red-500" : "border-gray-300")} 
+              />
+              {errors.zip && <p className="text-sm text-red-700 mt-1">{errors.zip}</p>}
             </div>
+            <div>
+              <input 
+                placeholder={commercial ? "Property or Billing Address" : "Street Address"} 
+                value={address} 
+                onChange={(e) => setAddress(e.target.value)} 
+                className={cls("border rounded-lg h-12 px-4 w-full focus:ring-2 focus:ring-blue-500 focus:border-transparent", errors.address ? "border-red-500" : "border-gray-300")} 
+              />
+              {errors.address && <p className="text-sm text-red-700 mt-1">{errors.address}</p>}
+            </div>
+            {zoneInfo.status === "incomplete" && (
+              <p className="text-sm text-slate-600">Enter your 5-digit ZIP code to see your service zone.</p>
+            )}
+            {zoneInfo.status === "ok" && (
+              <div className="p-4 rounded-lg bg-blue-50 border-2 border-blue-200">
+                <div className="font-semibold text-blue-900">{rates.serviceZones[zoneInfo.zone].label}</div>
+                <div className="text-sm text-slate-600">
+                  About {zoneInfo.miles} miles from {rates.serviceOrigin.label} - {rates.serviceZones[zoneInfo.zone].fee > 0 ? fmt(rates.serviceZones[zoneInfo.zone].fee) + " travel fee" : "No fee"}
+                </div>
+              </div>
+            )}
+            {zoneInfo.status === "outside" && (
+              <div className="p-4 rounded-lg bg-red-50 border-2 border-red-200 text-red-800">
+                <div className="font-semibold">Outside our service area</div>
+                <div className="text-sm">ZIP {zip} is about {zoneInfo.miles} miles from {rates.serviceOrigin.label}. We currently serve homes within {rates.serviceZones[zoneLadder(rates).slice(-1)[0]].maxMiles} miles.</div>
+              </div>
+            )}
+            {zoneInfo.status === "unknown" && (
+              <div className="p-4 rounded-lg bg-amber-50 border-2 border-amber-200 text-amber-800">
+                <div className="font-semibold">We'll confirm we serve ZIP {zip}</div>
+                <div className="text-sm">
+                  Your quote includes our farthest zone's {fmt(rates.serviceZones[zoneInfo.zone].fee)} travel fee for now. Our staff will confirm the service area and contact you if anything changes.
+                </div>
+              </div>
+            )}
+            {STAFF_MODE && (
+              <div className="p-4 rounded-lg border-2 border-dashed border-gray-300">
+                <div className="text-sm font-semibold mb-2">Staff: override service zone</div>
+                <div className="flex flex-wrap gap-2">
+                  <button 
+                    className={cls("h-10 rounded-lg border-2 px-4 text-sm transition-all", zoneOverride === null ? "bg-blue-600 text-white border-blue-600" : "border-gray-300 hover:border-blue-400")} 
+                    onClick={() => setZoneOverride(null)}
+                  >
+                    Automatic
+                  </button>
+                  {zoneLadder(rates).map((k) => (
+                    <button 
+                      key={k}
+                      className={cls("h-10 rounded-lg border-2 px-4 text-sm transition-all", zoneOverride === k ? "bg-blue-600 text-white border-blue-600" : "border-gray-300 hover:border-blue-400")} 
+                      onClick={() => setZoneOverride(k)}
+                    >
+                      {rates.serviceZones[k].label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
             <div className="flex justify-end pt-4">
               <button 
-                onClick={() => setStep(2)} 
+                onClick={handleContinue} 
                 className="h-12 px-8 rounded-lg bg-blue-600 text-white font-semibold hover:bg-blue-700 transition-colors"
               >
                 Continue
@@ -410,423 +623,48 @@ function App() {
         {step === 2 && (
           <div className="space-y-6">
             <h2 className="text-2xl font-semibold text-blue-900">Step 2: Select Services</h2>
+            {commercial && (
+              <UnitBar
+                units={units}
+                current={unitIndex}
+                totals={summary.units || []}
+                rates={rates}
+                onChange={(next, i) => {
+                  setUnits(next);
+                  setUnitIndex(i);
+                }}
+              />
+            )}
             <div className="grid md:grid-cols-2 gap-3">
-              {Object.keys(active).map((s) => (
+              {shownCatalog.map((c) => (
                 <button
-                  key={s}
-                  onClick={() => setActive((p) => ({ ...p, [s]: !p[s] }))}
-                  className={cls("h-14 rounded-lg border-2 text-left px-4 transition-all font-semibold", active[s] ? "bg-blue-600 text-white border-blue-600" : "border-gray-300 hover:border-blue-400")}
+                  key={c.key}
+                  onClick={() => setActive((p) => ({ ...p, [c.key]: !p[c.key] }))}
+                  className={cls("h-14 rounded-lg border-2 text-left px-4 transition-all font-semibold", active[c.key] ? "bg-blue-600 text-white border-blue-600" : "border-gray-300 hover:border-blue-400")}
                 >
-                  {s === "carpet" && "Carpet Cleaning"}
-                  {s === "tile" && "Tile and Grout Cleaning"}
-                  {s === "upholstery" && "Upholstery Cleaning"}
-                  {s === "rugs" && "Area Rug Cleaning"}
-                  {s === "pest" && "Pest Control (Alabama)"}
+                  {c.label}
                 </button>
               ))}
             </div>
-            {active.carpet && (
-              <section className="mt-6 space-y-6 bg-blue-50 p-6 rounded-lg">
-                <div>
-                  <h3 className="font-semibold text-xl mb-2 text-blue-900">Carpet Cleaning</h3>
-                  <p className="text-sm text-slate-600 mb-4">Select carpet area below, then choose a cleaning package. Each room priced up 200 sq ft.</p>
-                  <div className="mb-6">
-                    <h4 className="font-semibold mb-3 text-blue-900">Select Area Type:</h4>
-                    <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
-                      <button
-                        onClick={() => setSelectedCarpetType("rooms")}
-                        className={cls("p-3 rounded-lg border-2 text-center transition-all font-medium text-sm", selectedCarpetType === "rooms" ? "bg-blue-600 text-white border-blue-600" : "bg-white border-blue-200 hover:border-blue-400")}
-                      >
-                        Rooms
-                      </button>
-                      <button
-                        onClick={() => setSelectedCarpetType("stairs")}
-                        className={cls("p-3 rounded-lg border-2 text-center transition-all font-medium text-sm", selectedCarpetType === "stairs" ? "bg-blue-600 text-white border-blue-600" : "bg-white border-blue-200 hover:border-blue-400")}
-                      >
-                        Stairs
-                      </button>
-                      <button
-                        onClick={() => setSelectedCarpetType("downHall")}
-                        className={cls("p-3 rounded-lg border-2 text-center transition-all font-medium text-sm", selectedCarpetType === "downHall" ? "bg-blue-600 text-white border-blue-600" : "bg-white border-blue-200 hover:border-blue-400")}
-                      >
-                        Downstairs Hallway
-                      </button>
-                      <button
-                        onClick={() => setSelectedCarpetType("upLanding")}
-                        className={cls("p-3 rounded-lg border-2 text-center transition-all font-medium text-sm", selectedCarpetType === "upLanding" ? "bg-blue-600 text-white border-blue-600" : "bg-white border-blue-200 hover:border-blue-400")}
-                      >
-                        Upstairs Landing
-                      </button>
-                      <button
-                        onClick={() => setSelectedCarpetType("walkIn")}
-                        className={cls("p-3 rounded-lg border-2 text-center transition-all font-medium text-sm", selectedCarpetType === "walkIn" ? "bg-blue-600 text-white border-blue-600" : "bg-white border-blue-200 hover:border-blue-400")}
-                      >
-                        Walk-In Closet
-                      </button>
-                    </div>
-                  </div>
-                  <div>
-                    <h4 className="font-semibold text-lg mb-3 text-blue-900">
-                      Packages for {selectedCarpetType === "rooms" ? "Rooms" : selectedCarpetType === "stairs" ? "Stairs" : selectedCarpetType === "downHall" ? "Downstairs Hallway" : selectedCarpetType === "upLanding" ? "Upstairs Landing" : "Walk-In Closet"}:
-                    </h4>
-                    <div className="grid md:grid-cols-3 gap-4">
-                      { ["standard", "reset", "deluxe"].map((k) => {
-                        const state = selectedCarpetType === "rooms" ? carpetRooms : selectedCarpetType === "stairs" ? carpetStairs : selectedCarpetType === "downHall" ? downHall : selectedCarpetType === "upLanding" ? upLanding : walkIn;
-                        const setState = selectedCarpetType === "rooms" ? setCarpetRooms : selectedCarpetType === "stairs" ? setCarpetStairs : selectedCarpetType === "downHall" ? setDownHall : selectedCarpetType === "upLanding" ? setUpLanding : setWalkIn;
-                        return (
-                          <div key={k} className="p-4 border-2 border-blue-200 rounded-lg bg-white">
-                            <div className="font-semibold mb-1">{RATES.carpets[selectedCarpetType][k].label}</div>
-                            <p className="text-xs text-slate-600 mb-2">{RATES.carpets[selectedCarpetType][k].desc}</p>
-                            <div className="text-lg font-bold text-blue-600 mb-3">{fmt(RATES.carpets[selectedCarpetType][k].price)}</div>
-                            <div className="flex items-center gap-2">
-                              <button 
-                                onClick={() => setState((p) => ({ ...p, [k]: Math.max(0, p[k] - 1) }))} 
-                                className="border-2 border-gray-300 rounded w-10 h-10 grid place-items-center hover:bg-gray-100 font-bold"
-                              >
-                                -
-                              </button>
-                              <input 
-                                type="number" 
-                                value={state[k]} 
-                                onChange={(e) => setState((p) => ({ ...p, [k]: Math.max(0, parseInt(e.target.value || "0", 10)) }))} 
-                                className="border-2 border-gray-300 rounded text-center w-16 h-10 font-semibold" 
-                              />
-                              <button 
-                                onClick={() => setState((p) => ({ ...p, [k]: p[k] + 1 }))} 
-                                className="border-2 border-gray-300 rounded w-10 h-10 grid place-items-center hover:bg-gray-100 font-bold"
-                              >
-                                +
-                              </button>
-                            </div>
-                          </div>
-                        );
-                      }) }
-                    </div>
-                  </div>
-                </div>
-              </section>
-            )}
-            {active.tile && (
-              <section className="mt-6 bg-blue-50 p-6 rounded-lg">
-                <h3 className="font-semibold text-xl mb-2 text-blue-900">Tile and Grout Cleaning</h3>
-                <p className="text-sm text-slate-600 mb-4">Single rate: {fmt(RATES.tile.rate)} / sq ft. Enter your total tile area below.</p>
-                <label className="block text-sm font-medium">
-                  <span>Total Tile Area (sq ft)</span>
-                  <input 
-                    type="number" 
-                    className="mt-2 border-2 border-gray-300 rounded-lg h-12 px-4 w-full md:w-60 focus:ring-2 focus:ring-blue-500 focus:border-transparent" 
-                    value={tileTotalSqft} 
-                    onChange={(e) => setTileTotalSqft(Math.max(0, parseInt(e.target.value || "0", 10)))} 
-                  />
-                </label>
-              </section>
-            )}
-            {active.upholstery && (
-              <section className="mt-6 bg-blue-50 p-6 rounded-lg">
-                <h3 className="font-semibold text-xl mb-2 text-blue-900">Upholstery Cleaning</h3>
-                <p className="text-sm text-slate-600 mb-4">Add Deodorizer (15% of base, max $20) and Fabric Protector (20% of base, max $50) per item.</p>
-                <div className="space-y-3">
-                  <div className="p-4 border-2 border-blue-300 rounded-lg bg-white">
-                    <div className="font-medium mb-3 text-blue-900">Sectional Configuration</div>
-                    <div className="grid md:grid-cols-2 gap-4 mb-3">
-                      <label className="text-sm">
-                        <span className="font-medium block mb-2">Cushions per sectional:</span>
-                        <input 
-                          type="number" 
-                          min={4} 
-                          max={12} 
-                          className="border-2 border-gray-300 rounded-lg h-10 px-3 w-full" 
-                          value={sectionalCushions} 
-                          onChange={(e) => setSectionalCushions(Math.max(4, Math.min(12, parseInt(e.target.value || "6", 10))))} 
-                        />
-                        <span className="text-xs text-slate-500 mt-1 block">Price: {fmt(RATES.sectionalPrices[sectionalCushions] || 0)}</span>
-                      </label>
-                      <div>
-                        <span className="font-medium block mb-2 text-sm">Quantity:</span>
-                        <div className="flex items-center gap-2">
-                          <button 
-                            onClick={() => setSectionalQty(Math.max(0, sectionalQty - 1))} 
-                            className="border-2 border-gray-300 rounded w-10 h-10 grid place-items-center hover:bg-gray-100 font-bold"
-                          >
-                            -
-                          </button>
-                          <input 
-                            type="number" 
-                            className="border-2 border-gray-300 rounded text-center w-20 h-10 font-semibold" 
-                            value={sectionalQty} 
-                            onChange={(e) => setSectionalQty(Math.max(0, parseInt(e.target.value || "0", 10)))} 
-                          />
-                          <button 
-                            onClick={() => setSectionalQty(sectionalQty + 1)} 
-                            className="border-2 border-gray-300 rounded w-10 h-10 grid place-items-center hover:bg-gray-100 font-bold"
-                          >
-                            +
-                          </button>
-                        </div>
-                      </div>
-                    </div>
-                    <div className="grid md:grid-cols-2 gap-3 text-sm">
-                      <label className="inline-flex items-center gap-2">
-                        <input 
-                          type="checkbox" 
-                          checked={sectionalDeo} 
-                          onChange={(e) => setSectionalDeo(e.target.checked)} 
-                          className="w-4 h-4"
-                        />
-                        <span>Deodorizer +{fmt(Math.min(RATES.upholsteryAddOns.deodorizerCap, Math.round((RATES.sectionalPrices[sectionalCushions] || 0) * RATES.upholsteryAddOns.deodorizerPct)))}</span>
-                      </label>
-                      <label className="inline-flex items-center gap-2">
-                        <input 
-                          type="checkbox" 
-                          checked={sectionalProt} 
-                          onChange={(e) => setSectionalProt(e.target.checked)} 
-                          className="w-4 h-4"
-                        />
-                        <span>Fabric Protector +{fmt(Math.min(RATES.upholsteryAddOns.fabricProtectorCap, Math.round((RATES.sectionalPrices[sectionalCushions] || 0) * RATES.upholsteryAddOns.fabricProtectorPct)))}</span>
-                      </label>
-                    </div>
-                  </div>
-                  {uphKeys.map((k) => {
-                    const basePrice = RATES.upholstery[k].price;
-                    const deoPrice = Math.min(RATES.upholsteryAddOns.deodorizerCap, Math.round(basePrice * RATES.upholsteryAddOns.deodorizerPct));
-                    const fabricPrice = Math.min(RATES.upholsteryAddOns.fabricProtectorCap, Math.round(basePrice * RATES.upholsteryAddOns.fabricProtectorPct));
-                    return (
-                      <div key={k} className="p-4 border-2 border-blue-200 rounded-lg bg-white">
-                        <div className="flex items-center justify-between gap-3 mb-3">
-                          <div>
-                            <div className="font-medium text-lg">{RATES.upholstery[k].label}</div>
-                            <div className="text-xs text-slate-500">
-                              Base {fmt(basePrice)}
-                            </div>
-                          </div>
-                          <div className="flex items-center gap-2">
-                            <button 
-                              onClick={() => setUphQty(p => ({ ...p, [k]: Math.max(0, p[k] - 1) }))} 
-                              className="border-2 border-gray-300 rounded w-10 h-10 grid place-items-center hover:bg-gray-100 font-bold"
-                            >
-                              -
-                            </button>
-                            <input 
-                              type="number" 
-                              className="border-2 border-gray-300 rounded text-center w-16 h-10 font-semibold" 
-                              value={uphQty[k]} 
-                              onChange={(e) => setUphQty(p => ({ ...p, [k]: Math.max(0, parseInt(e.target.value || "0", 10)) }))} 
-                            />
-                            <button 
-                              onClick={() => setUphQty(p => ({ ...p, [k]: (p[k] || 0) + 1 }))} 
-                              className="border-2 border-gray-300 rounded w-10 h-10 grid place-items-center hover:bg-gray-100 font-bold"
-                            >
-                              +
-                            </button>
-                          </div>
-                        </div>
-                        <div className="grid md:grid-cols-2 gap-3 text-sm">
-                          <label className="inline-flex items-center gap-2">
-                            <input 
-                              type="checkbox" 
-                              checked={uphDeo[k]} 
-                              onChange={(e) => setUphDeo(p => ({ ...p, [k]: e.target.checked }))} 
-                              className="w-4 h-4"
-                            />
-                            <span>Deodorizer +{fmt(deoPrice)}</span>
-                          </label>
-                          <label className="inline-flex items-center gap-2">
-                            <input 
-                              type="checkbox" 
-                              checked={uphProt[k]} 
-                              onChange={(e) => setUphProt(p => ({ ...p, [k]: e.target.checked }))} 
-                              className="w-4 h-4"
-                            />
-                            <span>Fabric Protector +{fmt(fabricPrice)}</span>
-                          </label>
-                        </div>
-                      </div>
-                    );
-                  })}
-                </div>
-              </section>
-            )}
-            {active.rugs && (
-              <section className="mt-6 bg-blue-50 p-6 rounded-lg">
-                <h3 className="font-semibold text-xl mb-2 text-blue-900">Area Rug Cleaning</h3>
-                <p className="text-sm text-slate-600 mb-4">Select your rug material and size below, then choose a cleaning package.</p>
-                <div className="mb-6">
-                  <h4 className="font-semibold mb-3 text-blue-900">Select Rug Material:</h4>
-                  <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
-                    <button
-                      onClick={() => setSelectedRugMaterial("synthetic")}
-                      className={cls("p-3 rounded-lg border-2 text-center transition-all font-medium text-sm", selectedRugMaterial === "synthetic" ? "bg-blue-600 text-white border-blue-600" : "bg-white border-blue-200 hover:border-blue-400")}
-                    >
-                      Synthetic/Nylon
-                    </button>
-                    <button
-                      onClick={() => setSelectedRugMaterial("wool")}
-                      className={cls("p-3 rounded-lg border-2 text-center transition-all font-medium text-sm", selectedRugMaterial === "wool" ? "bg-blue-600 text-white border-blue-600" : "bg-white border-blue-200 hover:border-blue-400")}
-                    >
-                      Wool/Oriental
-                    </button>
-                    <button
-                      onClick={() => setSelectedRugMaterial("cotton")}
-                      className={cls("p-3 rounded-lg border-2 text-center transition-all font-medium text-sm", selectedRugMaterial === "cotton" ? "bg-blue-600 text-white border-blue-600" : "bg-white border-blue-200 hover:border-blue-400")}
-                    >
-                      Cotton
-                    </button>
-                    <button
-                      onClick={() => setSelectedRugMaterial("silk")}
-                      className={cls("p-3 rounded-lg border-2 text-center transition-all font-medium text-sm", selectedRugMaterial === "silk" ? "bg-blue-600 text-white border-blue-600" : "bg-white border-blue-200 hover:border-blue-400")}
-                    >
-                      Silk/Delicate
-                    </button>
-                  </div>
-                </div>
-                <div className="mb-6">
-                  <h4 className="font-semibold mb-3 text-blue-900">Select Rug Size:</h4>
-                  <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-7 gap-2">
-                    {rugSizes.map((size) => (
-                      <button
-                        key={size}
-                        onClick={() => setSelectedRugSize(size)}
-                        className={cls("p-3 rounded-lg border-2 text-center transition-all font-medium text-sm", selectedRugSize === size ? "bg-blue-600 text-white border-blue-600" : "bg-white border-blue-200 hover:border-blue-400")}
-                      >
-                        {RATES.rugs[size].label}
-                      </button>
-                    ))}
-                  </div>
-                </div>
-                <div>
-                  <h4 className="font-semibold text-lg mb-3 text-blue-900">
-                    Packages for {RATES.rugs[selectedRugSize].label} Rugs:
-                  </h4>
-                  <div className="grid md:grid-cols-3 gap-4">
-                    {/* Standard package */}
-                    <div className="p-4 border-2 border-blue-200 rounded-lg bg-white">
-                      <div className="font-semibold mb-1">Standard Steam Clean</div>
-                      <p className="text-xs text-slate-600 mb-2">Professional steam cleaning with truck mounted carpet cleaner using hot water extraction.</p>
-                      <div className="text-lg font-bold text-blue-600 mb-3">{fmt(RATES.rugs[selectedRugSize].standard)}</div>
-                      <div className="flex items-center gap-2">
-                        <button 
-                          onClick={() => setRugPackages(p => ({ ...p, [selectedRugSize]: { ...p[selectedRugSize], standard: Math.max(0, p[selectedRugSize].standard - 1) } }))} 
-                          className="border-2 border-gray-300 rounded w-10 h-10 grid place-items-center hover:bg-gray-100 font-bold"
-                        >
-                          -
-                        </button>
-                        <input 
-                          type="number" 
-                          value={rugPackages[selectedRugSize].standard} 
-                          onChange={(e) => setRugPackages(p => ({ ...p, [selectedRugSize]: { ...p[selectedRugSize], standard: Math.max(0, parseInt(e.target.value || "0", 10)) } }))} 
-                          className="border-2 border-gray-300 rounded text-center w-16 h-10 font-semibold" 
-                        />
-                        <button 
-                          onClick={() => setRugPackages(p => ({ ...p, [selectedRugSize]: { ...p[selectedRugSize], standard: p[selectedRugSize].standard + 1 } }))} 
-                          className="border-2 border-gray-300 rounded w-10 h-10 grid place-items-center hover:bg-gray-100 font-bold"
-                        >
-                          +
-                        </button>
-                      </div>
-                    </div>
-                    {/* Reset package */}
-                    <div className="p-4 border-2 border-blue-200 rounded-lg bg-white">
-                      <div className="font-semibold mb-1">Factory Reset Clean</div>
-                      <p className="text-xs text-slate-600 mb-2">Deep cleaning with truck mounted carpet cleaner using CRB (counter rotating brushes) scrubber that unlocks hair and debris, and deodorizer.</p>
-                      <div className="text-lg font-bold text-blue-600 mb-3">{fmt(RATES.rugs[selectedRugSize].reset)}</div>
-                      <div className="flex items-center gap-2">
-                        <button 
-                          onClick={() => setRugPackages(p => ({ ...p, [selectedRugSize]: { ...p[selectedRugSize], reset: Math.max(0, p[selectedRugSize].reset - 1) } }))} 
-                          className="border-2 border-gray-300 rounded w-10 h-10 grid place-items-center hover:bg-gray-100 font-bold"
-                        >
-                          -
-                        </button>
-                        <input 
-                          type="number" 
-                          value={rugPackages[selectedRugSize].reset} 
-                          onChange={(e) => setRugPackages(p => ({ ...p, [selectedRugSize]: { ...p[selectedRugSize], reset: Math.max(0, parseInt(e.target.value || "0", 10)) } }))} 
-                          className="border-2 border-gray-300 rounded text-center w-16 h-10 font-semibold" 
-                        />
-                        <button 
-                          onClick={() => setRugPackages(p => ({ ...p, [selectedRugSize]: { ...p[selectedRugSize], reset: p[selectedRugSize].reset + 1 } }))} 
-                          className="border-2 border-gray-300 rounded w-10 h-10 grid place-items-center hover:bg-gray-100 font-bold"
-                        >
-                          +
-                        </button>
-                      </div>
-                    </div>
-                    {/* Deluxe package */}
-                    <div className="p-4 border-2 border-blue-200 rounded-lg bg-white">
-                      <div className="font-semibold mb-1">Factory Reset Deluxe</div>
-                      <p className="text-xs text-slate-600 mb-2">Includes everything with the Factory Reset Clean package plus prevacuuming and fiber protection.</p>
-                      <div className="text-lg font-bold text-blue-600 mb-3">{fmt(RATES.rugs[selectedRugSize].deluxe)}</div>
-                      <div className="flex items-center gap-2">
-                        <button 
-                          onClick={() => setRugPackages(p => ({ ...p, [selectedRugSize]: { ...p[selectedRugSize], deluxe: Math.max(0, p[selectedRugSize].deluxe - 1) } }))} 
-                          className="border-2 border-gray-300 rounded w-10 h-10 grid place-items-center hover:bg-gray-100 font-bold"
-                        >
-                          -
-                        </button>
-                        <input 
-                          type="number" 
-                          value={rugPackages[selectedRugSize].deluxe} 
-                          onChange={(e) => setRugPackages(p => ({ ...p, [selectedRugSize]: { ...p[selectedRugSize], deluxe: Math.max(0, parseInt(e.target.value || "0", 10)) } }))} 
-                          className="border-2 border-gray-300 rounded text-center w-16 h-10 font-semibold" 
-                        />
-                        <button 
-                          onClick={() => setRugPackages(p => ({ ...p, [selectedRugSize]: { ...p[selectedRugSize], deluxe: p[selectedRugSize].deluxe + 1 } }))} 
-                          className="border-2 border-gray-300 rounded w-10 h-10 grid place-items-center hover:bg-gray-100 font-bold"
-                        >
-                          +
-                        </button>
-                      </div>
-                    </div>
-                  </div>
-                </div>
-              </section>
-            )}
-            {active.pest && (
-              <section className="mt-6 bg-blue-50 p-6 rounded-lg">
-                <h3 className="font-semibold text-xl mb-2 text-blue-900">Pest Control (Alabama)</h3>
-                <div className="grid md:grid-cols-2 gap-4 mb-4">
-                  <label className="inline-flex items-center gap-3 p-4 border-2 border-blue-200 rounded-lg bg-white">
-                    <input 
-                      type="checkbox" 
-                      className="w-5 h-5" 
-                      checked={pestMonthly} 
-                      onChange={(e) => setPestMonthly(e.target.checked)} 
-                    />
-                    <div>
-                      <div className="font-medium">Monthly General Pest Control</div>
-                      <div className="text-sm text-blue-600 font-bold">{fmt(RATES.pest.monthly.price)}/month</div>
-                    </div>
-                  </label>
-                  <label className="inline-flex items-center gap-3 p-4 border-2 border-blue-200 rounded-lg bg-white">
-                    <input 
-                      type="checkbox" 
-                      className="w-5 h-5" 
-                      checked={pestOneTime} 
-                      onChange={(e) => setPestOneTime(e.target.checked)} 
-                    />
-                    <div>
-                      <div className="font-medium">One-Time General Pest Control</div>
-                      <div className="text-sm text-blue-600 font-bold">{fmt(RATES.pest.oneTime.price)}</div>
-                    </div>
-                  </label>
-                </div>
-                <div className="p-4 border-2 border-blue-200 rounded-lg bg-white">
-                  <label className="block text-sm font-medium mb-2">
-                    Move-Out Flea and Tick Treatment - enter home sq ft
-                    <input 
-                      type="number" 
-                      className="mt-2 border-2 border-gray-300 rounded-lg h-12 px-4 w-full focus:ring-2 focus:ring-blue-500" 
-                      value={pestHomeSqft} 
-                      onChange={(e) => setPestHomeSqft(Math.max(0, parseInt(e.target.value || "0", 10)))} 
-                    />
-                  </label>
-                  <p className="text-xs text-slate-500 mt-2">
-                    Under 1600 sq ft: {fmt(RATES.pest.flea1600)} - Under 3200 sq ft: {fmt(RATES.pest.flea3200)} - Over 3200: custom quote
-                  </p>
-                </div>
-                <p className="text-xs text-amber-700 bg-amber-50 p-3 rounded-lg mt-4">
-                  Serviced through our sister company Jet Stream Exterminators, Alabama License 2025-7001296 Household Pest Control. Alabama clients only.
-                </p>
-              </section>
+            {shownCatalog.filter((c) => active[c.key]).map((c) => {
+              const available = categoryAvailable(c, jobState);
+              return (
+                <ServiceSection
+                  key={c.key}
+                  category={c}
+                  job={commercial ? units[unitIndex].selections : job}
+                  onChange={commercial ? setUnitSelection : setSelection}
+                  rates={rates}
+                  disabled={!available}
+                  notice={available ? null : c.unavailable + " " + (jobState ? "ZIP " + zip + " is in " + jobState + "." : "We couldn't determine the state for your ZIP code.") + " These options have been disabled and won't be added to your quote."}
+                />
+              );
+            })}
+            {suggestions.map((s) => (
+              <p key={s.key} className="text-sm text-green-800 bg-green-50 border-2 border-green-200 p-4 rounded-lg">{s.text}</p>
+            ))}
+            {errors.services && (
+              <p className="text-sm text-red-700 bg-red-50 p-3 rounded-lg">{errors.services}</p>
             )}
             <div className="flex justify-between mt-8 pt-6 border-t">
               <button 
@@ -836,7 +674,7 @@ function App() {
                 Back
               </button>
               <button 
-                onClick={() => setStep(3)} 
+                onClick={handleContinue} 
                 className="h-12 px-8 rounded-lg bg-blue-600 text-white font-semibold hover:bg-blue-700 transition-colors"
               >
                 Continue to Contact Info
@@ -858,8 +696,9 @@ function App() {
                   placeholder="John Doe" 
                   value={customerName} 
                   onChange={(e) => setCustomerName(e.target.value)} 
-                  className="border-2 border-gray-300 rounded-lg h-12 px-4 w-full focus:ring-2 focus:ring-blue-500 focus:border-transparent" 
+                  className={cls("border-2 rounded-lg h-12 px-4 w-full focus:ring-2 focus:ring-blue-500 focus:border-transparent", errors.name ? "border-red-500" : "border-gray-300")} 
                 />
+                {errors.name && <p className="text-sm text-red-700 mt-1">{errors.name}</p>}
               </div>
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -870,8 +709,10 @@ function App() {
                   placeholder="(555) 123-4567" 
                   value={customerPhone} 
                   onChange={(e) => setCustomerPhone(e.target.value)} 
-                  className="border-2 border-gray-300 rounded-lg h-12 px-4 w-full focus:ring-2 focus:ring-blue-500 focus:border-transparent" 
+                  onBlur={() => setCustomerPhone((p) => normalizePhone(p) || p)} 
+                  className={cls("border-2 rounded-lg h-12 px-4 w-full focus:ring-2 focus:ring-blue-500 focus:border-transparent", errors.phone ? "border-red-500" : "border-gray-300")} 
                 />
+                {errors.phone && <p className="text-sm text-red-700 mt-1">{errors.phone}</p>}
               </div>
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -882,9 +723,28 @@ function App() {
                   placeholder="john@example.com" 
                   value={customerEmail} 
                   onChange={(e) => setCustomerEmail(e.target.value)} 
-                  className="border-2 border-gray-300 rounded-lg h-12 px-4 w-full focus:ring-2 focus:ring-blue-500 focus:border-transparent" 
+                  className={cls("border-2 rounded-lg h-12 px-4 w-full focus:ring-2 focus:ring-blue-500 focus:border-transparent", errors.email ? "border-red-500" : "border-gray-300")} 
                 />
+                {errors.email && <p className="text-sm text-red-700 mt-1">{errors.email}</p>}
               </div>
+              <fieldset className="space-y-2">
+                <legend className="block text-sm font-medium text-gray-700 mb-2">How may we contact you? (optional)</legend>
+                {CONSENT_PURPOSES.map((p) => (
+                  <label key={p.key} className="flex items-start gap-2 text-sm text-slate-700">
+                    <input
+                      type="checkbox"
+                      className="w-4 h-4 mt-0.5"
+                      checked={consent[p.key] !== null}
+                      onChange={(e) => setConsentState((c) => setConsent(c, p.key, e.target.checked))}
+                    />
+                    <span>{p.label}</span>
+                  </label>
+                ))}
+              </fieldset>
+              <p className="text-xs text-slate-600">
+                Your details are used to prepare and follow up on this quote as described in our{" "}
+                <a href={PRIVACY_POLICY_URL} target="_blank" rel="noopener noreferrer" className="underline text-blue-700">Privacy Policy</a>.
+              </p>
             </div>
             <div className="flex justify-between mt-8 pt-6 border-t">
               <button 
@@ -894,7 +754,7 @@ function App() {
                 Back
               </button>
               <button 
-                onClick={() => setStep(4)} 
+                onClick={handleContinue} 
                 className="h-12 px-8 rounded-lg bg-blue-600 text-white font-semibold hover:bg-blue-700 transition-colors"
               >
                 Continue to Quote
@@ -922,52 +782,116 @@ function App() {
                 </div>
               </div>
             </div>
+            {leadStatus && (
+              <p className={cls("text-sm p-4 rounded-lg border-2", leadStatus === "queued" ? "text-amber-800 bg-amber-50 border-amber-200" : "text-green-800 bg-green-50 border-green-200")} role="status">
+                {LEAD_STATUS_TEXT[leadStatus]}
+              </p>
+            )}
+            {pestDropped && (
+              <p className="text-sm text-amber-800 bg-amber-50 border-2 border-amber-200 p-4 rounded-lg">
+                Your pest control selections were removed from this quote because pest control is only available in Alabama.
+              </p>
+            )}
             <div className="border-2 border-blue-200 rounded-lg divide-y bg-white">
               {summary.lines.length === 0 && (
                 <div className="p-6 text-center text-slate-600">
                   No services selected yet. Go back and add quantities.
                 </div>
               )}
-              {summary.lines.map((l, i) => (
-                <div key={i} className="flex justify-between p-4 hover:bg-blue-50 transition-colors">
-                  <div className="flex-1">
-                    <div className="font-medium text-lg">{l.label}</div>
-                    {l.each !== undefined && (
-                      <div className="text-sm text-slate-500">
-                        {l.qty} x {fmt(l.each)}
+              {lineGroups.map((g) => (
+                <React.Fragment key={g.key}>
+                  {g.label && (
+                    <div className="flex justify-between p-4 bg-blue-50 font-semibold text-blue-900">
+                      <span>{g.label}</span>
+                      {g.subtotal !== undefined && <span>{fmt(g.subtotal)}</span>}
+                    </div>
+                  )}
+                  {g.lines.map((l, i) => (
+                    <div key={i} className="flex justify-between p-4 hover:bg-blue-50 transition-colors">
+                      <div className="flex-1">
+                        <div className="font-medium text-lg">{l.label}</div>
+                        {l.each !== undefined && (
+                          <div className="text-sm text-slate-500">
+                            {l.qty} x {fmt(l.each)}{per(l.interval)}
+                          </div>
+                        )}
                       </div>
-                    )}
-                  </div>
-                  <div className="font-bold text-lg text-blue-900">{fmt(l.total)}</div>
-                </div>
+                      <div className="font-bold text-lg text-blue-900">{fmt(l.total)}{per(l.interval)}</div>
+                    </div>
+                  ))}
+                </React.Fragment>
               ))}
             </div>
             {summary.lines.length > 0 && (
-              <div className="bg-blue-600 text-white rounded-lg p-6">
+              <div className="bg-blue-600 text-white rounded-lg p-6 space-y-3">
                 <div className="flex justify-between items-center">
-                  <span className="text-2xl font-bold">Total:</span>
+                  <span className="text-2xl font-bold">Due at service:</span>
                   <span className="text-3xl font-bold">{fmt(summary.total)}</span>
                 </div>
+                {pricedUnits > 1 && (
+                  <div className="flex justify-between items-center">
+                    <span className="text-lg font-semibold">Average per unit ({pricedUnits} units):</span>
+                    <span className="text-xl font-bold">{fmt(Math.round(summary.total / pricedUnits * 100) / 100)}</span>
+                  </div>
+                )}
+                {Object.keys(summary.recurring).map((interval) => (
+                  <div key={interval} className="flex justify-between items-center border-t border-blue-400 pt-3">
+                    <span className="text-lg font-semibold">Recurring {INTERVAL_LABELS[interval]}:</span>
+                    <span className="text-xl font-bold">{fmt(summary.recurring[interval])}{per(interval)}</span>
+                  </div>
+                ))}
+                {labor.technicians > 0 && (
+                  <div className="flex justify-between items-center border-t border-blue-400 pt-3 text-sm">
+                    <span>Estimated time on site:</span>
+                    <span className="font-semibold">{laborText(labor)}</span>
+                  </div>
+                )}
               </div>
             )}
+            <form onSubmit={handleApplyPromo} className="p-6 border-2 border-blue-200 rounded-lg bg-white">
+              <label htmlFor="promo-code" className="font-semibold block mb-3 text-blue-900">Have a promo code?</label>
+              <div className="flex gap-3">
+                <input
+                  id="promo-code"
+                  type="text"
+                  className="border-2 border-gray-300 rounded-lg h-12 px-4 flex-1 uppercase"
+                  value={promoInput}
+                  onChange={(e) => setPromoInput(e.target.value)}
+                  placeholder="Enter code"
+                />
+                <button type="submit" className="h-12 px-6 rounded-lg bg-blue-600 text-white font-semibold hover:bg-blue-700 transition-colors">
+                  Apply
+                </button>
+                {promoCode && (
+                  <button type="button" onClick={handleRemovePromo} className="h-12 px-6 rounded-lg border-2 border-gray-300 hover:bg-gray-50 font-semibold transition-colors">
+                    Remove
+                  </button>
+                )}
+              </div>
+              {promoNote && (
+                <p className={cls("text-sm mt-3", promoNote.ok ? "text-green-700" : "text-red-700")}>{promoNote.text}</p>
+              )}
+            </form>
             <div className="p-6 border-2 border-blue-200 rounded-lg bg-blue-50">
               <p className="font-semibold mb-3 text-blue-900">For a more accurate estimate, please check all that apply:</p>
               <div className="grid md:grid-cols-3 gap-3 text-sm">
-                <label className="inline-flex items-center gap-2 bg-white p-3 rounded">
-                  <input type="checkbox" className="w-4 h-4" />
-                  <span>No nearby parking available</span>
-                </label>
-                <label className="inline-flex items-center gap-2 bg-white p-3 rounded">
-                  <input type="checkbox" className="w-4 h-4" />
-                  <span>Area is on 3rd floor or higher</span>
-                </label>
-                <label className="inline-flex items-center gap-2 bg-white p-3 rounded">
-                  <input type="checkbox" className="w-4 h-4" />
-                  <span>I have guaranteed parking</span>
-                </label>
+                {Object.keys(rates.access.conditions).map((k) => (
+                  <label key={k} className="inline-flex items-center gap-2 bg-white p-3 rounded">
+                    <input 
+                      type="checkbox" 
+                      className="w-4 h-4" 
+                      checked={access[k]} 
+                      onChange={(e) => setAccess(p => ({ ...p, [k]: e.target.checked }))} 
+                    />
+                    <span>{rates.access.conditions[k].label}</span>
+                  </label>
+                ))}
               </div>
+              {accessErrors.map((err) => (
+                <p key={err} className="text-sm text-red-700 bg-red-50 p-3 rounded-lg mt-3">{err}</p>
+              ))}
               <p className="text-xs text-slate-600 mt-3">
-                (If we need to park across/down the street, or clean above the 2nd floor, portable equipment may be required.)
+                (If we need to park across/down the street, or clean above the 2nd floor, portable equipment is required: {fmt(rates.access.portableEquipmentFee)} fee.)
               </p>
             </div>
             <div className="flex justify-between items-center mt-8 pt-6 border-t">
@@ -978,14 +902,54 @@ function App() {
                 Back
               </button>
               <button
-                onClick={handleCopyAndProceed}
+                onClick={() => window.print()}
+                disabled={summary.lines.length === 0}
+                className="h-12 px-6 rounded-lg border-2 border-blue-600 text-blue-700 font-semibold hover:bg-blue-50 transition-colors ml-auto mr-3 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Print / Save as PDF
+              </button>
+              <button
+                onClick={handleCopyShareLink}
+                className="h-12 px-6 rounded-lg border-2 border-blue-600 text-blue-700 font-semibold hover:bg-blue-50 transition-colors mr-3"
+              >
+                {linkCopied ? "Link Copied!" : "Copy Share Link"}
+              </button>
+              <button
+                onClick={handleBook}
                 className="h-12 px-8 rounded-lg bg-green-600 text-white font-semibold hover:bg-green-700 transition-colors flex items-center gap-2"
               >
-                {copied ? "Copied!" : "Copy Quote and Book Now"}
+                Continue to Scheduling
               </button>
             </div>
           </div>
         )}
+        {step === 5 && (
+          <ScheduleStep
+            availability={availability}
+            labor={labor}
+            buildRequest={buildRequest}
+            onBack={() => setStep(4)}
+            onBookOnline={handleCopyAndProceed}
+            copied={copied}
+          />
+        )}
+      </div>
+      <div className="mt-4 text-center text-xs text-slate-600 space-y-2 print:hidden">
+        <p>
+          <a href={PRIVACY_POLICY_URL} target="_blank" rel="noopener noreferrer" className="underline">Privacy Policy</a>
+          {" · "}
+          <button onClick={() => setForgetStatus("confirm")} className="underline">Forget my information</button>
+        </p>
+        {forgetStatus === "confirm" && (
+          <div className="inline-flex flex-wrap items-center justify-center gap-3 bg-white border-2 border-gray-300 rounded-lg p-3 text-sm text-slate-700">
+            <span>Clear this quote and remove your details from this browser?</span>
+            <button onClick={handleForget} className="h-9 px-4 rounded-lg bg-red-600 text-white font-semibold hover:bg-red-700 transition-colors">Forget</button>
+            <button onClick={() => setForgetStatus(null)} className="h-9 px-4 rounded-lg border-2 border-gray-300 hover:bg-gray-50 font-semibold transition-colors">Cancel</button>
+          </div>
+        )}
+        {forgetStatus === "done" && (
+          <p className="text-sm text-green-800" role="status">Your quote and contact details have been removed from this browser.</p>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,89 @@
+import React from "react";
+import { act } from "react";
+import { createRoot } from "react-dom/client";
+import App from "./App";
+import { RATES } from "./rates";
+import { emptyJob } from "./quoteEngine";
+import { encodeShareHash } from "./shareLink";
+import { saveQuote } from "./quoteStorage";
+import { leadQueue, memoryLeadSink } from "./leads";
+import { memoryStorage } from "./testHelpers";
+
+global.IS_REACT_ACT_ENVIRONMENT = true;
+
+const job = () => {
+  const j = emptyJob(RATES);
+  j.carpets.rooms.reset = 2;
+  return j;
+};
+
+let container;
+let root;
+let sink;
+
+// Render the wizard with leads going to `sink`, then wait out the delay
+// before a lead is sent.
+const render = () => {
+  sink = memoryLeadSink();
+  act(() => {
+    root.render(<App leads={leadQueue(sink, memoryStorage())} availability={null} abandoned={null} />);
+  });
+};
+const click = (text) => {
+  const button = Array.from(container.querySelectorAll("button")).find((b) => b.textContent.trim() === text);
+  act(() => { button.dispatchEvent(new MouseEvent("click", { bubbles: true })); });
+};
+const waitForLead = async () => {
+  await act(async () => { jest.advanceTimersByTime(5000); });
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  window.localStorage.clear();
+  window.history.replaceState(null, "", "/");
+  container = document.createElement("div");
+  document.body.appendChild(container);
+  root = createRoot(container);
+});
+
+afterEach(() => {
+  act(() => { root.unmount(); });
+  container.remove();
+  jest.useRealTimers();
+});
+
+describe("leads", () => {
+  it("sends nothing for a quote opened from a link", async () => {
+    window.history.replaceState(null, "", "/" + encodeShareHash({ zip: "36867", active: { carpets: true }, job: job() }, RATES));
+    render();
+    expect(container.textContent).toContain("Continue to Scheduling");
+    await waitForLead();
+    expect(sink.leads).toEqual([]);
+  });
+
+  const resume = (consent) => {
+    saveQuote(window.localStorage, {
+      step: 4,
+      zip: "36867",
+      address: "12 Main St",
+      active: { carpets: true },
+      job: job(),
+      contact: { name: "Pat Lee", phone: "3345550100", email: "pat@example.com", consent },
+      promoCode: "",
+    });
+    render();
+    click("Resume your quote");
+  };
+
+  it("sends the quote once the customer has agreed to be contacted", async () => {
+    resume({ contact: "2026-10-19T14:58:00.000Z", sms: null, marketing: null });
+    await waitForLead();
+    expect(sink.leads.map((l) => l.contact.name)).toEqual(["Pat Lee"]);
+  });
+
+  it("sends nothing without consent to be contacted", async () => {
+    resume({ contact: null, sms: null, marketing: null });
+    await waitForLead();
+    expect(sink.leads).toEqual([]);
+  });
+});
@@ -0,0 +1,114 @@
+/*
+ * Printable quote document.
+ *
+ * A formal, branded version of the quote for customers who need to hand
+ * an estimate to a landlord or property manager.  It is rendered next to
+ * the wizard but only shown when printing, so "Print / Save as PDF" in
+ * the browser produces a clean document without any server round trip.
+ * Lines are grouped by service, or by unit for commercial quotes.  The
+ * terms and the rate card version come from `rates`, the rate card the
+ * quote was priced with.
+ */
+import React from "react";
+import { COMPANY, PEST_LICENSE_TEXT, quoteTerms } from "./company";
+import { fmt, per } from "./format";
+import { groupLinesByService, groupLinesByUnit, INTERVAL_LABELS } from "./quoteEngine";
+
+// Quote number for a quote started on `date`, e.g. "JSC-20261019-4K7Q".
+// The suffix only has to tell apart quotes made on the same day.
+export function makeQuoteNumber(date, random = Math.random) {
+  const pad = (n) => String(n).padStart(2, "0");
+  const day = date.getFullYear() + pad(date.getMonth() + 1) + pad(date.getDate());
+  const suffix = Math.floor(random() * 36 ** 4).toString(36).toUpperCase().padStart(4, "0");
+  return "JSC-" + day + "-" + suffix;
+}
+
+function QuoteDocument({ summary, quoteNumber, date, customer, accessConditions, rates, className }) {
+  const groups = summary.units
+    ? groupLinesByUnit(summary)
+    : groupLinesByService(summary.lines).map((g) => ({ ...g, key: g.service }));
+  return (
+    <div className={className}>
+      <header className="flex justify-between items-start border-b-2 border-blue-900 pb-4 mb-6">
+        <div>
+          <h1 className="text-3xl font-bold text-blue-900">{COMPANY.name.toUpperCase()}</h1>
+          <p className="text-sm text-slate-600">{COMPANY.location} - {COMPANY.website}</p>
+        </div>
+        <div className="text-right text-sm">
+          <div className="text-xl font-semibold text-blue-900">Estimate</div>
+          <div>Quote # {quoteNumber}</div>
+          <div>Date: {date.toLocaleDateString()}</div>
+          <div>Rate card: {rates.version}</div>
+        </div>
+      </header>
+
+      <section className="grid grid-cols-2 gap-6 mb-6 text-sm">
+        <div>
+          <h2 className="font-semibold text-blue-900 mb-1">Prepared for</h2>
+          <div>{customer.name || "Not provided"}</div>
+          <div>{customer.phone}</div>
+          <div>{customer.email}</div>
+        </div>
+        <div>
+          <h2 className="font-semibold text-blue-900 mb-1">Service address</h2>
+          <div>{customer.address || "Not provided"}</div>
+          <div>{customer.zip}</div>
+          <h2 className="font-semibold text-blue-900 mt-3 mb-1">Access conditions</h2>
+          <div>{accessConditions.length > 0 ? accessConditions.join("; ") : "None reported"}</div>
+        </div>
+      </section>
+
+      <table className="w-full text-sm mb-6 border-collapse">
+        <thead>
+          <tr className="border-b-2 border-slate-400 text-left">
+            <th className="py-2">Description</th>
+            <th className="py-2 text-right">Qty</th>
+            <th className="py-2 text-right">Each</th>
+            <th className="py-2 text-right">Amount</th>
+          </tr>
+        </thead>
+        {groups.map((g) => (
+          <tbody key={g.key} className="break-inside-avoid">
+            <tr>
+              <td colSpan={3} className="pt-4 pb-1 font-semibold text-blue-900">{g.label}</td>
+              <td className="pt-4 pb-1 text-right font-semibold text-blue-900">{g.subtotal !== undefined ? fmt(g.subtotal) : ""}</td>
+            </tr>
+            {g.lines.map((l, i) => (
+              <tr key={i} className="border-b border-slate-200">
+                <td className="py-1 pl-3">{l.label}</td>
+                <td className="py-1 text-right">{l.qty}</td>
+                <td className="py-1 text-right">{l.each !== undefined ? fmt(l.each) + per(l.interval) : ""}</td>
+                <td className="py-1 text-right">{fmt(l.total) + per(l.interval)}</td>
+              </tr>
+            ))}
+          </tbody>
+        ))}
+      </table>
+
+      <section className="ml-auto w-1/2 text-sm mb-8">
+        <div className="flex justify-between border-t-2 border-blue-900 pt-2 font-bold text-base">
+          <span>Due at service</span>
+          <span>{fmt(summary.total)}</span>
+        </div>
+        {Object.keys(summary.recurring).map((interval) => (
+          <div key={interval} className="flex justify-between pt-1">
+            <span>Recurring {INTERVAL_LABELS[interval]}</span>
+            <span>{fmt(summary.recurring[interval]) + per(interval)}</span>
+          </div>
+        ))}
+      </section>
+
+      <footer className="text-xs text-slate-600 space-y-2 border-t pt-4 break-inside-avoid">
+        <h2 className="font-semibold text-slate-800">Terms</h2>
+        <ol className="list-decimal pl-5 space-y-1">
+          {quoteTerms(rates).map((t) => (
+            <li key={t}>{t}</li>
+          ))}
+        </ol>
+        <p>{PEST_LICENSE_TEXT}</p>
+      </footer>
+    </div>
+  );
+}
+
+export default QuoteDocument;
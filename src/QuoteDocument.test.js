@@ -0,0 +1,70 @@
+import React from "react";
+import { renderToStaticMarkup } from "react-dom/server";
+import { RATES } from "./rates";
+import { newUnit } from "./commercial";
+import { emptyJob, priceQuote } from "./quoteEngine";
+import QuoteDocument, { makeQuoteNumber } from "./QuoteDocument";
+
+describe("makeQuoteNumber", () => {
+  test("combines the date with a four character suffix", () => {
+    expect(makeQuoteNumber(new Date(2026, 9, 19), () => 0.5)).toBe("JSC-20261019-I000");
+  });
+
+  test("pads short suffixes", () => {
+    expect(makeQuoteNumber(new Date(2026, 0, 5), () => 0)).toBe("JSC-20260105-0000");
+  });
+});
+
+describe("QuoteDocument", () => {
+  const render = (job, rates = RATES) =>
+    renderToStaticMarkup(
+      <QuoteDocument
+        summary={priceQuote(job, rates)}
+        quoteNumber="JSC-20261019-ABCD"
+        date={new Date(2026, 9, 19)}
+        customer={{ name: "Pat Lee", phone: "(334) 555-0100", email: "pat@example.com", address: "12 Main St", zip: "36867" }}
+        accessConditions={["Area is on 3rd floor or higher"]}
+        rates={rates}
+      />
+    );
+
+  test("lists lines under their service with totals", () => {
+    const job = { ...emptyJob(RATES), state: "AL" };
+    job.carpets.rooms.reset = 2;
+    job.pest.monthly = true;
+    const html = render(job);
+    expect(html).toContain("JSC-20261019-ABCD");
+    expect(html).toContain("Carpet Cleaning");
+    expect(html).toContain("Pest Control");
+    expect(html).not.toContain("Tile and Grout Cleaning");
+    expect(html).toContain("$49.99/month");
+    expect(html).toContain("Recurring monthly");
+    expect(html).toContain("Pat Lee");
+    expect(html).toContain("Area is on 3rd floor or higher");
+    expect(html).toContain("Alabama License 2025-7001296");
+  });
+
+  test("lists commercial lines under their unit with its subtotal", () => {
+    const units = ["Apt 101", "Apt 102"].map((name, i) => {
+      const unit = { ...newUnit(i, RATES), name };
+      unit.selections.commercialCarpet.standard = 500;
+      return unit;
+    });
+    const html = render({ ...emptyJob(RATES), zone: "extended", units });
+    expect(html).toContain("Apt 101");
+    expect(html).toContain("Apt 102");
+    expect(html).toContain("$110.00");
+    expect(html).toContain("Fees and Discounts");
+    expect(html).not.toContain("Carpet Cleaning");
+  });
+
+  test("states the terms and version of the rate card used", () => {
+    const rates = { ...RATES, version: "2027.01", minCharge: 150, roomSize: { ...RATES.roomSize, includedSqft: 250 } };
+    const job = emptyJob(rates);
+    job.carpets.rooms.reset = 2;
+    const html = render(job, rates);
+    expect(html).toContain("Rate card: 2027.01");
+    expect(html).toContain("Rooms are priced up to 250 sq ft");
+    expect(html).toContain("A minimum charge of $150.00 applies");
+  });
+});
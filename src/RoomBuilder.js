@@ -0,0 +1,126 @@
+/*
+ * Room-by-room carpet list for Step 2.
+ *
+ * Each carpet room gets a name, an optional size (length and width, or
+ * square feet) and a cleaning package.  Prices come from roomPrice, so
+ * what is shown here matches the quote line for the room.
+ */
+import React from "react";
+import { fmt } from "./format";
+import { newRoom, roomPrice, roomSqft, ROOM_DIMENSION_MAX, ROOM_LIST_MAX, ROOM_NAME_MAX, ROOM_SQFT_MAX } from "./carpetRooms";
+
+// Parse a size input: a non-negative number up to `max`, or 0.
+const parseSize = (text, max) => {
+  const n = parseFloat(text);
+  return isFinite(n) && n > 0 ? Math.min(n, max) : 0;
+};
+
+function RoomBuilder({ rooms, onChange, rates }) {
+  const packages = Object.keys(rates.carpets.rooms);
+  const included = rates.roomSize.includedSqft;
+
+  const update = (i, patch) => onChange(rooms.map((r, j) => (j === i ? { ...r, ...patch } : r)));
+  const remove = (i) => onChange(rooms.filter((r, j) => j !== i));
+  const addRoom = () => onChange(rooms.concat(newRoom(rooms.length, rooms.length > 0 ? rooms[rooms.length - 1].package : packages[0])));
+
+  return (
+    <div className="space-y-4">
+      <div className="grid md:grid-cols-3 gap-4">
+        {packages.map((k) => (
+          <div key={k} className="p-4 border-2 border-blue-200 rounded-lg bg-white">
+            <div className="font-semibold mb-1">{rates.carpets.rooms[k].label}</div>
+            <p className="text-xs text-slate-600 mb-2">{rates.carpets.rooms[k].desc}</p>
+            <div className="text-lg font-bold text-blue-600">{fmt(rates.carpets.rooms[k].price)}</div>
+            <div className="text-xs text-slate-500">
+              per room up to {included} sq ft, then {fmt(rates.roomSize.overagePerSqft[k])} / sq ft
+            </div>
+          </div>
+        ))}
+      </div>
+      {rooms.map((room, i) => {
+        const sqft = roomSqft(room);
+        const price = roomPrice(room, rates);
+        return (
+          <div key={i} className="p-4 border-2 border-blue-200 rounded-lg bg-white space-y-3">
+            <div className="grid md:grid-cols-12 gap-3 items-end text-sm">
+              <label className="md:col-span-4">
+                <span className="font-medium block mb-1">Room name</span>
+                <input
+                  type="text"
+                  maxLength={ROOM_NAME_MAX}
+                  className="border-2 border-gray-300 rounded-lg h-10 px-3 w-full"
+                  value={room.name}
+                  onChange={(e) => update(i, { name: e.target.value })}
+                />
+              </label>
+              <label className="md:col-span-2">
+                <span className="font-medium block mb-1">Length (ft)</span>
+                <input
+                  type="number"
+                  min={0}
+                  className="border-2 border-gray-300 rounded-lg h-10 px-3 w-full"
+                  value={room.length || ""}
+                  onChange={(e) => update(i, { length: parseSize(e.target.value, ROOM_DIMENSION_MAX) })}
+                />
+              </label>
+              <label className="md:col-span-2">
+                <span className="font-medium block mb-1">Width (ft)</span>
+                <input
+                  type="number"
+                  min={0}
+                  className="border-2 border-gray-300 rounded-lg h-10 px-3 w-full"
+                  value={room.width || ""}
+                  onChange={(e) => update(i, { width: parseSize(e.target.value, ROOM_DIMENSION_MAX) })}
+                />
+              </label>
+              <label className="md:col-span-2">
+                <span className="font-medium block mb-1">or sq ft</span>
+                <input
+                  type="number"
+                  min={0}
+                  className="border-2 border-gray-300 rounded-lg h-10 px-3 w-full disabled:bg-gray-100"
+                  value={room.length > 0 && room.width > 0 ? sqft : room.sqft || ""}
+                  disabled={room.length > 0 && room.width > 0}
+                  onChange={(e) => update(i, { sqft: Math.round(parseSize(e.target.value, ROOM_SQFT_MAX)) })}
+                />
+              </label>
+              <label className="md:col-span-2">
+                <span className="font-medium block mb-1">Package</span>
+                <select
+                  className="border-2 border-gray-300 rounded-lg h-10 px-2 w-full bg-white"
+                  value={room.package}
+                  onChange={(e) => update(i, { package: e.target.value })}
+                >
+                  {packages.map((k) => (
+                    <option key={k} value={k}>{rates.carpets.rooms[k].label}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+            <div className="flex justify-between items-center text-sm">
+              <span className="text-slate-600">
+                {sqft > 0 ? sqft + " sq ft" : "Size not given"}
+                {price.overageSqft > 0 && (
+                  <> - {fmt(price.base)} + {price.overageSqft} sq ft over {included} at {fmt(rates.roomSize.overagePerSqft[room.package])}</>
+                )}
+              </span>
+              <span className="flex items-center gap-4">
+                <span className="font-bold text-blue-900">{fmt(price.total)}</span>
+                <button onClick={() => remove(i)} className="text-red-600 hover:underline">Remove</button>
+              </span>
+            </div>
+          </div>
+        );
+      })}
+      <button
+        onClick={addRoom}
+        disabled={rooms.length >= ROOM_LIST_MAX}
+        className="h-12 px-6 rounded-lg border-2 border-blue-600 text-blue-700 font-semibold hover:bg-blue-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        + Add Room
+      </button>
+    </div>
+  );
+}
+
+export default RoomBuilder;
@@ -0,0 +1,178 @@
+/*
+ * Step 5 of the wizard: pick an arrival window and request the booking.
+ *
+ * Open windows come from the availability provider (see availability.js)
+ * for the `labor` estimate's time on site and drive back (see
+ * scheduling.js), so only windows the job fits in are offered.  The request carries the quote, built by `buildRequest`, and
+ * the provider's reference is shown once it is accepted.  When no window
+ * can be offered the customer can still copy the quote and book online.
+ * Without a provider (`availability` null) requests would reach no one,
+ * so booking online is the only choice offered.
+ */
+import React, { useEffect, useState } from "react";
+import { windowDay, windowLabel, windowTimes } from "./availability";
+import { crewMinutes, formatDuration } from "./scheduling";
+import { cls } from "./format";
+
+// `buildRequest(window, notes)` returns the service request to submit;
+// `onBookOnline` copies the quote and opens the booking site.
+function ScheduleStep({ availability, labor, buildRequest, onBack, onBookOnline, copied }) {
+  const minutes = crewMinutes(labor);
+  // The open windows, or null while they load
+  const [windows, setWindows] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  // Bumped to load the windows again after a failed request
+  const [reloads, setReloads] = useState(0);
+  const [chosen, setChosen] = useState(null);
+  const [notes, setNotes] = useState("");
+  const [sending, setSending] = useState(false);
+  const [sendError, setSendError] = useState(null);
+  const [reference, setReference] = useState(null);
+
+  useEffect(() => {
+    if (!availability) return;
+    let current = true;
+    setWindows(null);
+    setLoadError(null);
+    availability.windows(minutes).then(
+      (open) => current && setWindows(open),
+      (err) => current && setLoadError(err.message)
+    );
+    return () => {
+      current = false;
+    };
+  }, [availability, minutes, reloads]);
+
+  const picked = windows ? windows.find((w) => w.id === chosen) : undefined;
+  const days = [];
+  (windows || []).forEach((w) => {
+    const day = windowDay(w);
+    if (days.length === 0 || days[days.length - 1].day !== day) days.push({ day, windows: [] });
+    days[days.length - 1].windows.push(w);
+  });
+
+  const handleRequest = () => {
+    if (!picked || sending) return;
+    setSending(true);
+    setSendError(null);
+    availability.request(buildRequest(picked, notes.trim())).then(
+      (res) => {
+        setSending(false);
+        setReference(res.reference);
+      },
+      (err) => {
+        setSending(false);
+        setSendError(err.message);
+        setChosen(null);
+        setReloads((n) => n + 1);
+      }
+    );
+  };
+
+  if (reference) {
+    return (
+      <div className="space-y-6">
+        <h2 className="text-2xl font-semibold text-blue-900">Step 5: Schedule Your Service</h2>
+        <div className="bg-green-50 border-2 border-green-200 rounded-lg p-6 space-y-2">
+          <h3 className="font-semibold text-xl text-green-900">Request received</h3>
+          <p className="text-sm">We'll confirm your arrival window of {windowLabel(picked)} shortly. Your quote is attached to the request.</p>
+          <p className="text-sm"><span className="font-medium">Request number:</span> {reference}</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!availability) {
+    return (
+      <div className="space-y-6">
+        <h2 className="text-2xl font-semibold text-blue-900">Step 5: Schedule Your Service</h2>
+        <p className="text-sm text-slate-600">
+          Estimated time on site: <span className="font-semibold">{formatDuration(labor.onSiteMinutes)}</span>. Copy your quote and book online to choose when the crew arrives.
+        </p>
+        <div className="flex justify-between items-center mt-8 pt-6 border-t">
+          <button
+            onClick={onBack}
+            className="h-12 px-6 rounded-lg border-2 border-gray-300 hover:bg-gray-50 font-semibold transition-colors"
+          >
+            Back
+          </button>
+          <button
+            onClick={onBookOnline}
+            className="h-12 px-8 rounded-lg bg-green-600 text-white font-semibold hover:bg-green-700 transition-colors"
+          >
+            {copied ? "Copied!" : "Copy Quote and Book Online"}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const unavailable = loadError || (windows && windows.length === 0);
+  return (
+    <div className="space-y-6">
+      <h2 className="text-2xl font-semibold text-blue-900">Step 5: Schedule Your Service</h2>
+      <p className="text-sm text-slate-600">
+        Estimated time on site: <span className="font-semibold">{formatDuration(labor.onSiteMinutes)}</span>. Choose when you'd like the crew to arrive.
+      </p>
+      {windows === null && !loadError && <p className="text-sm text-slate-600">Loading open appointment times...</p>}
+      {unavailable && (
+        <div className="bg-amber-50 border-2 border-amber-200 text-amber-800 rounded-lg p-4 text-sm">
+          {loadError || "There are no open arrival windows for a job this size in the next few weeks."} You can copy your quote and book online instead.
+        </div>
+      )}
+      {days.map((d) => (
+        <section key={d.day}>
+          <h3 className="font-semibold text-blue-900 mb-2">{d.day}</h3>
+          <div className="flex flex-wrap gap-2">
+            {d.windows.map((w) => (
+              <button
+                key={w.id}
+                onClick={() => setChosen(w.id)}
+                className={cls("px-4 py-2 rounded-lg border-2 text-sm font-medium transition-all", w.id === chosen ? "bg-blue-600 text-white border-blue-600" : "bg-white border-blue-200 hover:border-blue-400")}
+              >
+                {windowTimes(w)}
+              </button>
+            ))}
+          </div>
+        </section>
+      ))}
+      {windows && windows.length > 0 && (
+        <label className="block text-sm">
+          <span className="font-medium block mb-1">Notes for the crew (optional)</span>
+          <textarea
+            className="border-2 border-gray-300 rounded-lg p-3 w-full"
+            rows={3}
+            maxLength={500}
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            placeholder="Gate code, pets, parking..."
+          />
+        </label>
+      )}
+      {sendError && <p className="text-sm text-red-700 bg-red-50 p-3 rounded-lg">{sendError}</p>}
+      <div className="flex justify-between items-center mt-8 pt-6 border-t">
+        <button
+          onClick={onBack}
+          className="h-12 px-6 rounded-lg border-2 border-gray-300 hover:bg-gray-50 font-semibold transition-colors"
+        >
+          Back
+        </button>
+        <button
+          onClick={onBookOnline}
+          className="h-12 px-6 rounded-lg border-2 border-blue-600 text-blue-700 font-semibold hover:bg-blue-50 transition-colors ml-auto mr-3"
+        >
+          {copied ? "Copied!" : "Copy Quote and Book Online"}
+        </button>
+        <button
+          onClick={handleRequest}
+          disabled={!picked || sending}
+          className="h-12 px-8 rounded-lg bg-green-600 text-white font-semibold hover:bg-green-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {sending ? "Sending..." : "Request This Time"}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ScheduleStep;
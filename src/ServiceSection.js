@@ -0,0 +1,321 @@
+/*
+ * One service category of Step 2, rendered from its service catalog
+ * entry (see serviceCatalog.js).
+ *
+ * Each input is drawn by the component for its type and edits the job
+ * through `onChange(path, value)`, so a new category or input only needs
+ * a catalog entry.  Lists use the builder component named by the input.
+ */
+import React, { useState } from "react";
+import { cls, fmt, per } from "./format";
+import { addOnPrice, getPath } from "./serviceCatalog";
+import RoomBuilder from "./RoomBuilder";
+import TileAreaBuilder from "./TileAreaBuilder";
+
+// Builder components for list inputs, by the input's `builder`.
+const BUILDERS = {
+  rooms: ({ value, onChange, rates }) => <RoomBuilder rooms={value} onChange={onChange} rates={rates} />,
+  tileAreas: ({ value, onChange, rates }) => <TileAreaBuilder areas={value} onChange={onChange} rates={rates} />,
+};
+
+// Parse a count typed into a stepper: a whole number, at least 0.
+const parseCount = (text) => Math.max(0, parseInt(text || "0", 10) || 0);
+
+function Stepper({ value, onChange, label, disabled, wide }) {
+  return (
+    <div className="flex items-center gap-2">
+      <button
+        onClick={() => onChange(Math.max(0, value - 1))}
+        disabled={disabled}
+        className="border-2 border-gray-300 rounded w-10 h-10 grid place-items-center hover:bg-gray-100 font-bold"
+      >
+        -
+      </button>
+      <input
+        type="number"
+        aria-label={label}
+        value={value}
+        disabled={disabled}
+        onChange={(e) => onChange(parseCount(e.target.value))}
+        className={cls("border-2 border-gray-300 rounded text-center h-10 font-semibold", wide ? "w-20" : "w-16")}
+      />
+      <button
+        onClick={() => onChange(value + 1)}
+        disabled={disabled}
+        className="border-2 border-gray-300 rounded w-10 h-10 grid place-items-center hover:bg-gray-100 font-bold"
+      >
+        +
+      </button>
+    </div>
+  );
+}
+
+function CountsInput({ input, value, onChange, disabled }) {
+  if (input.options.length === 0) return null;
+  const set = (k, n) => onChange({ ...value, [k]: n });
+
+  if (input.display === "list") {
+    return (
+      <div>
+        <h4 className="font-semibold text-lg mb-3 text-blue-900">{input.title}</h4>
+        <div className="grid md:grid-cols-2 gap-4">
+          {input.options.map((o) => (
+            <div key={o.key} className="p-4 border-2 border-blue-200 rounded-lg bg-white flex items-center justify-between gap-4">
+              <div>
+                <div className="font-semibold">{o.label}</div>
+                <div className="text-sm text-slate-600">{fmt(o.price)}{o.unit ? " " + o.unit : ""}</div>
+              </div>
+              <Stepper value={value[o.key] || 0} onChange={(n) => set(o.key, n)} label={o.label} disabled={disabled} />
+            </div>
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <h4 className="font-semibold text-lg mb-3 text-blue-900">{input.title}</h4>
+      <div className="grid md:grid-cols-3 gap-4">
+        {input.options.map((o) => {
+          if (o.price === null) {
+            return (
+              <div key={o.key} className="p-4 border-2 border-gray-200 rounded-lg bg-gray-50 text-slate-500">
+                <div className="font-semibold mb-1">{o.label}</div>
+                <p className="text-xs mb-2">{o.desc}</p>
+                <div className="text-sm font-medium">{o.unavailable}</div>
+              </div>
+            );
+          }
+          return (
+            <div key={o.key} className="p-4 border-2 border-blue-200 rounded-lg bg-white">
+              <div className="font-semibold mb-1">{o.label}</div>
+              <p className="text-xs text-slate-600 mb-2">{o.desc}</p>
+              <div className="text-lg font-bold text-blue-600 mb-3">{fmt(o.price)}</div>
+              <Stepper value={value[o.key] || 0} onChange={(n) => set(o.key, n)} label={o.label} disabled={disabled} />
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+function ItemInput({ input, value, onChange, disabled }) {
+  const sizes = input.sizes;
+  const counts = sizes ? Object.keys(sizes.prices).map(Number) : [];
+  const min = Math.min(...counts);
+  const max = Math.max(...counts);
+  const base = sizes ? sizes.prices[value[sizes.key]] || 0 : input.price;
+  const set = (patch) => onChange({ ...value, ...patch });
+
+  const addOns = (
+    <div className="grid md:grid-cols-2 gap-3 text-sm">
+      {input.addOns.map((a) => (
+        <label key={a.key} className="inline-flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={value[a.key] === true}
+            disabled={disabled}
+            onChange={(e) => set({ [a.key]: e.target.checked })}
+            className="w-4 h-4"
+          />
+          <span>{a.label} +{fmt(addOnPrice(base, a.pct, a.cap))}</span>
+        </label>
+      ))}
+    </div>
+  );
+
+  if (sizes) {
+    return (
+      <div className="p-4 border-2 border-blue-300 rounded-lg bg-white">
+        <div className="font-medium mb-3 text-blue-900">{input.title}</div>
+        <div className="grid md:grid-cols-2 gap-4 mb-3">
+          <label className="text-sm">
+            <span className="font-medium block mb-2">{sizes.label}</span>
+            <input
+              type="number"
+              min={min}
+              max={max}
+              className="border-2 border-gray-300 rounded-lg h-10 px-3 w-full"
+              value={value[sizes.key]}
+              disabled={disabled}
+              onChange={(e) => set({ [sizes.key]: Math.max(min, Math.min(max, parseInt(e.target.value || String(min), 10) || min)) })}
+            />
+            <span className="text-xs text-slate-500 mt-1 block">Price: {fmt(base)}</span>
+          </label>
+          <div>
+            <span className="font-medium block mb-2 text-sm">Quantity:</span>
+            <Stepper value={value.qty} onChange={(qty) => set({ qty })} label={input.label + " quantity"} disabled={disabled} wide />
+          </div>
+        </div>
+        {addOns}
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-4 border-2 border-blue-200 rounded-lg bg-white">
+      <div className="flex items-center justify-between gap-3 mb-3">
+        <div>
+          <div className="font-medium text-lg">{input.label}</div>
+          <div className="text-xs text-slate-500">Base {fmt(base)}</div>
+        </div>
+        <Stepper value={value.qty} onChange={(qty) => set({ qty })} label={input.label} disabled={disabled} />
+      </div>
+      {addOns}
+    </div>
+  );
+}
+
+function ToggleInput({ input, value, onChange, disabled }) {
+  return (
+    <label className="flex items-center gap-3 p-4 border-2 border-blue-200 rounded-lg bg-white">
+      <input type="checkbox" className="w-5 h-5" checked={value === true} disabled={disabled} onChange={(e) => onChange(e.target.checked)} />
+      <div>
+        <div className="font-medium">{input.label}</div>
+        <div className="text-sm text-blue-600 font-bold">{fmt(input.price)}{per(input.interval)}</div>
+      </div>
+    </label>
+  );
+}
+
+function TieredInput({ input, value, onChange, disabled }) {
+  return (
+    <div className="p-4 border-2 border-blue-200 rounded-lg bg-white">
+      <label className="block text-sm font-medium mb-2">
+        {input.label}
+        <input
+          type="number"
+          className="mt-2 border-2 border-gray-300 rounded-lg h-12 px-4 w-full focus:ring-2 focus:ring-blue-500"
+          value={value}
+          disabled={disabled}
+          onChange={(e) => onChange(parseCount(e.target.value))}
+        />
+      </label>
+      <p className="text-xs text-slate-500 mt-2">{input.note}</p>
+    </div>
+  );
+}
+
+function MeasureInput({ input, value, onChange, disabled }) {
+  return (
+    <label className="block text-sm font-medium">
+      <span>{input.label} ({fmt(input.rate)} / sq ft)</span>
+      <input
+        type="number"
+        className="mt-2 border-2 border-gray-300 rounded-lg h-12 px-4 w-full md:w-60 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        value={value}
+        disabled={disabled}
+        onChange={(e) => onChange(parseCount(e.target.value))}
+      />
+    </label>
+  );
+}
+
+function RunInput({ input, value, onChange, disabled }) {
+  return (
+    <div className="p-4 border-2 border-blue-200 rounded-lg bg-white space-y-3">
+      <div className="font-medium">{input.label}</div>
+      <div className="flex flex-wrap gap-x-6 gap-y-3 items-end text-sm">
+        <label>
+          <span className="font-medium block mb-1">Run length (ft)</span>
+          <input
+            type="number"
+            min={0}
+            className="border-2 border-gray-300 rounded-lg h-10 px-3 w-32"
+            value={value.feet}
+            disabled={disabled}
+            onChange={(e) => onChange({ ...value, feet: parseCount(e.target.value) })}
+          />
+        </label>
+        {["wall", "rooftop"].map((k) => (
+          <label key={k} className="flex items-center gap-2 h-10">
+            <input
+              type="radio"
+              name={input.path}
+              className="w-4 h-4"
+              checked={value.rooftop === (k === "rooftop")}
+              disabled={disabled}
+              onChange={() => onChange({ ...value, rooftop: k === "rooftop" })}
+            />
+            <span>{input.exits[k].label}</span>
+          </label>
+        ))}
+      </div>
+      <p className="text-xs text-slate-500">{input.note}</p>
+    </div>
+  );
+}
+
+function ListInput({ input, value, onChange, rates }) {
+  const Builder = BUILDERS[input.builder];
+  return (
+    <div>
+      {input.title && <h4 className="font-semibold text-lg mb-3 text-blue-900">{input.title}</h4>}
+      <Builder value={value} onChange={onChange} rates={rates} />
+    </div>
+  );
+}
+
+const INPUTS = {
+  counts: CountsInput,
+  item: ItemInput,
+  toggle: ToggleInput,
+  tiered: TieredInput,
+  measure: MeasureInput,
+  run: RunInput,
+  list: ListInput,
+};
+
+// `disabled` greys out every input, with `notice` saying why.
+function ServiceSection({ category, job, onChange, rates, disabled = false, notice = null }) {
+  const pickers = category.pickers || [];
+  const [picked, setPicked] = useState(() => pickers.map((p) => p.options[0].key));
+  const group = picked.join(".");
+  const inputs = category.inputs.filter((input) => !input.hidden && (pickers.length === 0 || input.group === group));
+
+  return (
+    <section className="mt-6 space-y-6 bg-blue-50 p-6 rounded-lg">
+      <div>
+        <h3 className="font-semibold text-xl mb-2 text-blue-900">{category.label}</h3>
+        {category.intro && <p className="text-sm text-slate-600">{category.intro}</p>}
+      </div>
+      {notice && <p className="text-sm text-red-700 bg-red-50 p-3 rounded-lg">{notice}</p>}
+      {pickers.map((p, i) => (
+        <div key={p.label}>
+          <h4 className="font-semibold mb-3 text-blue-900">{p.label}</h4>
+          <div className={cls("grid grid-cols-2 gap-2", p.options.length > 4 ? "md:grid-cols-4 lg:grid-cols-7" : "md:grid-cols-4")}>
+            {p.options.map((o) => (
+              <button
+                key={o.key}
+                onClick={() => setPicked((prev) => prev.map((k, j) => (j === i ? o.key : k)))}
+                className={cls("p-3 rounded-lg border-2 text-center transition-all font-medium text-sm", picked[i] === o.key ? "bg-blue-600 text-white border-blue-600" : "bg-white border-blue-200 hover:border-blue-400")}
+              >
+                {o.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      ))}
+      <div className={cls("space-y-4", disabled && "opacity-50")}>
+        {inputs.map((input) => {
+          const Input = INPUTS[input.type];
+          return (
+            <Input
+              key={input.path}
+              input={input}
+              value={getPath(job, input.path)}
+              onChange={(value) => onChange(input.path, value)}
+              rates={rates}
+              disabled={disabled}
+            />
+          );
+        })}
+      </div>
+      {category.footnote && <p className="text-xs text-amber-700 bg-amber-50 p-3 rounded-lg">{category.footnote}</p>}
+    </section>
+  );
+}
+
+export default ServiceSection;
@@ -0,0 +1,142 @@
+/*
+ * Area-by-area tile list for Step 2.
+ *
+ * Each tile area gets a name, a kind (kitchen floor, shower walls, ...),
+ * a size (length and width, or square feet), a surface type and any
+ * sealing add-ons.  Prices come from tileAreaPrice, so what is shown
+ * here matches the quote lines for the area.
+ */
+import React from "react";
+import { fmt } from "./format";
+import { newTileArea, tileAreaPrice, tileAreaSqft, TILE_AREA_MAX, TILE_DIMENSION_MAX, TILE_NAME_MAX, TILE_SQFT_MAX } from "./tileAreas";
+
+// Parse a size input: a non-negative number up to `max`, or 0.
+const parseSize = (text, max) => {
+  const n = parseFloat(text);
+  return isFinite(n) && n > 0 ? Math.min(n, max) : 0;
+};
+
+function TileAreaBuilder({ areas, onChange, rates }) {
+  const kinds = Object.keys(rates.tile.areas);
+  const surfaces = Object.keys(rates.tile.surfaces);
+  const addOns = Object.keys(rates.tile.addOns);
+
+  const update = (i, patch) => onChange(areas.map((a, j) => (j === i ? { ...a, ...patch } : a)));
+  const remove = (i) => onChange(areas.filter((a, j) => j !== i));
+  const addArea = () => onChange(areas.concat(newTileArea(areas.length, rates)));
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-slate-600">
+        Add each tiled area with its size. Rates start at {fmt(Math.min(...kinds.map((k) => rates.tile.areas[k].rate)))} / sq ft
+        and depend on the area and surface. Tile work has a {fmt(rates.tile.minimum)} minimum.
+      </p>
+      {areas.map((area, i) => {
+        const price = tileAreaPrice(area, rates);
+        const measured = area.length > 0 && area.width > 0;
+        return (
+          <div key={i} className="p-4 border-2 border-blue-200 rounded-lg bg-white space-y-3">
+            <div className="grid md:grid-cols-12 gap-3 items-end text-sm">
+              <label className="md:col-span-3">
+                <span className="font-medium block mb-1">Area name</span>
+                <input
+                  type="text"
+                  maxLength={TILE_NAME_MAX}
+                  className="border-2 border-gray-300 rounded-lg h-10 px-3 w-full"
+                  value={area.name}
+                  onChange={(e) => update(i, { name: e.target.value })}
+                />
+              </label>
+              <label className="md:col-span-3">
+                <span className="font-medium block mb-1">Area</span>
+                <select
+                  className="border-2 border-gray-300 rounded-lg h-10 px-2 w-full bg-white"
+                  value={area.kind}
+                  onChange={(e) => update(i, { kind: e.target.value })}
+                >
+                  {kinds.map((k) => (
+                    <option key={k} value={k}>{rates.tile.areas[k].label} ({fmt(rates.tile.areas[k].rate)} / sq ft)</option>
+                  ))}
+                </select>
+              </label>
+              <label className="md:col-span-2">
+                <span className="font-medium block mb-1">Length (ft)</span>
+                <input
+                  type="number"
+                  min={0}
+                  className="border-2 border-gray-300 rounded-lg h-10 px-3 w-full"
+                  value={area.length || ""}
+                  onChange={(e) => update(i, { length: parseSize(e.target.value, TILE_DIMENSION_MAX) })}
+                />
+              </label>
+              <label className="md:col-span-2">
+                <span className="font-medium block mb-1">Width (ft)</span>
+                <input
+                  type="number"
+                  min={0}
+                  className="border-2 border-gray-300 rounded-lg h-10 px-3 w-full"
+                  value={area.width || ""}
+                  onChange={(e) => update(i, { width: parseSize(e.target.value, TILE_DIMENSION_MAX) })}
+                />
+              </label>
+              <label className="md:col-span-2">
+                <span className="font-medium block mb-1">or sq ft</span>
+                <input
+                  type="number"
+                  min={0}
+                  className="border-2 border-gray-300 rounded-lg h-10 px-3 w-full disabled:bg-gray-100"
+                  value={measured ? price.sqft : area.sqft || ""}
+                  disabled={measured}
+                  onChange={(e) => update(i, { sqft: Math.round(parseSize(e.target.value, TILE_SQFT_MAX)) })}
+                />
+              </label>
+            </div>
+            <div className="flex flex-wrap gap-x-6 gap-y-2 items-center text-sm">
+              <label className="flex items-center gap-2">
+                <span className="font-medium">Surface</span>
+                <select
+                  className="border-2 border-gray-300 rounded-lg h-10 px-2 bg-white"
+                  value={area.surface}
+                  onChange={(e) => update(i, { surface: e.target.value })}
+                >
+                  {surfaces.map((k) => (
+                    <option key={k} value={k}>{rates.tile.surfaces[k].label}</option>
+                  ))}
+                </select>
+              </label>
+              {addOns.map((k) => (
+                <label key={k} className="flex items-center gap-2 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    className="w-4 h-4"
+                    checked={area.addOns[k] === true}
+                    onChange={(e) => update(i, { addOns: { ...area.addOns, [k]: e.target.checked } })}
+                  />
+                  <span>{rates.tile.addOns[k].label} (+{fmt(rates.tile.addOns[k].perSqft)} / sq ft)</span>
+                </label>
+              ))}
+            </div>
+            <div className="flex justify-between items-center text-sm">
+              <span className="text-slate-600">
+                {tileAreaSqft(area) > 0 ? price.sqft + " sq ft at " + fmt(price.rate) + " / sq ft" : "Enter a size to price this area"}
+              </span>
+              <span className="flex items-center gap-4">
+                <span className="font-bold text-blue-900">{fmt(price.total)}</span>
+                <button onClick={() => remove(i)} className="text-red-600 hover:underline">Remove</button>
+              </span>
+            </div>
+          </div>
+        );
+      })}
+      <button
+        onClick={addArea}
+        disabled={areas.length >= TILE_AREA_MAX}
+        className="h-12 px-6 rounded-lg border-2 border-blue-600 text-blue-700 font-semibold hover:bg-blue-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        + Add Tile Area
+      </button>
+    </div>
+  );
+}
+
+export default TileAreaBuilder;
@@ -0,0 +1,83 @@
+/*
+ * Unit list for commercial quotes on Step 2.
+ *
+ * Lists every unit with its subtotal and picks the unit whose services
+ * are edited below it.  The picked unit can be renamed, copied for the
+ * next unit like it, or removed.  Subtotals come from the priced summary
+ * (`summary.units`), so they match the quote.
+ */
+import React from "react";
+import { cls, fmt } from "./format";
+import { copyUnit, newUnit, nextTierNote, UNIT_MAX, UNIT_NAME_MAX, unitName, volumeTier } from "./commercial";
+
+// `onChange(units, current)` gets the new list and the unit to pick.
+function UnitBar({ units, current, onChange, totals, rates }) {
+  const unit = units[current];
+  const priced = totals.filter((t) => t.subtotal > 0).length;
+  const tier = volumeTier(priced, rates);
+  const note = nextTierNote(priced, rates);
+
+  const rename = (name) => onChange(units.map((u, i) => (i === current ? { ...u, name } : u)), current);
+  const add = (u) => onChange(units.concat(u), units.length);
+  const remove = () => onChange(units.filter((u, i) => i !== current), Math.max(0, current - 1));
+
+  return (
+    <section className="space-y-4 bg-blue-50 p-6 rounded-lg">
+      <div>
+        <h3 className="font-semibold text-xl mb-2 text-blue-900">Units and Addresses</h3>
+        <p className="text-sm text-slate-600">
+          Add each apartment, suite or address, then choose its services below.
+          {tier ? " " + Math.round(tier.percent * 100) + "% volume discount for " + priced + " units." : ""}
+          {note ? " " + note : ""}
+        </p>
+      </div>
+      <div className="flex flex-wrap gap-2">
+        {units.map((u, i) => (
+          <button
+            key={i}
+            onClick={() => onChange(units, i)}
+            className={cls("px-4 py-2 rounded-lg border-2 text-left text-sm transition-all", i === current ? "bg-blue-600 text-white border-blue-600" : "bg-white border-blue-200 hover:border-blue-400")}
+          >
+            <div className="font-semibold">{unitName(u, i)}</div>
+            <div className="text-xs">{fmt((totals[i] || {}).subtotal || 0)}</div>
+          </button>
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-3 items-end">
+        <label className="text-sm flex-1 min-w-[12rem]">
+          <span className="font-medium block mb-1">Unit name or address</span>
+          <input
+            type="text"
+            maxLength={UNIT_NAME_MAX}
+            className="border-2 border-gray-300 rounded-lg h-10 px-3 w-full"
+            value={unit.name}
+            onChange={(e) => rename(e.target.value)}
+          />
+        </label>
+        <button
+          onClick={() => add(newUnit(units.length, rates))}
+          disabled={units.length >= UNIT_MAX}
+          className="h-10 px-4 rounded-lg border-2 border-blue-600 text-blue-700 font-semibold hover:bg-white transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          + Add Unit
+        </button>
+        <button
+          onClick={() => add(copyUnit(unit, units.length))}
+          disabled={units.length >= UNIT_MAX}
+          className="h-10 px-4 rounded-lg border-2 border-blue-600 text-blue-700 font-semibold hover:bg-white transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Copy This Unit
+        </button>
+        <button
+          onClick={remove}
+          disabled={units.length <= 1}
+          className="h-10 px-4 text-red-600 hover:underline disabled:opacity-50 disabled:no-underline disabled:cursor-not-allowed"
+        >
+          Remove
+        </button>
+      </div>
+    </section>
+  );
+}
+
+export default UnitBar;
@@ -0,0 +1,109 @@
+/*
+ * Abandoned-quote capture.
+ *
+ * Customers who give us a phone number or email and then leave on the
+ * contact or quote step are warm leads.  If they agree to be followed
+ * up, the wizard watches for them leaving (see `watchAbandonment`): the
+ * tab being hidden, the page closing, or no activity for IDLE_MS.  It
+ * then sends a partial lead, the quote as it stands built by
+ * `buildAbandonedLead`, through its own lead queue (see leads.js) to
+ * the endpoint in REACT_APP_ABANDONED_LEAD_ENDPOINT.  Without one the
+ * wizard doesn't watch at all (see `shouldWatch`).  `sendAbandonedLead`
+ * sends each version of a quote once per browser session, however often
+ * the customer leaves and comes back.
+ */
+import { buildLead, httpLeadSink, leadQueue } from "./leads";
+import { isValidEmail, normalizePhone } from "./validation";
+
+export const ABANDONED_LEAD_ENDPOINT = process.env.REACT_APP_ABANDONED_LEAD_ENDPOINT || "";
+
+export const ABANDONED_QUEUE_KEY = "jetstream.abandonedQueue";
+
+// Session storage key listing the partial leads sent this session.
+export const ABANDONED_SENT_KEY = "jetstream.abandonedSent";
+
+// How long without activity counts as leaving.
+export const IDLE_MS = 5 * 60 * 1000;
+
+// Events that show the customer is still there.
+const ACTIVITY_EVENTS = ["pointerdown", "keydown", "scroll", "touchstart"];
+
+// Whether we could follow up: a valid phone number or email address.
+export function isReachable(phone, email) {
+  return normalizePhone(phone) !== null || isValidEmail(email);
+}
+
+// Whether to watch for the customer leaving: only with a `queue` to send
+// partial leads through, consent to contact them about the quote, and a
+// way to reach them.
+export function shouldWatch(queue, consented, phone, email) {
+  return queue !== null && consented && isReachable(phone, email);
+}
+
+// The partial lead for a quote left on `step`, for `reason` ("hidden",
+// "unload" or "idle"): the lead of buildLead, marked partial.
+export function buildAbandonedLead(values, step, reason, now = new Date()) {
+  return { ...buildLead(values, now), partial: true, step, reason };
+}
+
+// What makes two partial leads the same for deduping: the quote, how to
+// reach the customer and what was quoted, not when or why it was sent.
+function dedupeKey(lead) {
+  return JSON.stringify([lead.id, lead.contact.phone, lead.contact.email, lead.lines.map((l) => l.label + " " + l.total), lead.total]);
+}
+
+// Submit a partial lead to `queue` unless the same one was already sent
+// this session, as listed in `session` storage.  Resolves to the queue's
+// status, or null when skipped.  Without session storage every lead is
+// sent.
+export function sendAbandonedLead(queue, lead, session) {
+  const key = dedupeKey(lead);
+  let sent = [];
+  try {
+    const list = JSON.parse(session.getItem(ABANDONED_SENT_KEY));
+    if (Array.isArray(list)) sent = list;
+  } catch (e) {
+    // Treat as nothing sent.
+  }
+  if (sent.indexOf(key) !== -1) return Promise.resolve(null);
+  // Recorded before sending, as leaving often fires several events at once.
+  try {
+    session.setItem(ABANDONED_SENT_KEY, JSON.stringify(sent.concat(key)));
+  } catch (e) {
+    // Ignore: a repeat send is better than none.
+  }
+  return queue.submit(lead);
+}
+
+// The queue partial leads are sent through, or null when no endpoint is
+// configured.
+export function defaultAbandonedQueue(storage) {
+  if (!ABANDONED_LEAD_ENDPOINT) return null;
+  return leadQueue(httpLeadSink(ABANDONED_LEAD_ENDPOINT, undefined, undefined, true), storage, ABANDONED_QUEUE_KEY);
+}
+
+// Call `onAbandon(reason)` when the customer seems to leave: "hidden"
+// when the document is hidden, "unload" when the page is closed, and
+// "idle" after `idleMs` without activity.  Returns a function that stops
+// watching.
+export function watchAbandonment(onAbandon, idleMs = IDLE_MS, win = window, doc = document) {
+  let timer;
+  const reset = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => onAbandon("idle"), idleMs);
+  };
+  const hidden = () => {
+    if (doc.visibilityState === "hidden") onAbandon("hidden");
+  };
+  const unload = () => onAbandon("unload");
+  doc.addEventListener("visibilitychange", hidden);
+  win.addEventListener("pagehide", unload);
+  ACTIVITY_EVENTS.forEach((e) => win.addEventListener(e, reset, { passive: true }));
+  reset();
+  return () => {
+    clearTimeout(timer);
+    doc.removeEventListener("visibilitychange", hidden);
+    win.removeEventListener("pagehide", unload);
+    ACTIVITY_EVENTS.forEach((e) => win.removeEventListener(e, reset, { passive: true }));
+  };
+}
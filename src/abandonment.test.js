@@ -0,0 +1,100 @@
+import { memoryStorage, quoteValues } from "./testHelpers";
+import { memoryLeadSink, leadQueue } from "./leads";
+import { ABANDONED_SENT_KEY, buildAbandonedLead, defaultAbandonedQueue, isReachable, sendAbandonedLead, shouldWatch, watchAbandonment } from "./abandonment";
+
+describe("isReachable", () => {
+  test("needs a valid phone number or email address", () => {
+    expect(isReachable("334-555-0100", "")).toBe(true);
+    expect(isReachable("", "pat@example.com")).toBe(true);
+    expect(isReachable("555-01", "pat@")).toBe(false);
+  });
+});
+
+describe("shouldWatch", () => {
+  test("needs a queue, consent and a way to reach the customer", () => {
+    const queue = leadQueue(memoryLeadSink(), memoryStorage());
+    expect(shouldWatch(queue, true, "334-555-0100", "")).toBe(true);
+    expect(shouldWatch(queue, false, "334-555-0100", "")).toBe(false);
+    expect(shouldWatch(queue, true, "", "pat@")).toBe(false);
+  });
+
+  test("never watches without an endpoint, so nothing is recorded as sent", () => {
+    const storage = memoryStorage();
+    const queue = defaultAbandonedQueue(storage);
+    expect(queue).toBeNull();
+    expect(shouldWatch(queue, true, "334-555-0100", "pat@example.com")).toBe(false);
+    expect(storage.data).toEqual({});
+  });
+});
+
+describe("buildAbandonedLead", () => {
+  test("marks the lead partial with where and why it was left", () => {
+    const lead = buildAbandonedLead({ ...quoteValues(), name: "", phone: "(334) 555-0100", email: "" }, 3, "hidden", new Date("2026-10-19T15:00:00Z"));
+    expect(lead).toMatchObject({ id: "JSC-20261019-ABCD", partial: true, step: 3, reason: "hidden", total: 180 });
+    expect(lead.contact).toEqual({ name: "", phone: "(334) 555-0100", email: "" });
+  });
+});
+
+describe("sendAbandonedLead", () => {
+  test("sends each version of a quote once per session", async () => {
+    const sink = memoryLeadSink();
+    const queue = leadQueue(sink, memoryStorage());
+    const session = memoryStorage();
+    expect(await sendAbandonedLead(queue, buildAbandonedLead(quoteValues(), 3, "hidden"), session)).toBe("sent");
+    expect(await sendAbandonedLead(queue, buildAbandonedLead(quoteValues(), 4, "idle"), session)).toBeNull();
+    expect(await sendAbandonedLead(queue, buildAbandonedLead(quoteValues(3), 4, "unload"), session)).toBe("sent");
+    expect(sink.leads.map((l) => l.reason)).toEqual(["hidden", "unload"]);
+    expect(JSON.parse(session.data[ABANDONED_SENT_KEY])).toHaveLength(2);
+  });
+
+  test("sends every time without session storage", async () => {
+    const sink = memoryLeadSink();
+    const queue = leadQueue(sink, memoryStorage());
+    const broken = { getItem: () => { throw new Error("denied"); }, setItem: () => { throw new Error("denied"); } };
+    await sendAbandonedLead(queue, buildAbandonedLead(quoteValues(), 3, "hidden"), broken);
+    await sendAbandonedLead(queue, buildAbandonedLead(quoteValues(), 3, "hidden"), broken);
+    expect(sink.leads).toHaveLength(2);
+  });
+});
+
+describe("watchAbandonment", () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  const setup = () => {
+    const win = new EventTarget();
+    const doc = Object.assign(new EventTarget(), { visibilityState: "visible" });
+    const reasons = [];
+    const stop = watchAbandonment((reason) => reasons.push(reason), 1000, win, doc);
+    return { win, doc, reasons, stop };
+  };
+
+  test("reports the page being hidden or closed", () => {
+    const { win, doc, reasons } = setup();
+    doc.dispatchEvent(new Event("visibilitychange"));
+    doc.visibilityState = "hidden";
+    doc.dispatchEvent(new Event("visibilitychange"));
+    win.dispatchEvent(new Event("pagehide"));
+    expect(reasons).toEqual(["hidden", "unload"]);
+  });
+
+  test("reports inactivity, counting from the last activity", () => {
+    const { win, reasons } = setup();
+    jest.advanceTimersByTime(800);
+    win.dispatchEvent(new Event("keydown"));
+    jest.advanceTimersByTime(800);
+    expect(reasons).toEqual([]);
+    jest.advanceTimersByTime(200);
+    expect(reasons).toEqual(["idle"]);
+  });
+
+  test("stops watching", () => {
+    const { win, doc, reasons, stop } = setup();
+    stop();
+    doc.visibilityState = "hidden";
+    doc.dispatchEvent(new Event("visibilitychange"));
+    win.dispatchEvent(new Event("pagehide"));
+    jest.advanceTimersByTime(2000);
+    expect(reasons).toEqual([]);
+  });
+});
@@ -0,0 +1,184 @@
+/*
+ * Arrival windows and service requests.
+ *
+ * The scheduling step works with any availability provider, an object
+ * with two functions:
+ *
+ *   windows(minutes)  resolves to the arrival windows a job that long
+ *                     fits in, soonest first, as [{ id, start, end }]
+ *                     where `start` and `end` are local times such as
+ *                     "2026-10-20T08:00" bounding when the crew arrives
+ *   request(request)  submits a service request for one of those
+ *                     windows, with the quote attached, and resolves to
+ *                     { reference }
+ *
+ * Either may reject with an Error whose message can be shown.
+ * `jsonAvailability` serves windows from the weekly schedule in
+ * public/availability.json (see `localAvailability`) and keeps requests
+ * in memory, for development and tests.  `postedRequests` sends a
+ * provider's requests to us instead.  The wizard uses
+ * `defaultAvailability`: the schedule with requests posted to the
+ * endpoint in REACT_APP_SERVICE_REQUEST_ENDPOINT, or no provider without
+ * one, in which case Step 5 only offers to book online.  A provider for
+ * a real calendar only has to implement the same two functions and be
+ * passed to App.
+ */
+
+export const AVAILABILITY_URL = (process.env.PUBLIC_URL || "") + "/availability.json";
+
+export const SERVICE_REQUEST_ENDPOINT = process.env.REACT_APP_SERVICE_REQUEST_ENDPOINT || "";
+
+// Weekday keys of a schedule, in Date#getDay order.
+export const DAY_KEYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+const pad = (n) => String(n).padStart(2, "0");
+const toMinutes = (time) => Number(time.slice(0, 2)) * 60 + Number(time.slice(3));
+const localDate = (d) => d.getFullYear() + "-" + pad(d.getMonth() + 1) + "-" + pad(d.getDate());
+
+// Whether `data` is a usable weekly schedule:
+//
+//   {
+//     leadDays,     first day offered, in days from today
+//     horizonDays,  number of days offered
+//     closes,       "HH:MM" by which the crew must be done and back
+//     weekly: { mon: ["08:00-10:00", ...], ... },  arrival windows by weekday
+//     booked: ["2026-10-21T08:00", ...],           windows already taken
+//   }
+export function isSchedule(data) {
+  if (!data || typeof data !== "object") return false;
+  if (!Number.isInteger(data.leadDays) || data.leadDays < 0) return false;
+  if (!Number.isInteger(data.horizonDays) || data.horizonDays < 1 || data.horizonDays > 90) return false;
+  if (typeof data.closes !== "string" || !TIME.test(data.closes)) return false;
+  if (!data.weekly || typeof data.weekly !== "object") return false;
+  const windowOk = (w) => {
+    if (typeof w !== "string") return false;
+    const [from, to] = w.split("-");
+    return TIME.test(from || "") && TIME.test(to || "") && toMinutes(from) < toMinutes(to);
+  };
+  const daysOk = Object.keys(data.weekly).every((k) => DAY_KEYS.indexOf(k) !== -1 && Array.isArray(data.weekly[k]) && data.weekly[k].every(windowOk));
+  return daysOk && (data.booked === undefined || (Array.isArray(data.booked) && data.booked.every((b) => typeof b === "string")));
+}
+
+// A provider serving windows from a weekly `schedule` (see isSchedule),
+// counting days from `now()`.  A window is offered when a job arriving
+// at its end still finishes by closing time.  Requests are kept in
+// `requests` and take their window off the schedule.
+export function localAvailability(schedule, now = () => new Date()) {
+  const booked = new Set(schedule.booked || []);
+  const requests = [];
+
+  const windows = (minutes) => {
+    const today = now();
+    const open = [];
+    for (let d = schedule.leadDays; d < schedule.leadDays + schedule.horizonDays; d++) {
+      const day = new Date(today.getFullYear(), today.getMonth(), today.getDate() + d);
+      const date = localDate(day);
+      (schedule.weekly[DAY_KEYS[day.getDay()]] || []).forEach((w) => {
+        const [from, to] = w.split("-");
+        const id = date + "T" + from;
+        if (toMinutes(to) + minutes <= toMinutes(schedule.closes) && !booked.has(id)) {
+          open.push({ id, start: id, end: date + "T" + to });
+        }
+      });
+    }
+    return Promise.resolve(open);
+  };
+
+  const request = (req) =>
+    windows(req.minutes).then((open) => {
+      if (!req.window || !open.some((w) => w.id === req.window.id)) {
+        throw new Error("That arrival window is no longer available. Please pick another.");
+      }
+      booked.add(req.window.id);
+      requests.push(req);
+      return { reference: "REQ-" + req.window.id.replace(/\D/g, "") + "-" + requests.length };
+    });
+
+  return { windows, request, requests };
+}
+
+// A provider reading its schedule from the JSON file at `url` the first
+// time it is asked.  A failed load is tried again on the next call.
+export function jsonAvailability(url = AVAILABILITY_URL, fetchFn = (...args) => window.fetch(...args), now = () => new Date()) {
+  let loading = null;
+  const provider = () => {
+    if (!loading) {
+      loading = fetchFn(url, { cache: "no-cache" })
+        .then((res) => {
+          if (!res.ok) throw new Error("We couldn't load open appointment times.");
+          return res.json();
+        })
+        .then((data) => {
+          if (!isSchedule(data)) throw new Error("We couldn't load open appointment times.");
+          return localAvailability(data, now);
+        });
+      loading.catch(() => {
+        loading = null;
+      });
+    }
+    return loading;
+  };
+  return {
+    windows: (minutes) => provider().then((p) => p.windows(minutes)),
+    request: (req) => provider().then((p) => p.request(req)),
+  };
+}
+
+// `provider` with its requests posted as JSON to `url` instead, which
+// responds with { reference }.  A request is only posted while its
+// window is still offered.
+export function postedRequests(provider, url, fetchFn = (...args) => window.fetch(...args)) {
+  // Whatever went wrong, the customer can try again or book online.
+  const failed = () => {
+    throw new Error("We couldn't send your request. Please try again, or copy your quote and book online.");
+  };
+  const request = (req) =>
+    provider.windows(req.minutes).then((open) => {
+      if (!req.window || !open.some((w) => w.id === req.window.id)) {
+        throw new Error("That arrival window is no longer available. Please pick another.");
+      }
+      return fetchFn(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(req),
+      })
+        .then((res) => {
+          if (!res.ok) throw new Error("service request failed with status " + res.status);
+          return res.json();
+        })
+        .then((body) => {
+          if (!body || typeof body.reference !== "string" || !body.reference) throw new Error("service request has no reference");
+          return { reference: body.reference };
+        })
+        .catch(failed);
+    });
+  return { windows: provider.windows, request };
+}
+
+// The provider the wizard uses, or null when no request endpoint is
+// configured, as requests would reach no one.
+export function defaultAvailability() {
+  return SERVICE_REQUEST_ENDPOINT ? postedRequests(jsonAvailability(), SERVICE_REQUEST_ENDPOINT) : null;
+}
+
+const DAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+// The day of a window as it reads to the customer, e.g. "Tue, Oct 20".
+export function windowDay(w) {
+  const [y, m, d] = w.start.slice(0, 10).split("-").map(Number);
+  return DAY_NAMES[new Date(y, m - 1, d).getDay()] + ", " + MONTH_NAMES[m - 1] + " " + d;
+}
+
+// The arrival times of a window, e.g. "8:00 AM - 10:00 AM".
+export function windowTimes(w) {
+  const clock = (iso) => {
+    const hour = Number(iso.slice(11, 13));
+    return (hour % 12 || 12) + ":" + iso.slice(14, 16) + (hour < 12 ? " AM" : " PM");
+  };
+  return clock(w.start) + " - " + clock(w.end);
+}
+
+// A window in full, e.g. "Tue, Oct 20, 8:00 AM - 10:00 AM".
+export const windowLabel = (w) => windowDay(w) + ", " + windowTimes(w);
@@ -0,0 +1,119 @@
+import { defaultAvailability, isSchedule, jsonAvailability, localAvailability, postedRequests, windowDay, windowLabel, windowTimes } from "./availability";
+
+// Monday, October 19, 2026, mid-morning.
+const now = () => new Date(2026, 9, 19, 10, 30);
+
+const schedule = (patch) => ({
+  leadDays: 1,
+  horizonDays: 7,
+  closes: "18:00",
+  weekly: { mon: ["08:00-10:00"], tue: ["08:00-10:00", "13:00-15:00"], sat: ["09:00-11:00"] },
+  booked: [],
+  ...patch,
+});
+
+const ids = (windows) => windows.map((w) => w.id);
+
+describe("localAvailability", () => {
+  test("offers the weekly windows from the lead day through the horizon", async () => {
+    const windows = await localAvailability(schedule(), now).windows(60);
+    expect(ids(windows)).toEqual(["2026-10-20T08:00", "2026-10-20T13:00", "2026-10-24T09:00", "2026-10-26T08:00"]);
+    expect(windows[1]).toEqual({ id: "2026-10-20T13:00", start: "2026-10-20T13:00", end: "2026-10-20T15:00" });
+  });
+
+  test("leaves out booked windows and windows the job can't finish by closing", async () => {
+    const provider = localAvailability(schedule({ booked: ["2026-10-20T08:00"] }), now);
+    expect(ids(await provider.windows(180))).toEqual(["2026-10-20T13:00", "2026-10-24T09:00", "2026-10-26T08:00"]);
+    expect(ids(await provider.windows(240))).toEqual(["2026-10-24T09:00", "2026-10-26T08:00"]);
+  });
+
+  test("takes a requested window off the schedule", async () => {
+    const provider = localAvailability(schedule(), now);
+    const [first] = await provider.windows(60);
+    const request = { window: first, minutes: 60, quote: { number: "Q-1" } };
+    const { reference } = await provider.request(request);
+    expect(reference).toBe("REQ-202610200800-1");
+    expect(provider.requests).toEqual([request]);
+    expect(ids(await provider.windows(60))).not.toContain(first.id);
+    await expect(provider.request(request)).rejects.toThrow("no longer available");
+  });
+});
+
+describe("isSchedule", () => {
+  test("accepts the sample schedule and rejects broken ones", () => {
+    expect(isSchedule(schedule())).toBe(true);
+    expect(isSchedule(schedule({ closes: "6pm" }))).toBe(false);
+    expect(isSchedule(schedule({ weekly: { funday: [] } }))).toBe(false);
+    expect(isSchedule(schedule({ weekly: { mon: ["10:00-08:00"] } }))).toBe(false);
+    expect(isSchedule(schedule({ horizonDays: 0 }))).toBe(false);
+    expect(isSchedule(null)).toBe(false);
+  });
+});
+
+describe("jsonAvailability", () => {
+  const fakeFetch = (body, status = 200) =>
+    jest.fn(() => Promise.resolve({ ok: status === 200, status, json: () => Promise.resolve(body) }));
+
+  test("loads the schedule once", async () => {
+    const fetchFn = fakeFetch(schedule());
+    const provider = jsonAvailability("/availability.json", fetchFn, now);
+    expect(ids(await provider.windows(60))).toHaveLength(4);
+    const [first] = await provider.windows(60);
+    await provider.request({ window: first, minutes: 60 });
+    expect(ids(await provider.windows(60))).toHaveLength(3);
+    expect(fetchFn).toHaveBeenCalledTimes(1);
+  });
+
+  test("rejects when the schedule can't be loaded, and tries again next time", async () => {
+    const fetchFn = fakeFetch(schedule(), 404);
+    const provider = jsonAvailability("/availability.json", fetchFn, now);
+    await expect(provider.windows(60)).rejects.toThrow("couldn't load");
+    await expect(jsonAvailability("/a.json", fakeFetch({ weekly: {} }), now).windows(60)).rejects.toThrow("couldn't load");
+    await expect(provider.windows(60)).rejects.toThrow();
+    expect(fetchFn).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("postedRequests", () => {
+  const respond = (body, status = 200) =>
+    jest.fn(() => Promise.resolve({ ok: status === 200, status, json: () => Promise.resolve(body) }));
+
+  test("posts requests for open windows and resolves to the reference sent back", async () => {
+    const fetchFn = respond({ reference: "SR-1042" });
+    const provider = postedRequests(localAvailability(schedule(), now), "/requests", fetchFn);
+    const [first] = await provider.windows(60);
+    expect(await provider.request({ window: first, minutes: 60 })).toEqual({ reference: "SR-1042" });
+    expect(fetchFn).toHaveBeenCalledWith("/requests", expect.objectContaining({ method: "POST" }));
+    expect(JSON.parse(fetchFn.mock.calls[0][1].body)).toEqual({ window: first, minutes: 60 });
+  });
+
+  test("rejects windows no longer offered without posting", async () => {
+    const fetchFn = respond({ reference: "SR-1042" });
+    const provider = postedRequests(localAvailability(schedule(), now), "/requests", fetchFn);
+    await expect(provider.request({ window: { id: "2026-10-21T08:00" }, minutes: 60 })).rejects.toThrow("no longer available");
+    expect(fetchFn).not.toHaveBeenCalled();
+  });
+
+  test("rejects failed and unconfirmed requests", async () => {
+    const request = (fetchFn) =>
+      postedRequests(localAvailability(schedule(), now), "/requests", fetchFn).request({ window: { id: "2026-10-20T08:00" }, minutes: 60 });
+    await expect(request(respond({}, 500))).rejects.toThrow("couldn't send your request");
+    await expect(request(respond({}))).rejects.toThrow("couldn't send your request");
+    await expect(request(jest.fn(() => Promise.reject(new TypeError("Failed to fetch"))))).rejects.toThrow("couldn't send your request");
+  });
+});
+
+describe("defaultAvailability", () => {
+  test("offers no provider without a request endpoint", () => {
+    expect(defaultAvailability()).toBeNull();
+  });
+});
+
+describe("window labels", () => {
+  test("read as a day and arrival times", () => {
+    const w = { id: "2026-10-20T13:00", start: "2026-10-20T13:00", end: "2026-10-20T15:00" };
+    expect(windowDay(w)).toBe("Tue, Oct 20");
+    expect(windowTimes({ start: "2026-10-20T00:30", end: "2026-10-20T12:00" })).toBe("12:30 AM - 12:00 PM");
+    expect(windowLabel(w)).toBe("Tue, Oct 20, 1:00 PM - 3:00 PM");
+  });
+});
@@ -0,0 +1,128 @@
+/*
+ * Multi-service bundle pricing.
+ *
+ * Bundles are configured in the rate card under `bundles` (see rates.js).
+ * A bundle qualifies from what is actually on the quote: a service
+ * counts when the quote has priced lines for it, so a section that was
+ * switched on but left empty doesn't unlock anything.
+ *
+ * A service is discounted by at most one bundle.  When qualifying
+ * bundles share a service, the one worth more applies.  Bundle discounts
+ * are worked out on regular prices, like promo codes (promotions.js),
+ * and both may apply to the same job.  The engine still never lets the
+ * job drop below the minimum charge.
+ */
+import { fmt } from "./format";
+
+// Services as named in suggestions.
+const SERVICE_NOUNS = {
+  carpet: "carpet cleaning",
+  tile: "tile cleaning",
+  upholstery: "upholstery cleaning",
+  rugs: "rug cleaning",
+  ducts: "duct cleaning",
+  pest: "pest control",
+};
+
+// A suggestion is made when a bundle is at most this many carpet areas,
+// or this share of its minimum total, away from qualifying.
+const NEAR_AREAS = 2;
+const NEAR_TOTAL_SHARE = 0.25;
+
+const round = (n) => Math.round(n * 100) / 100;
+
+// One-time prices of each service on the quote, before discounts.
+function serviceTotals(lines) {
+  const totals = {};
+  lines.forEach((l) => {
+    if (l.interval || l.service === "fees" || l.service === "discounts") return;
+    totals[l.service] = (totals[l.service] || 0) + l.total;
+  });
+  return totals;
+}
+
+// Areas of `area` on the job, in any package.  Rooms on the room list
+// count as rooms.
+function carpetCount(job, area) {
+  const counts = (job.carpets || {})[area] || {};
+  const listed = area === "rooms" ? (job.carpetRoomList || []).length : 0;
+  return Object.keys(counts).reduce((n, k) => n + (counts[k] || 0), listed);
+}
+
+// What a job still lacks for `bundle`: services missing from the quote,
+// carpet areas short by area, and how far the combined price is below
+// the bundle's minimum.  `base` is that combined price.
+function shortfall(bundle, job, totals) {
+  const missing = bundle.services.filter((s) => !(s in totals));
+  const areas = {};
+  Object.keys(bundle.carpetMin || {}).forEach((area) => {
+    const short = bundle.carpetMin[area] - carpetCount(job, area);
+    if (short > 0) areas[area] = short;
+  });
+  const base = bundle.services.reduce((sum, s) => sum + (totals[s] || 0), 0);
+  return { missing, areas, total: round(Math.max(0, (bundle.minTotal || 0) - base)), base };
+}
+
+// What a bundle offers, e.g. "10% off carpet and upholstery cleaning of
+// $300.00 or more".
+export function bundleOffer(bundle) {
+  const min = bundle.minTotal > 0 ? " of " + fmt(bundle.minTotal) + " or more" : "";
+  return Math.round(bundle.percent * 100) + "% off " + bundle.appliesTo + min;
+}
+
+const qualifies = (sf) => sf.missing.length === 0 && Object.keys(sf.areas).length === 0 && sf.total === 0;
+
+// The bundles that apply to a job with the priced `lines`, biggest
+// discount first, as `[{ key, label, offer, amount }]`.
+export function bundleDiscounts(job, lines, rates) {
+  const bundles = rates.bundles || {};
+  const totals = serviceTotals(lines);
+  const candidates = Object.keys(bundles)
+    .map((key) => {
+      const bundle = bundles[key];
+      const sf = shortfall(bundle, job, totals);
+      return qualifies(sf) ? { key, bundle, amount: round(sf.base * bundle.percent) } : null;
+    })
+    .filter((c) => c && c.amount > 0)
+    .sort((a, b) => b.amount - a.amount);
+
+  const used = new Set();
+  const applied = [];
+  candidates.forEach(({ key, bundle, amount }) => {
+    if (bundle.services.some((s) => used.has(s))) return;
+    bundle.services.forEach((s) => used.add(s));
+    applied.push({ key, label: bundle.label, offer: bundleOffer(bundle), amount });
+  });
+  return applied;
+}
+
+// Suggestions for bundles the job nearly qualifies for, as
+// `[{ key, text }]`, e.g. "Add 1 more room to unlock Whole Home pricing
+// (15% off carpet cleaning)."  Only bundles sharing a service with the
+// quote are suggested, and none that are already applied.
+export function bundleSuggestions(job, lines, rates) {
+  const bundles = rates.bundles || {};
+  const totals = serviceTotals(lines);
+  return Object.keys(bundles)
+    .map((key) => {
+      const bundle = bundles[key];
+      const sf = shortfall(bundle, job, totals);
+      if (qualifies(sf) || sf.missing.length === bundle.services.length) return null;
+      const areaShort = Object.keys(sf.areas).reduce((n, a) => n + sf.areas[a], 0);
+      if (sf.missing.length > 1 || areaShort > NEAR_AREAS) return null;
+      if (sf.total > (bundle.minTotal || 0) * NEAR_TOTAL_SHARE) return null;
+
+      const needs = [];
+      sf.missing.forEach((s) => needs.push(SERVICE_NOUNS[s] || s));
+      Object.keys(sf.areas).forEach((area) => {
+        const n = sf.areas[area];
+        const noun = rates.carpetAreas[area];
+        needs.push(n + (carpetCount(job, area) > 0 ? " more " : " ") + (n === 1 ? noun.one : noun.many));
+      });
+      if (sf.missing.length === 0 && sf.total > 0) {
+        needs.push(fmt(sf.total) + " more of " + bundle.services.map((s) => SERVICE_NOUNS[s] || s).join(" or "));
+      }
+      return { key, text: "Add " + needs.join(" and ") + " to unlock " + bundle.label + " pricing (" + bundleOffer(bundle) + ")." };
+    })
+    .filter(Boolean);
+}
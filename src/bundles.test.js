@@ -0,0 +1,93 @@
+import { RATES } from "./rates";
+import { emptyJob, priceQuote } from "./quoteEngine";
+import { bundleDiscounts, bundleOffer, bundleSuggestions } from "./bundles";
+
+// Price a job and return the bundles and suggestions for it.
+const bundlesFor = (job) => bundleDiscounts(job, priceQuote(job, RATES).lines, RATES);
+const suggestionsFor = (job) => bundleSuggestions(job, priceQuote(job, RATES).lines, RATES).map((s) => s.text);
+
+const wholeHomeJob = () => {
+  const job = emptyJob(RATES);
+  job.carpets.rooms.standard = 3;
+  job.carpets.rooms.reset = 2;
+  job.carpets.stairs.reset = 1;
+  return job;
+};
+
+describe("bundleOffer", () => {
+  it("describes the discount and any minimum", () => {
+    expect(bundleOffer(RATES.bundles.wholeHome)).toBe("15% off carpet cleaning");
+    expect(bundleOffer(RATES.bundles.carpetUpholstery)).toBe("10% off carpet and upholstery cleaning of $300.00 or more");
+  });
+});
+
+describe("bundleDiscounts", () => {
+  it("applies whole home pricing to rooms in any package plus stairs", () => {
+    expect(bundlesFor(wholeHomeJob())).toEqual([
+      { key: "wholeHome", label: "Whole Home", offer: "15% off carpet cleaning", amount: 66.75 },
+    ]);
+  });
+
+  it("needs every carpet area the bundle asks for", () => {
+    const job = wholeHomeJob();
+    job.carpets.stairs.reset = 0;
+    expect(bundlesFor(job)).toEqual([]);
+  });
+
+  it("needs the minimum combined price", () => {
+    const job = emptyJob(RATES);
+    job.carpets.rooms.reset = 2;
+    job.upholstery.loveseat = { qty: 1, deodorizer: false, protector: false };
+    expect(bundlesFor(job)).toEqual([]);
+    job.upholstery.couch3 = { qty: 1, deodorizer: false, protector: false };
+    expect(bundlesFor(job)).toEqual([
+      { key: "carpetUpholstery", label: "Carpet + Upholstery", offer: bundleOffer(RATES.bundles.carpetUpholstery), amount: 36.5 },
+    ]);
+  });
+
+  it("discounts a service under only the bundle worth more", () => {
+    const job = wholeHomeJob();
+    job.upholstery.couch4 = { qty: 1, deodorizer: false, protector: false };
+    const applied = bundlesFor(job);
+    expect(applied.map((b) => b.key)).toEqual(["wholeHome"]);
+    job.upholstery.couch4.qty = 5;
+    expect(bundlesFor(job).map((b) => b.key)).toEqual(["carpetUpholstery"]);
+  });
+});
+
+describe("bundleSuggestions", () => {
+  it("suggests the carpet areas still needed", () => {
+    const job = wholeHomeJob();
+    job.carpets.rooms.standard = 2;
+    job.carpets.stairs.reset = 0;
+    expect(suggestionsFor(job)).toEqual([
+      "Add 1 more room and 1 staircase to unlock Whole Home pricing (15% off carpet cleaning).",
+      "Add upholstery cleaning to unlock Carpet + Upholstery pricing (10% off carpet and upholstery cleaning of $300.00 or more).",
+    ]);
+  });
+
+  it("suggests a missing service and a small shortfall", () => {
+    const job = emptyJob(RATES);
+    job.carpets.rooms.reset = 3;
+    expect(suggestionsFor(job)).toEqual([
+      "Add upholstery cleaning to unlock Carpet + Upholstery pricing (10% off carpet and upholstery cleaning of $300.00 or more).",
+    ]);
+    job.upholstery.couch3 = { qty: 1, deodorizer: false, protector: false };
+    job.carpets.rooms.reset = 2;
+    expect(suggestionsFor(job)).toEqual([
+      "Add $20.00 more of carpet cleaning or upholstery cleaning to unlock Carpet + Upholstery pricing (10% off carpet and upholstery cleaning of $300.00 or more).",
+    ]);
+  });
+
+  it("stays quiet for jobs far from a bundle or already in one", () => {
+    const far = emptyJob(RATES);
+    far.carpets.rooms.reset = 2;
+    expect(suggestionsFor(far)).toEqual([]);
+    far.upholstery.ottoman = { qty: 1, deodorizer: false, protector: false };
+    expect(suggestionsFor(far)).toEqual([]);
+    expect(suggestionsFor(emptyJob(RATES))).toEqual([]);
+    expect(suggestionsFor(wholeHomeJob())).toEqual([
+      "Add upholstery cleaning to unlock Carpet + Upholstery pricing (10% off carpet and upholstery cleaning of $300.00 or more).",
+    ]);
+  });
+});
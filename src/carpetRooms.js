@@ -0,0 +1,82 @@
+/*
+ * Room-by-room carpet pricing.
+ *
+ * Carpet rooms are listed one by one in `job.carpetRoomList`, each as
+ *
+ *   { name, length, width, sqft, package }
+ *
+ * A room is measured either by its length and width in feet or by its
+ * square footage; when both dimensions are given they win.  Rooms up to
+ * `rates.roomSize.includedSqft` cost the package's room price, and every
+ * square foot over that is charged at the package's overage rate.  A room
+ * without a size is charged the room price with no overage.
+ *
+ * Jobs may still carry plain room counts in `carpets.rooms` (quotes from
+ * before the room list); those are priced as rooms without a size.
+ */
+
+// Most rooms on one quote, the longest room name kept, and the largest
+// size accepted for one room.
+export const ROOM_LIST_MAX = 50;
+export const ROOM_NAME_MAX = 40;
+export const ROOM_DIMENSION_MAX = 200;
+export const ROOM_SQFT_MAX = 10000;
+
+const round = (n) => Math.round(n * 100) / 100;
+
+// A new room for the list, named after its position.
+export function newRoom(index, pkg = "standard") {
+  return { name: "Room " + (index + 1), length: 0, width: 0, sqft: 0, package: pkg };
+}
+
+// Square footage of a room, from its dimensions when both are given.
+export function roomSqft(room) {
+  if (room.length > 0 && room.width > 0) return Math.round(room.length * room.width);
+  return room.sqft || 0;
+}
+
+// Price of one room: `{ base, overageSqft, overage, total }`.
+export function roomPrice(room, rates) {
+  const base = rates.carpets.rooms[room.package].price;
+  const overageSqft = Math.max(0, roomSqft(room) - rates.roomSize.includedSqft);
+  const overage = round(overageSqft * rates.roomSize.overagePerSqft[room.package]);
+  return { base, overageSqft, overage, total: round(base + overage) };
+}
+
+// The label a room is quoted under, e.g. "Living Room - Factory Reset
+// Clean (450 sq ft)".
+export function roomLabel(room, rates) {
+  const sqft = roomSqft(room);
+  return room.name + " - " + rates.carpets.rooms[room.package].label + (sqft > 0 ? " (" + sqft + " sq ft)" : "");
+}
+
+const count = (v, max) => (typeof v === "number" && isFinite(v) && v >= 0 ? Math.min(v, max) : 0);
+
+// Bring a room list from an untrusted source in line with `rates`.
+// Entries that aren't rooms, or whose package the rate table doesn't
+// have, are dropped, as are rooms past ROOM_LIST_MAX.
+export function normalizeRooms(list, rates) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .slice(0, ROOM_LIST_MAX)
+    .filter((r) => r && typeof r === "object" && Object.prototype.hasOwnProperty.call(rates.carpets.rooms, r.package))
+    .map((r, i) => ({
+      name: typeof r.name === "string" && r.name.trim() ? r.name.trim().slice(0, ROOM_NAME_MAX) : newRoom(i).name,
+      length: count(r.length, ROOM_DIMENSION_MAX),
+      width: count(r.width, ROOM_DIMENSION_MAX),
+      sqft: count(r.sqft, ROOM_SQFT_MAX),
+      package: r.package,
+    }));
+}
+
+// Turn plain room counts by package into rooms of the list, numbered
+// after the `existing` rooms, up to ROOM_LIST_MAX rooms in all.
+export function roomsFromCounts(counts, existing = 0) {
+  const rooms = [];
+  Object.keys(counts || {}).forEach((pkg) => {
+    for (let i = 0; i < (counts[pkg] || 0) && existing + rooms.length < ROOM_LIST_MAX; i++) {
+      rooms.push(newRoom(existing + rooms.length, pkg));
+    }
+  });
+  return rooms;
+}
@@ -0,0 +1,45 @@
+import { RATES } from "./rates";
+import { newRoom, roomLabel, roomPrice, roomsFromCounts, roomSqft, ROOM_LIST_MAX } from "./carpetRooms";
+
+const room = (patch) => ({ ...newRoom(0), ...patch });
+
+describe("roomSqft", () => {
+  it("uses the dimensions when both are given", () => {
+    expect(roomSqft(room({ length: 12.5, width: 11, sqft: 300 }))).toBe(138);
+    expect(roomSqft(room({ length: 12, sqft: 300 }))).toBe(300);
+    expect(roomSqft(room({}))).toBe(0);
+  });
+});
+
+describe("roomPrice", () => {
+  it("charges the room price up to the included size", () => {
+    expect(roomPrice(room({ sqft: 200, package: "reset" }), RATES)).toEqual({ base: 90, overageSqft: 0, overage: 0, total: 90 });
+    expect(roomPrice(room({ package: "deluxe" }), RATES).total).toBe(135);
+  });
+
+  it("charges the package overage rate per square foot over the included size", () => {
+    expect(roomPrice(room({ length: 25, width: 18, package: "standard" }), RATES)).toEqual({ base: 45, overageSqft: 250, overage: 55, total: 100 });
+    expect(roomPrice(room({ sqft: 333, package: "deluxe" }), RATES)).toEqual({ base: 135, overageSqft: 133, overage: 90.44, total: 225.44 });
+  });
+});
+
+describe("roomLabel", () => {
+  it("names the room, package and size", () => {
+    expect(roomLabel(room({ name: "Living Room", sqft: 450, package: "reset" }), RATES)).toBe("Living Room - Factory Reset Clean (450 sq ft)");
+    expect(roomLabel(room({ name: "Den" }), RATES)).toBe("Den - Standard Steam Clean");
+  });
+});
+
+describe("roomsFromCounts", () => {
+  it("turns counts into numbered rooms after the existing ones", () => {
+    expect(roomsFromCounts({ standard: 1, reset: 0, deluxe: 2 }, 1)).toEqual([
+      { name: "Room 2", length: 0, width: 0, sqft: 0, package: "standard" },
+      { name: "Room 3", length: 0, width: 0, sqft: 0, package: "deluxe" },
+      { name: "Room 4", length: 0, width: 0, sqft: 0, package: "deluxe" },
+    ]);
+  });
+
+  it("stops at the room list limit", () => {
+    expect(roomsFromCounts({ reset: 100000 }).length).toBe(ROOM_LIST_MAX);
+  });
+});
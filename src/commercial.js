@@ -0,0 +1,112 @@
+/*
+ * Commercial and multi-unit quotes.
+ *
+ * Property managers quote several apartments, suites or addresses at
+ * once.  A commercial job lists them in `job.units`, each as
+ *
+ *   { name, selections }
+ *
+ * where `selections` holds the unit's service entries in the shape of a
+ * job (carpets, carpetRoomList, upholstery, pest, ...) for the services
+ * of `rates.commercial.services`, plus `commercialCarpet: { standard,
+ * reset, deluxe }`, the square feet of carpet cleaned with each package
+ * at the commercial rate per square foot.  The units share the job's
+ * service zone, state and access conditions, so fees are charged once.
+ *
+ * priceQuote prices each unit on its own, tags the unit's lines with its
+ * index, and takes a volume discount for the number of priced units off
+ * their total in place of bundles.
+ */
+import { emptySelections, PACKAGE_LABELS, PACKAGES, serviceCatalog } from "./serviceCatalog";
+
+// Most units on one quote, and the longest unit name kept.
+export const UNIT_MAX = 50;
+export const UNIT_NAME_MAX = 40;
+
+const round = (n) => Math.round(n * 100) / 100;
+
+// Whether a job is a commercial job quoted unit by unit.
+export function isCommercial(job) {
+  return Boolean(job) && Array.isArray(job.units);
+}
+
+// The carpet category with commercial carpet by the square foot offered
+// as the first area type.
+function withCommercialCarpet(category, rates) {
+  const carpet = rates.commercial.carpet;
+  const picker = category.pickers[0];
+  const inputs = PACKAGES.map((pkg) => ({
+    type: "measure",
+    path: "commercialCarpet." + pkg,
+    group: "commercial",
+    label: PACKAGE_LABELS[pkg],
+    rate: carpet[pkg].rate,
+    line: carpet[pkg].label,
+    minutes: carpet[pkg].minutesPerSqft,
+    empty: 0,
+  }));
+  return {
+    ...category,
+    intro: "Enter open commercial carpet by the square foot, or pick an area type to quote rooms, stairs and closets as in a home.",
+    pickers: [{ ...picker, options: [{ key: "commercial", label: "Commercial (sq ft)" }].concat(picker.options) }],
+    inputs: inputs.concat(category.inputs),
+  };
+}
+
+// The catalog of services each unit may have, in quote order.
+export function commercialCatalog(rates) {
+  const services = rates.commercial.services;
+  return serviceCatalog(rates)
+    .filter((c) => services.indexOf(c.key) !== -1)
+    .map((c) => (c.key === "carpet" ? withCommercialCarpet(c, rates) : c));
+}
+
+// A new unit for the list, named after its position, with nothing
+// selected.
+export function newUnit(index, rates) {
+  return { name: "Unit " + (index + 1), selections: emptySelections(commercialCatalog(rates)) };
+}
+
+// The name a unit goes by on the quote: its own name, or its position
+// while the name is blank.
+export function unitName(unit, index) {
+  return String(unit.name || "").trim() || "Unit " + (index + 1);
+}
+
+// A unit with the same selections as `unit`, named after its position,
+// for quoting several alike units.
+export function copyUnit(unit, index) {
+  return { name: "Unit " + (index + 1), selections: unit.selections };
+}
+
+// The best volume tier reached by `count` priced units, or null.
+export function volumeTier(count, rates) {
+  return rates.commercial.volumeTiers
+    .filter((t) => count >= t.minUnits)
+    .reduce((best, t) => (best && best.percent >= t.percent ? best : t), null);
+}
+
+// The volume discount for a quote's units, given the `{ subtotal }` of
+// each: `{ label, amount }`, or null below the first tier.  Only units
+// with one-time services count toward the tier.
+export function volumeDiscount(units, rates) {
+  const priced = units.filter((u) => u.subtotal > 0);
+  const tier = volumeTier(priced.length, rates);
+  if (!tier) return null;
+  const total = priced.reduce((sum, u) => sum + u.subtotal, 0);
+  return {
+    label: "Volume discount: " + Math.round(tier.percent * 100) + "% off " + priced.length + " units",
+    amount: round(total * tier.percent),
+  };
+}
+
+// What the next volume tier takes, for showing next to the unit list,
+// e.g. "Quote 5 or more units to save 5%.", or null once the best tier
+// is reached.
+export function nextTierNote(count, rates) {
+  const next = rates.commercial.volumeTiers
+    .filter((t) => t.minUnits > count)
+    .sort((a, b) => a.minUnits - b.minUnits)[0];
+  if (!next) return null;
+  return "Quote " + next.minUnits + " or more units to save " + Math.round(next.percent * 100) + "%.";
+}
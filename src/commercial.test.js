@@ -0,0 +1,64 @@
+import { RATES } from "./rates";
+import { commercialCatalog, copyUnit, isCommercial, newUnit, nextTierNote, unitName, volumeDiscount, volumeTier } from "./commercial";
+
+describe("commercialCatalog", () => {
+  const catalog = commercialCatalog(RATES);
+
+  it("offers the commercial services, in quote order", () => {
+    expect(catalog.map((c) => c.key)).toEqual(["carpet", "upholstery", "pest"]);
+  });
+
+  it("offers carpet by the square foot as the first area type", () => {
+    const carpet = catalog[0];
+    expect(carpet.pickers[0].options.map((o) => o.key)).toEqual(["commercial", "rooms", "stairs", "downHall", "upLanding", "walkIn"]);
+    expect(carpet.inputs.filter((i) => i.group === "commercial").map((i) => [i.path, i.rate])).toEqual([
+      ["commercialCarpet.standard", 0.22],
+      ["commercialCarpet.reset", 0.28],
+      ["commercialCarpet.deluxe", 0.35],
+    ]);
+  });
+});
+
+describe("newUnit and copyUnit", () => {
+  it("start units empty or like another unit, named by position", () => {
+    const unit = newUnit(0, RATES);
+    expect(unit.name).toBe("Unit 1");
+    expect(unit.selections.commercialCarpet).toEqual({ standard: 0, reset: 0, deluxe: 0 });
+    expect(unit.selections.tileAreaList).toBeUndefined();
+    const copy = copyUnit({ ...unit, name: "Apt 101" }, 3);
+    expect(copy).toEqual({ name: "Unit 4", selections: unit.selections });
+  });
+
+  it("go by their position while their name is blank", () => {
+    expect(unitName({ name: " Apt 101 " }, 0)).toBe("Apt 101");
+    expect(unitName({ name: "   " }, 2)).toBe("Unit 3");
+    expect(unitName({ name: "" }, 0)).toBe("Unit 1");
+  });
+
+  it("tell commercial jobs by their units", () => {
+    expect(isCommercial({ units: [] })).toBe(true);
+    expect(isCommercial({ carpets: {} })).toBe(false);
+    expect(isCommercial(null)).toBe(false);
+  });
+});
+
+describe("volume tiers", () => {
+  it("picks the best tier reached", () => {
+    expect(volumeTier(4, RATES)).toBeNull();
+    expect(volumeTier(5, RATES).percent).toBe(0.05);
+    expect(volumeTier(12, RATES).percent).toBe(0.1);
+    expect(volumeTier(40, RATES).percent).toBe(0.15);
+  });
+
+  it("discounts the priced units only", () => {
+    const units = [0, 1, 2, 3, 4].map(() => ({ subtotal: 182 })).concat([{ subtotal: 0 }]);
+    expect(volumeDiscount(units, RATES)).toEqual({ label: "Volume discount: 5% off 5 units", amount: 45.5 });
+    expect(volumeDiscount(units.slice(1), RATES)).toBeNull();
+  });
+
+  it("names the next tier to reach", () => {
+    expect(nextTierNote(1, RATES)).toBe("Quote 5 or more units to save 5%.");
+    expect(nextTierNote(12, RATES)).toBe("Quote 20 or more units to save 15%.");
+    expect(nextTierNote(20, RATES)).toBeNull();
+  });
+});
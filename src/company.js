@@ -0,0 +1,25 @@
+/*
+ * Company details printed on quotes.
+ */
+import { fmt } from "./format";
+
+export const COMPANY = {
+  name: "Jet Stream Clean",
+  location: "Fort Mitchell, Alabama",
+  website: "jetstreamclean.square.site",
+};
+
+// Required wherever pest control is offered or quoted.
+export const PEST_LICENSE_TEXT =
+  "Serviced through our sister company Jet Stream Exterminators, Alabama License 2025-7001296 Household Pest Control. Alabama clients only.";
+
+// Terms printed at the foot of a formal quote, stating the room size
+// and minimum charge of the rate card `rates`.
+export function quoteTerms(rates) {
+  return [
+    "This quote is an estimate based on the information provided and is valid for 30 days from the date above.",
+    "Final pricing is confirmed on site. Rooms are priced up to " + rates.roomSize.includedSqft + " sq ft; larger areas, heavy soiling or access conditions not listed may change the price.",
+    "A minimum charge of " + fmt(rates.minCharge) + " applies to the amount due at service. Recurring services are billed separately on their stated interval and may be cancelled at any time.",
+    "Payment is due when service is completed.",
+  ];
+}
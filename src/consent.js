@@ -0,0 +1,62 @@
+/*
+ * Consent to contact the customer.
+ *
+ * Step 3 asks separately for each use of the contact details in
+ * CONSENT_PURPOSES: contacting the customer about this quote, text
+ * message reminders, and marketing.  Nothing is ticked to begin with.
+ * A consent record maps each purpose to the time consent was given, as
+ * an ISO string, or to null when it wasn't; unticking a box withdraws
+ * it.  The record is saved with the quote (see quoteStorage.js), sent
+ * with the lead (see leads.js) and included in the copied quote text, so
+ * we can show what the customer agreed to and when.
+ */
+
+// The purposes asked about, in the order shown.  `label` is the wording
+// of the checkbox, `text` how the purpose reads on the quote.
+export const CONSENT_PURPOSES = [
+  {
+    key: "contact",
+    label: "Jet Stream Clean may call or email me about this quote, including if I don't finish booking.",
+    text: "Contact about this quote",
+  },
+  {
+    key: "sms",
+    label: "Send me appointment reminders by text message. Message and data rates may apply. Reply STOP to opt out.",
+    text: "SMS reminders",
+  },
+  {
+    key: "marketing",
+    label: "Send me offers and news from Jet Stream Clean. I can unsubscribe at any time.",
+    text: "Marketing",
+  },
+];
+
+// A record with no consent given.
+export function emptyConsent() {
+  const consent = {};
+  CONSENT_PURPOSES.forEach((p) => { consent[p.key] = null; });
+  return consent;
+}
+
+// `consent` with consent to `key` given at `now`, or withdrawn.
+export function setConsent(consent, key, agreed, now = new Date()) {
+  return { ...consent, [key]: agreed ? now.toISOString() : null };
+}
+
+// A consent record from stored data.  Anything but a valid timestamp
+// counts as not given.
+export function normalizeConsent(data) {
+  const consent = emptyConsent();
+  if (!data || typeof data !== "object") return consent;
+  CONSENT_PURPOSES.forEach((p) => {
+    const at = data[p.key];
+    if (typeof at === "string" && !isNaN(Date.parse(at))) consent[p.key] = at;
+  });
+  return consent;
+}
+
+// The record as it reads on the quote, one line per purpose, e.g.
+// "SMS reminders: Agreed 2026-10-19T14:05:00.000Z".
+export function consentLines(consent) {
+  return CONSENT_PURPOSES.map((p) => p.text + ": " + (consent[p.key] ? "Agreed " + consent[p.key] : "Not given"));
+}
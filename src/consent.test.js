@@ -0,0 +1,29 @@
+import { consentLines, CONSENT_PURPOSES, emptyConsent, normalizeConsent, setConsent } from "./consent";
+
+describe("consent records", () => {
+  test("start with nothing given for each purpose", () => {
+    expect(emptyConsent()).toEqual({ contact: null, sms: null, marketing: null });
+    expect(CONSENT_PURPOSES.map((p) => p.key)).toEqual(Object.keys(emptyConsent()));
+  });
+
+  test("record when consent is given, and drop it when withdrawn", () => {
+    const given = setConsent(emptyConsent(), "sms", true, new Date("2026-10-19T15:00:00Z"));
+    expect(given).toEqual({ contact: null, sms: "2026-10-19T15:00:00.000Z", marketing: null });
+    expect(setConsent(given, "sms", false)).toEqual(emptyConsent());
+  });
+
+  test("read stored records, keeping only valid timestamps", () => {
+    expect(normalizeConsent({ contact: "2026-10-19T15:00:00.000Z", sms: true, marketing: "later", extra: "2026-10-19" }))
+      .toEqual({ contact: "2026-10-19T15:00:00.000Z", sms: null, marketing: null });
+    expect(normalizeConsent(undefined)).toEqual(emptyConsent());
+    expect(normalizeConsent("yes")).toEqual(emptyConsent());
+  });
+
+  test("read as one line per purpose", () => {
+    expect(consentLines({ contact: "2026-10-19T15:00:00.000Z", sms: null, marketing: null })).toEqual([
+      "Contact about this quote: Agreed 2026-10-19T15:00:00.000Z",
+      "SMS reminders: Not given",
+      "Marketing: Not given",
+    ]);
+  });
+});
@@ -0,0 +1,15 @@
+/*
+ * Formatting helpers shared by the wizard and the printable quote.
+ */
+
+// Join class names, leaving out the ones that are falsy.
+export const cls = (...xs) => xs.filter(Boolean).join(" ");
+
+// Format a number as a USD currency string.  Discounts are negative
+// and show as "-$20.00".
+export const fmt = (n) => {
+  return (n < 0 ? "-$" : "$") + (Math.round(Math.abs(n) * 100) / 100).toFixed(2);
+};
+
+// Suffix for amounts billed on an interval, e.g. "/month".
+export const per = (interval) => (interval ? "/" + interval : "");
@@ -2,12 +2,21 @@
 //
 // This file bootstraps the React application by rendering the root
 // component into the DOM.  It also imports the Tailwind CSS
-// stylesheet so that your classes take effect.
+// stylesheet so that your classes take effect.  The published rate
+// card is loaded first; if it can't be used the app renders with the
+// built-in rates and a warning.  With ?admin in the URL the rate card
+// editor is shown instead of the quote wizard.
 
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import AdminRates from './AdminRates';
+import { loadRates } from './rateCard';
+
+const ADMIN_MODE = new URLSearchParams(window.location.search).has('admin');
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(<App />);
+loadRates().then(({ rates, warning }) => {
+  root.render(ADMIN_MODE ? <AdminRates rates={rates} /> : <App rates={rates} rateWarning={warning} />);
+});
@@ -0,0 +1,180 @@
+/*
+ * Lead submission.
+ *
+ * Once a quote has a valid contact, the wizard sends it to us as a lead
+ * so it isn't lost when the customer never books.  A lead is the
+ * structured quote built by `buildLead`; it is sent through a lead sink,
+ * an object with one function:
+ *
+ *   send(lead)  resolves once the lead is accepted, or rejects
+ *
+ * `httpLeadSink` posts leads as JSON to the endpoint configured in
+ * REACT_APP_LEAD_ENDPOINT.  Without one the wizard sends no leads, as
+ * they would reach no one; `memoryLeadSink` keeps leads in memory for
+ * tests.
+ *
+ * `leadQueue` wraps a sink.  A lead is kept in localStorage until it is
+ * sent, so one that can't be sent, or is cut off by the page closing, is
+ * sent again by `flush`, which the wizard calls at startup and whenever
+ * the browser comes back online.  Leads are keyed by quote number, so
+ * only the latest version of a quote is kept.
+ */
+import { normalizeConsent } from "./consent";
+
+export const LEAD_ENDPOINT = process.env.REACT_APP_LEAD_ENDPOINT || "";
+
+export const LEAD_QUEUE_KEY = "jetstream.leadQueue";
+
+// How long a lead may take to post before it is queued instead.
+const SEND_TIMEOUT_MS = 10000;
+
+// The lead for a quote.  `values` holds the quote number, the contact
+// and address fields, the zone and state, `confirmArea` when staff
+// still have to confirm we serve the ZIP, the priced `summary`, the
+// access condition labels, the labor estimate, the promo code, the
+// customer's consent record (see consent.js) and the rate card in use.
+//
+//   {
+//     id, updatedAt, rateCard,
+//     contact: { name, phone, email },
+//     consent: { contact, sms, marketing },
+//     address, zip, zone, state, confirmArea,
+//     lines, total, recurring, units,   from the summary
+//     accessConditions, labor, promoCode,
+//   }
+export function buildLead(values, now = new Date()) {
+  const { summary } = values;
+  return {
+    id: values.quoteNumber,
+    updatedAt: now.toISOString(),
+    rateCard: values.rates.version,
+    contact: { name: values.name, phone: values.phone, email: values.email },
+    consent: normalizeConsent(values.consent),
+    address: values.address,
+    zip: values.zip,
+    zone: values.zone,
+    state: values.state,
+    confirmArea: values.confirmArea === true,
+    lines: summary.lines,
+    total: summary.total,
+    recurring: summary.recurring,
+    units: summary.units || null,
+    accessConditions: values.accessConditions,
+    labor: values.labor,
+    promoCode: values.promoCode || null,
+  };
+}
+
+// A sink posting each lead as JSON to `url`.  Rejects when the request
+// fails, isn't accepted or takes too long.  With `keepalive` the request
+// outlives the page, for leads sent as it closes.
+export function httpLeadSink(url, fetchFn = (...args) => window.fetch(...args), timeoutMs = SEND_TIMEOUT_MS, keepalive = false) {
+  return {
+    send: (lead) => {
+      let timer;
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error("lead was not accepted within " + timeoutMs + "ms")), timeoutMs);
+      });
+      const post = fetchFn(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(lead),
+        ...(keepalive ? { keepalive: true } : {}),
+      }).then((res) => {
+        if (!res.ok) throw new Error("lead request failed with status " + res.status);
+      });
+      return Promise.race([post, timeout]).then(
+        () => clearTimeout(timer),
+        (e) => {
+          clearTimeout(timer);
+          throw e;
+        }
+      );
+    },
+  };
+}
+
+// A sink keeping leads in `leads`, for tests.  While `offline` is set it
+// rejects them, as a sink does when there's no connection.
+export function memoryLeadSink() {
+  const sink = {
+    leads: [],
+    offline: false,
+    send: (lead) => {
+      if (sink.offline) return Promise.reject(new Error("lead sink is offline"));
+      sink.leads.push(lead);
+      return Promise.resolve();
+    },
+  };
+  return sink;
+}
+
+// A queue sending leads through `sink` and keeping each in `storage`
+// until it is sent.
+//
+//   submit(lead)  queues the lead in place of any queued version of the
+//                 same quote and sends it, resolving to "sent", or to
+//                 "queued" when it stays queued
+//   flush()       sends the queued leads, resolving to the ids sent
+//   pending()     the queued leads
+//
+// Storage errors are ignored, as in quoteStorage.js: a lead that can't
+// be queued is lost, but the wizard keeps working.
+export function leadQueue(sink, storage, key = LEAD_QUEUE_KEY) {
+  const pending = () => {
+    try {
+      const list = JSON.parse(storage.getItem(key));
+      return Array.isArray(list) ? list.filter((l) => l && typeof l.id === "string") : [];
+    } catch (e) {
+      return [];
+    }
+  };
+  const write = (list) => {
+    try {
+      if (list.length > 0) storage.setItem(key, JSON.stringify(list));
+      else storage.removeItem(key);
+    } catch (e) {
+      // Ignore: queueing is best effort.
+    }
+  };
+  const isVersion = (a, b) => a.id === b.id && a.updatedAt === b.updatedAt;
+
+  const submit = (lead) => {
+    write(pending().filter((l) => l.id !== lead.id).concat(lead));
+    return sink.send(lead).then(
+      () => {
+        // A version sent supersedes any older one still queued.
+        write(pending().filter((l) => l.id !== lead.id || l.updatedAt > lead.updatedAt));
+        return "sent";
+      },
+      () => "queued"
+    );
+  };
+
+  // Leads are sent one at a time, stopping at the first failure; a newer
+  // version queued meanwhile stays queued.
+  const flush = () => {
+    const sent = [];
+    const next = (list) => {
+      if (list.length === 0) return Promise.resolve(sent);
+      const lead = list[0];
+      return sink.send(lead).then(
+        () => {
+          write(pending().filter((l) => !isVersion(l, lead)));
+          sent.push(lead.id);
+          return next(list.slice(1));
+        },
+        () => sent
+      );
+    };
+    return next(pending());
+  };
+
+  return { submit, flush, pending };
+}
+
+// The queue the wizard sends leads through, or null when no endpoint is
+// configured.
+export function defaultLeadQueue(storage) {
+  return LEAD_ENDPOINT ? leadQueue(httpLeadSink(LEAD_ENDPOINT), storage) : null;
+}
@@ -0,0 +1,116 @@
+import { RATES } from "./rates";
+import { memoryStorage, quoteValues } from "./testHelpers";
+import { buildLead, defaultLeadQueue, httpLeadSink, LEAD_QUEUE_KEY, leadQueue, memoryLeadSink } from "./leads";
+
+const lead = (id, updatedAt) => ({ ...buildLead(quoteValues()), id, updatedAt });
+const queued = (storage) => JSON.parse(storage.data[LEAD_QUEUE_KEY] || "[]").map((l) => l.id + "@" + l.updatedAt);
+
+describe("buildLead", () => {
+  test("carries the contact and consent, address, every quote line and the access conditions", () => {
+    const built = buildLead(quoteValues(), new Date("2026-10-19T15:00:00Z"));
+    expect(built).toMatchObject({
+      id: "JSC-20261019-ABCD",
+      updatedAt: "2026-10-19T15:00:00.000Z",
+      rateCard: RATES.version,
+      contact: { name: "Pat Lee", phone: "3345550100", email: "pat@example.com" },
+      consent: { contact: "2026-10-19T14:58:00.000Z", sms: null, marketing: null },
+      address: "12 Main St",
+      zip: "36867",
+      zone: "local",
+      state: "AL",
+      confirmArea: false,
+      total: 180,
+      units: null,
+      accessConditions: ["No nearby parking available"],
+      promoCode: null,
+    });
+    expect(built.lines.map((l) => l.label)).toEqual(["Factory Reset Clean"]);
+    expect(JSON.parse(JSON.stringify(built))).toEqual(built);
+  });
+});
+
+describe("leadQueue", () => {
+  test("sends leads through the sink", async () => {
+    const sink = memoryLeadSink();
+    const storage = memoryStorage();
+    expect(await leadQueue(sink, storage).submit(lead("Q-1", "a"))).toBe("sent");
+    expect(sink.leads.map((l) => l.id)).toEqual(["Q-1"]);
+    expect(storage.data).toEqual({});
+  });
+
+  test("queues leads it can't send, keeping the latest version of each quote", async () => {
+    const sink = memoryLeadSink();
+    sink.offline = true;
+    const storage = memoryStorage();
+    const queue = leadQueue(sink, storage);
+    expect(await queue.submit(lead("Q-1", "a"))).toBe("queued");
+    await queue.submit(lead("Q-2", "a"));
+    await queue.submit(lead("Q-1", "b"));
+    expect(queued(storage)).toEqual(["Q-2@a", "Q-1@b"]);
+    expect(queue.pending()).toHaveLength(2);
+  });
+
+  test("keeps a lead queued while it is being sent", () => {
+    const storage = memoryStorage();
+    leadQueue({ send: () => new Promise(() => {}) }, storage).submit(lead("Q-1", "a"));
+    expect(queued(storage)).toEqual(["Q-1@a"]);
+  });
+
+  test("flushes the queue once the sink is back", async () => {
+    const sink = memoryLeadSink();
+    sink.offline = true;
+    const storage = memoryStorage();
+    const queue = leadQueue(sink, storage);
+    await queue.submit(lead("Q-1", "a"));
+    await queue.submit(lead("Q-2", "a"));
+    expect(await queue.flush()).toEqual([]);
+    sink.offline = false;
+    expect(await queue.flush()).toEqual(["Q-1", "Q-2"]);
+    expect(storage.data).toEqual({});
+  });
+
+  test("drops queued versions a sent lead supersedes", async () => {
+    const sink = memoryLeadSink();
+    const storage = memoryStorage({ [LEAD_QUEUE_KEY]: JSON.stringify([lead("Q-1", "a"), lead("Q-2", "a")]) });
+    await leadQueue(sink, storage).submit(lead("Q-1", "b"));
+    expect(queued(storage)).toEqual(["Q-2@a"]);
+  });
+
+  test("ignores unreadable and unavailable storage", async () => {
+    const sink = memoryLeadSink();
+    expect(leadQueue(sink, memoryStorage({ [LEAD_QUEUE_KEY]: "{not json" })).pending()).toEqual([]);
+    const broken = { getItem: () => { throw new Error("denied"); }, setItem: () => { throw new Error("denied"); }, removeItem: () => {} };
+    sink.offline = true;
+    expect(await leadQueue(sink, broken).submit(lead("Q-1", "a"))).toBe("queued");
+  });
+});
+
+describe("defaultLeadQueue", () => {
+  test("sends nothing, so nothing is reported sent, without an endpoint", () => {
+    const storage = memoryStorage();
+    expect(defaultLeadQueue(storage)).toBeNull();
+    expect(storage.data).toEqual({});
+  });
+});
+
+describe("httpLeadSink", () => {
+  test("posts the lead as JSON, kept alive past the page when asked", async () => {
+    const fetchFn = jest.fn(() => Promise.resolve({ ok: true, status: 201 }));
+    const sent = lead("Q-1", "a");
+    await httpLeadSink("https://leads.example.com/quotes", fetchFn).send(sent);
+    expect(fetchFn).toHaveBeenCalledWith("https://leads.example.com/quotes", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(sent),
+    });
+    await httpLeadSink("/leads", fetchFn, 1000, true).send(sent);
+    expect(fetchFn.mock.calls[1][1].keepalive).toBe(true);
+  });
+
+  test("rejects failed, refused and slow requests", async () => {
+    const send = (fetchFn) => httpLeadSink("/leads", fetchFn, 20).send(lead("Q-1", "a"));
+    await expect(send(() => Promise.resolve({ ok: false, status: 500 }))).rejects.toThrow("status 500");
+    await expect(send(() => Promise.reject(new TypeError("Failed to fetch")))).rejects.toThrow("Failed to fetch");
+    await expect(send(() => new Promise(() => {}))).rejects.toThrow("within 20ms");
+  });
+});
@@ -0,0 +1,35 @@
+/*
+ * Privacy controls.
+ *
+ * The wizard keeps the customer's quote and contact details in the
+ * browser: the saved quote (see quoteStorage.js), leads waiting to be
+ * sent (see leads.js and abandonment.js) and the partial leads already
+ * sent this session.  `forgetStoredData` removes all of it for the
+ * "Forget my information" action.  Leads already sent to us are not
+ * affected; the privacy policy explains how to have those removed.
+ */
+import { STORAGE_KEY } from "./quoteStorage";
+import { LEAD_QUEUE_KEY } from "./leads";
+import { ABANDONED_QUEUE_KEY, ABANDONED_SENT_KEY } from "./abandonment";
+
+// The privacy policy linked from the contact step: the page configured in
+// REACT_APP_PRIVACY_POLICY_URL, or the one published with the app.
+export const PRIVACY_POLICY_URL = process.env.REACT_APP_PRIVACY_POLICY_URL || (process.env.PUBLIC_URL || "") + "/privacy.html";
+
+// Keys holding customer data in localStorage and sessionStorage.
+const LOCAL_KEYS = [STORAGE_KEY, LEAD_QUEUE_KEY, ABANDONED_QUEUE_KEY];
+const SESSION_KEYS = [ABANDONED_SENT_KEY];
+
+// Remove the customer's data from `local` and `session` storage.  Keys
+// that can't be removed are skipped, as storage may be unavailable.
+export function forgetStoredData(local, session) {
+  const remove = (storage, keys) => keys.forEach((k) => {
+    try {
+      storage.removeItem(k);
+    } catch (e) {
+      // Ignore: nothing was stored if storage is unavailable.
+    }
+  });
+  remove(local, LOCAL_KEYS);
+  remove(session, SESSION_KEYS);
+}
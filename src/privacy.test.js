@@ -0,0 +1,22 @@
+import { forgetStoredData } from "./privacy";
+import { STORAGE_KEY } from "./quoteStorage";
+import { LEAD_QUEUE_KEY } from "./leads";
+import { ABANDONED_QUEUE_KEY, ABANDONED_SENT_KEY } from "./abandonment";
+import { memoryStorage } from "./testHelpers";
+
+describe("forgetStoredData", () => {
+  test("removes the saved quote, queued leads and sent partial leads", () => {
+    const local = memoryStorage({ [STORAGE_KEY]: "{}", [LEAD_QUEUE_KEY]: "[]", [ABANDONED_QUEUE_KEY]: "[]", other: "kept" });
+    const session = memoryStorage({ [ABANDONED_SENT_KEY]: "[]" });
+    forgetStoredData(local, session);
+    expect(local.data).toEqual({ other: "kept" });
+    expect(session.data).toEqual({});
+  });
+
+  test("ignores storage that throws", () => {
+    const broken = { removeItem: () => { throw new Error("denied"); } };
+    const session = memoryStorage({ [ABANDONED_SENT_KEY]: "[]" });
+    expect(() => forgetStoredData(broken, session)).not.toThrow();
+    expect(session.data).toEqual({});
+  });
+});
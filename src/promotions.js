@@ -0,0 +1,137 @@
+/*
+ * Promo codes and the discount rules behind them.
+ *
+ * A promotion is looked up by code with `findPromo`, which checks that it
+ * exists and hasn't expired, and is then handed to `priceQuote`.  The
+ * engine asks `promoDiscount` how much the promotion takes off and adds
+ * it to the quote as a negative line.  Discounts follow these rules:
+ *
+ *   - They only come off one-time services.  Fees, the minimum charge
+ *     adjustment and recurring services are never discounted.
+ *   - They are worked out on regular prices and are taken in addition to
+ *     any bundle discount (see bundles.js).
+ *   - `minSubtotal` is checked against the one-time services subtotal,
+ *     before any discount.
+ *   - A discount never takes the job below rates.minCharge.  It is
+ *     reduced until the job total equals the minimum, so a job already
+ *     at the minimum gets no discount at all.  Promotions priced below
+ *     the minimum set `waivesMinimum`: once one applies it is taken in
+ *     full and the minimum charge doesn't apply to the job.
+ *
+ * Every promotion has a `code`, a `label` shown on the quote, an
+ * `expires` date (the last day it can be used, as YYYY-MM-DD), an
+ * optional `minSubtotal`, and one of these `type`s:
+ *
+ *   percent  `percent` (0.1 for 10%) off the services in `service`, or off
+ *            every service when `service` is left out.
+ *   fixed    `amount` off the services in `service`, or off every service.
+ *   bundle   `qty` carpet `area`s cleaned with `package` for `price`.
+ *            Applies once per job.
+ *
+ * `requires` optionally lists services the quote must also include, for
+ * deals such as "10% off upholstery with any carpet job".
+ */
+import { fmt } from "./format";
+
+// Current promotions.  Remove them once they have expired.
+export const PROMOTIONS = [
+  {
+    code: "3ROOMS99",
+    label: "3 rooms for $99, no minimum charge",
+    type: "bundle",
+    area: "rooms",
+    package: "standard",
+    qty: 3,
+    price: 99,
+    waivesMinimum: true,
+    expires: "2026-12-31",
+  },
+  {
+    code: "UPHOLSTERY10",
+    label: "10% off upholstery with any carpet job",
+    type: "percent",
+    percent: 0.1,
+    service: "upholstery",
+    requires: ["carpet"],
+    expires: "2026-12-31",
+  },
+  {
+    // Staff confirm the customer is new when booking.
+    code: "WELCOME20",
+    label: "First-time customer $20 off",
+    type: "fixed",
+    amount: 20,
+    minSubtotal: 150,
+    expires: "2027-06-30",
+  },
+];
+
+const round = (n) => Math.round(n * 100) / 100;
+
+// The calendar day of `date` in local time, as YYYY-MM-DD.
+const dayOf = (date) =>
+  date.getFullYear() + "-" + String(date.getMonth() + 1).padStart(2, "0") + "-" + String(date.getDate()).padStart(2, "0");
+
+// Look up a promo code entered on `today`.  Returns `{ status, promo }`:
+// "empty" when no code was entered, "unknown" for a code we don't have,
+// "expired" past its last day, or "ok".  `promo` is set for "expired"
+// and "ok".  Codes are matched ignoring case and spaces.
+export function findPromo(code, today, promotions = PROMOTIONS) {
+  const wanted = String(code || "").replace(/\s+/g, "").toUpperCase();
+  if (!wanted) return { status: "empty", promo: null };
+  const promo = promotions.find((p) => p.code.toUpperCase() === wanted);
+  if (!promo) return { status: "unknown", promo: null };
+  if (dayOf(today) > promo.expires) return { status: "expired", promo };
+  return { status: "ok", promo };
+}
+
+// How much `promo` takes off a job, before the minimum charge is
+// considered.  `lines` are the job's priced service lines.  Returns
+// `{ status, amount }` with status "applied", "notEligible" when the job
+// has nothing the promotion applies to, or "belowMinimumSubtotal".
+export function promoDiscount(promo, job, lines, rates) {
+  const oneTime = lines.filter((l) => !l.interval && l.service !== "fees" && l.service !== "discounts");
+  const subtotal = oneTime.reduce((s, l) => s + l.total, 0);
+  const services = new Set(lines.map((l) => l.service));
+  if ((promo.requires || []).some((s) => !services.has(s))) return { status: "notEligible", amount: 0 };
+  if (subtotal < (promo.minSubtotal || 0)) return { status: "belowMinimumSubtotal", amount: 0 };
+
+  const eligible = oneTime.filter((l) => !promo.service || l.service === promo.service);
+  const base = eligible.reduce((s, l) => s + l.total, 0);
+  let amount = 0;
+  if (promo.type === "percent") {
+    amount = base * promo.percent;
+  } else if (promo.type === "fixed") {
+    amount = Math.min(promo.amount, base);
+  } else if (promo.type === "bundle") {
+    const counts = ((job.carpets || {})[promo.area]) || {};
+    const listed = promo.area === "rooms" ? (job.carpetRoomList || []).filter((r) => r.package === promo.package).length : 0;
+    if ((counts[promo.package] || 0) + listed >= promo.qty) {
+      amount = Math.max(0, rates.carpets[promo.area][promo.package].price * promo.qty - promo.price);
+    }
+  }
+  amount = round(amount);
+  return amount > 0 ? { status: "applied", amount } : { status: "notEligible", amount: 0 };
+}
+
+// What to tell the customer about the code they entered, given the
+// lookup from findPromo and the quote's `summary.promo`.  Returns
+// `{ ok, text }`, or null when no code was entered.
+export function promoMessage(lookup, result, rates) {
+  if (lookup.status === "empty") return null;
+  if (lookup.status === "unknown") return { ok: false, text: "We don't recognize that promo code." };
+  if (lookup.status === "expired") return { ok: false, text: "That promo code expired on " + lookup.promo.expires + "." };
+  const promo = lookup.promo;
+  switch (result && result.status) {
+    case "applied":
+      return { ok: true, text: promo.label + " applied." };
+    case "limited":
+      return { ok: true, text: promo.label + " applied. The discount is limited so the job stays at our " + fmt(rates.minCharge) + " minimum charge." };
+    case "minimumCharge":
+      return { ok: false, text: "This job is already at our " + fmt(rates.minCharge) + " minimum charge, so " + promo.code + " can't lower it." };
+    case "belowMinimumSubtotal":
+      return { ok: false, text: promo.code + " needs at least " + fmt(promo.minSubtotal) + " of services before fees." };
+    default:
+      return { ok: false, text: promo.code + " doesn't apply to the services on this quote." };
+  }
+}
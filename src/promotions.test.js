@@ -0,0 +1,88 @@
+import { RATES } from "./rates";
+import { emptyJob, priceQuote } from "./quoteEngine";
+import { findPromo, promoDiscount, promoMessage, PROMOTIONS } from "./promotions";
+
+const today = new Date(2026, 9, 19);
+
+// Price a job without a promotion and ask what `promo` would take off.
+const discountFor = (promo, job) => promoDiscount(promo, job, priceQuote(job, RATES).lines, RATES);
+
+describe("findPromo", () => {
+  it("matches codes ignoring case and spaces", () => {
+    expect(findPromo(" welcome 20 ", today)).toEqual({ status: "ok", promo: PROMOTIONS[2] });
+  });
+
+  it("reports empty and unknown codes", () => {
+    expect(findPromo("", today)).toEqual({ status: "empty", promo: null });
+    expect(findPromo("FREESTUFF", today)).toEqual({ status: "unknown", promo: null });
+  });
+
+  it("honors the last day of a promotion", () => {
+    const promos = [{ code: "FALL", expires: "2026-10-19" }];
+    expect(findPromo("FALL", new Date(2026, 9, 19, 23, 59), promos).status).toBe("ok");
+    expect(findPromo("FALL", new Date(2026, 9, 20), promos).status).toBe("expired");
+  });
+});
+
+describe("promoDiscount", () => {
+  const bundle = PROMOTIONS.find((p) => p.code === "3ROOMS99");
+  const upholstery = PROMOTIONS.find((p) => p.code === "UPHOLSTERY10");
+  const welcome = PROMOTIONS.find((p) => p.code === "WELCOME20");
+
+  it("prices a carpet bundle at the bundle price", () => {
+    const job = emptyJob(RATES);
+    job.carpets.rooms.standard = 4;
+    expect(discountFor(bundle, job)).toEqual({ status: "applied", amount: 3 * 45 - 99 });
+  });
+
+  it("needs the full bundle quantity in the bundle package", () => {
+    const job = emptyJob(RATES);
+    job.carpets.rooms.standard = 2;
+    job.carpets.rooms.reset = 1;
+    expect(discountFor(bundle, job)).toEqual({ status: "notEligible", amount: 0 });
+  });
+
+  it("takes a percentage off one category when the required service is present", () => {
+    const job = emptyJob(RATES);
+    job.upholstery.couch3 = { qty: 1, deodorizer: true, protector: false };
+    expect(discountFor(upholstery, job).status).toBe("notEligible");
+    job.carpets.rooms.reset = 1;
+    expect(discountFor(upholstery, job)).toEqual({ status: "applied", amount: 11.5 });
+  });
+
+  it("checks the minimum subtotal before fees", () => {
+    const job = { ...emptyJob(RATES), zone: "extended" };
+    job.carpets.rooms.reset = 1;
+    job.carpets.downHall.reset = 1;
+    expect(discountFor(welcome, job)).toEqual({ status: "belowMinimumSubtotal", amount: 0 });
+    job.carpets.walkIn.reset = 1;
+    expect(discountFor(welcome, job)).toEqual({ status: "applied", amount: 20 });
+  });
+
+  it("never takes more than the services it applies to", () => {
+    const promo = { code: "RUG100", label: "$100 off rugs", type: "fixed", amount: 100, service: "rugs", expires: "2099-12-31" };
+    const job = emptyJob(RATES);
+    job.carpets.rooms.deluxe = 2;
+    job.rugs.small.synthetic.standard = 1;
+    const rug = priceQuote(job, RATES).lines.find((l) => l.service === "rugs").total;
+    expect(discountFor(promo, job)).toEqual({ status: "applied", amount: rug });
+  });
+});
+
+describe("promoMessage", () => {
+  const ok = findPromo("WELCOME20", today);
+
+  it("says nothing until a code is entered", () => {
+    expect(promoMessage(findPromo("", today), null, RATES)).toBeNull();
+  });
+
+  it("explains codes that didn't apply", () => {
+    expect(promoMessage(findPromo("NOPE", today), null, RATES)).toEqual({ ok: false, text: "We don't recognize that promo code." });
+    expect(promoMessage(ok, { status: "belowMinimumSubtotal" }, RATES).text).toBe("WELCOME20 needs at least $150.00 of services before fees.");
+    expect(promoMessage(ok, { status: "minimumCharge" }, RATES).text).toBe("This job is already at our $135.00 minimum charge, so WELCOME20 can't lower it.");
+  });
+
+  it("confirms applied codes", () => {
+    expect(promoMessage(ok, { status: "applied" }, RATES)).toEqual({ ok: true, text: "First-time customer $20 off applied." });
+  });
+});
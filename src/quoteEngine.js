@@ -0,0 +1,300 @@
+/*
+ * Jet Stream Clean Quote Engine
+ *
+ * Pure pricing logic for the quote wizard.  `priceQuote` takes a plain,
+ * serializable job description together with a rate table and returns
+ * the `{ lines, subtotal, total, recurring, promo }` summary shown on the
+ * final step.  No React state is involved, so a job can be priced
+ * anywhere: in the app, in tests, or from a saved description.
+ *
+ * A job description has the following shape (every key is optional):
+ *
+ *   {
+ *     zone: a key of rates.serviceZones, or null when out of area,
+ *     state: two-letter state code of the job site, or null if unknown,
+ *     carpets: { rooms: { standard, reset, deluxe }, stairs: {...}, ... },
+ *     carpetRoomList: [{ name, length, width, sqft, package }, ...],
+ *     tileAreaList: [{ name, kind, length, width, sqft, surface, addOns }, ...],
+ *     tileSqft: number,
+ *     upholstery: { ottoman: { qty, deodorizer, protector }, ... },
+ *     sectional: { cushions, qty, deodorizer, protector },
+ *     rugs: { small: { synthetic: { standard, reset, deluxe }, ... }, ... },
+ *     treatments: {
+ *       carpet: { rooms: { petUrine, ... }, stairs: {...}, ... },
+ *       rugs: { small: { synthetic: { heavyStain, ... }, ... }, ... },
+ *     },
+ *     ducts: {
+ *       vents: { supply, return, trunk }, furnace,
+ *       dryerVent: { feet, rooftop }, sanitizers: { duct, coil },
+ *     },
+ *     pest: { monthly, oneTime, homeSqft },
+ *     access: { noParking, upperFloor, guaranteedParking },
+ *   }
+ *
+ * A commercial job instead lists its units in `units: [{ name,
+ * selections }, ...]`, each with service entries of its own (see
+ * commercial.js).  Its lines are tagged with the index of their unit, and
+ * the summary adds the `units` subtotals.
+ *
+ * The service entries of the job follow the service catalog (see
+ * serviceCatalog.js), which also says how each of them is priced.
+ * Bundles in the rate table (see bundles.js) are applied automatically,
+ * and a promotion found with findPromo (see promotions.js) may be passed
+ * as well.  Discounts are added as negative lines.
+ */
+import { bundleDiscounts } from "./bundles";
+import { commercialCatalog, isCommercial, newUnit, UNIT_MAX, UNIT_NAME_MAX, unitName, volumeDiscount } from "./commercial";
+import { promoDiscount } from "./promotions";
+import { categoryAvailable, emptySelections, getPath, inputLines, serviceCatalog, setPath } from "./serviceCatalog";
+
+// Service categories that quote lines are grouped under, in the order
+// they are listed on a quote.
+export const SERVICES = {
+  carpet: "Carpet Cleaning",
+  tile: "Tile and Grout Cleaning",
+  upholstery: "Upholstery Cleaning",
+  rugs: "Area Rug Cleaning",
+  ducts: "Air Duct and Dryer Vent Cleaning",
+  pest: "Pest Control",
+  discounts: "Discounts",
+  fees: "Fees and Adjustments",
+};
+
+// Group quote lines by service, in SERVICES order, skipping services
+// without lines.  Returns `[{ service, label, lines }]`.
+export function groupLinesByService(lines) {
+  return Object.keys(SERVICES)
+    .map((service) => ({ service, label: SERVICES[service], lines: lines.filter((l) => l.service === service) }))
+    .filter((g) => g.lines.length > 0);
+}
+
+// Group the lines of a commercial quote by unit, in unit order and
+// skipping units without lines, followed by the fees and discounts of
+// the whole job.  Returns `[{ key, label, subtotal, recurring, lines }]`;
+// the fees and discounts group has no totals of its own.
+export function groupLinesByUnit(summary) {
+  const groups = (summary.units || [])
+    .map((u, i) => ({ key: "unit" + i, label: u.name, subtotal: u.subtotal, recurring: u.recurring, lines: summary.lines.filter((l) => l.unit === i) }))
+    .filter((g) => g.lines.length > 0);
+  const rest = summary.lines.filter((l) => l.unit === undefined);
+  if (rest.length > 0) groups.push({ key: "job", label: "Fees and Discounts", lines: rest });
+  return groups;
+}
+
+// Billing intervals for recurring services and how the quote names
+// them.  Recurring lines are kept out of the amount due at service.
+export const INTERVAL_LABELS = {
+  month: "monthly",
+};
+
+// Whether pest control may be sold for a job in the given state.  Jobs
+// whose state is unknown are not eligible.
+export function isPestEligible(state, rates) {
+  return rates.pest.states.indexOf(state) !== -1;
+}
+
+// Whether a job, or any unit of a commercial job, has a pest control
+// option selected.
+export function hasPestSelection(job) {
+  if (isCommercial(job)) return job.units.some((u) => hasPestSelection(u.selections || {}));
+  const pest = job.pest || {};
+  return Boolean(pest.monthly || pest.oneTime || pest.homeSqft > 0);
+}
+
+// Labels of the access conditions reported for a job, in rate card order.
+export function accessConditionLabels(access, rates) {
+  const conditions = rates.access.conditions;
+  return Object.keys(conditions)
+    .filter((k) => access && access[k])
+    .map((k) => conditions[k].label);
+}
+
+// Check reported access conditions for contradictions.  Returns one error
+// message per mutually exclusive pair that was reported together.
+export function validateAccess(access, rates) {
+  const conditions = rates.access.conditions;
+  return rates.access.exclusive
+    .filter(([a, b]) => access && access[a] && access[b])
+    .map(([a, b]) => `"${conditions[a].label}" and "${conditions[b].label}" can't both apply.`);
+}
+
+// Build an empty job description for the given rate table.  Useful as a
+// starting point for callers that only set a few quantities.
+export function emptyJob(rates) {
+  const access = {};
+  Object.keys(rates.access.conditions).forEach((k) => {
+    access[k] = false;
+  });
+  return { zone: "local", state: null, ...emptySelections(serviceCatalog(rates)), access };
+}
+
+// Copy `value` onto the shape of `template`, keeping only the keys the
+// template has and falling back to the template wherever the value is
+// missing or of the wrong type.  Counts must be finite and non-negative.
+function conform(template, value) {
+  if (template !== null && typeof template === "object") {
+    const src = value !== null && typeof value === "object" ? value : {};
+    const out = {};
+    Object.keys(template).forEach((k) => {
+      out[k] = conform(template[k], src[k]);
+    });
+    return out;
+  }
+  if (template === null) {
+    return typeof value === "string" ? value : null;
+  }
+  if (typeof template === "number") {
+    return typeof value === "number" && isFinite(value) && value >= 0 ? value : template;
+  }
+  return typeof value === typeof template ? value : template;
+}
+
+// Copy `value` onto `template` (see conform), then clean up the lists of
+// the catalog's list inputs.
+function normalizeSelections(template, value, catalog) {
+  let out = conform(template, value);
+  catalog.forEach((category) => {
+    category.inputs.filter((input) => input.type === "list").forEach((input) => {
+      out = setPath(out, input.path, input.normalize(value ? getPath(value, input.path) : undefined));
+    });
+  });
+  return out;
+}
+
+// Bring a job description from an untrusted or older source (saved
+// quotes, links) in line with the current rate table.  Areas, items and
+// sizes the rate table no longer has are dropped, new ones start empty.
+// The units of a commercial job are kept, up to UNIT_MAX.
+export function normalizeJob(job, rates) {
+  const out = normalizeSelections(emptyJob(rates), job, serviceCatalog(rates));
+  if (!isCommercial(job)) return out;
+  const catalog = commercialCatalog(rates);
+  const template = emptySelections(catalog);
+  const units = job.units
+    .filter((u) => u !== null && typeof u === "object")
+    .slice(0, UNIT_MAX)
+    .map((u, i) => ({
+      name: typeof u.name === "string" && u.name.trim() ? u.name.trim().slice(0, UNIT_NAME_MAX) : newUnit(i, rates).name,
+      selections: normalizeSelections(template, u.selections, catalog),
+    }));
+  return { ...out, units };
+}
+
+// Price a job description against a rate table.  Returns the individual
+// line items, each tagged with the SERVICES key it belongs to, along
+// with the subtotal and total due at service.  Lines
+// for recurring services carry an `interval` and are summed per interval
+// in `recurring` (for example `{ month: 49.99 }`) instead of the total.
+// Commercial jobs also get `units`, the `{ name, subtotal, recurring }`
+// of each unit before fees and discounts.
+export function priceQuote(job, rates, promo = null) {
+  const lines = [];
+  let sub = 0;
+  const recurring = {};
+  const add = (service, label, qty, each, total) => {
+    lines.push({ service, label, qty, each, total });
+    sub = sub + total;
+  };
+  const addRecurring = (service, label, qty, each, total, interval) => {
+    lines.push({ service, label, qty, each, total, interval });
+    recurring[interval] = (recurring[interval] || 0) + total;
+  };
+
+  // Services, category by category and input by input in catalog
+  // order.  Categories with a minimum are topped up to it, and
+  // categories limited to some states are left off elsewhere.
+  const addServices = (selections, catalog) => {
+    catalog.forEach((category) => {
+      if (!categoryAvailable(category, job.state)) return;
+      const start = sub;
+      category.inputs.forEach((input) => {
+        inputLines(input, getPath(selections, input.path)).forEach((l) => {
+          if (l.interval) {
+            addRecurring(category.key, l.label, l.qty, l.each, l.total, l.interval);
+          } else {
+            add(category.key, l.label, l.qty, l.each, l.total);
+          }
+        });
+      });
+      const total = Math.round((sub - start) * 100) / 100;
+      if (category.minimum && total > 0 && total < category.minimum.amount) {
+        const diff = Math.round((category.minimum.amount - total) * 100) / 100;
+        add(category.key, category.minimum.label, 1, diff, diff);
+      }
+    });
+  };
+
+  // A commercial job is priced unit by unit, each unit's lines tagged
+  // with its index.
+  let units = null;
+  if (isCommercial(job)) {
+    const catalog = commercialCatalog(rates);
+    units = job.units.map((unit, i) => {
+      const first = lines.length;
+      const start = sub;
+      addServices(unit.selections, catalog);
+      const unitRecurring = {};
+      lines.slice(first).forEach((l) => {
+        l.unit = i;
+        if (l.interval) unitRecurring[l.interval] = Math.round(((unitRecurring[l.interval] || 0) + l.total) * 100) / 100;
+      });
+      return { name: unitName(unit, i), subtotal: Math.round((sub - start) * 100) / 100, recurring: unitRecurring };
+    });
+  } else {
+    addServices(job, serviceCatalog(rates));
+  }
+
+  // Portable equipment is needed when the truck mount can't reach the
+  // work area.  Only charge it for jobs that have priced services.
+  const access = job.access || {};
+  const conditions = rates.access.conditions;
+  const portable = Object.keys(conditions).some((k) => access[k] && conditions[k].portable);
+  if (portable && sub > 0) {
+    const fee = rates.access.portableEquipmentFee;
+    add("fees", "Portable Equipment Fee", 1, fee, fee);
+  }
+
+  // Zone fee and minimum charge.  The minimum only looks at the one-time
+  // total; recurring services never count toward it.
+  const zoneFee = (rates.serviceZones[job.zone] || {}).fee || 0;
+  if (zoneFee > 0) {
+    add("fees", "Service Zone Fee", 1, zoneFee, zoneFee);
+  }
+  // Bundle and promotional discounts, each reduced where needed so the
+  // job doesn't drop below `floor`, the minimum charge unless a promotion
+  // waives it.  `promoResult` tells the customer why a code took off less
+  // than they expected, or nothing.
+  const addDiscount = (label, amount, floor = rates.minCharge) => {
+    const allowed = Math.min(amount, Math.max(0, Math.round((sub - floor) * 100) / 100));
+    if (allowed > 0) {
+      lines.push({ service: "discounts", label, qty: 1, total: -allowed });
+      sub = sub - allowed;
+    }
+    return allowed;
+  };
+  // Commercial jobs get a volume discount instead of bundles.
+  if (units) {
+    const volume = volumeDiscount(units, rates);
+    if (volume) addDiscount(volume.label, volume.amount);
+  } else {
+    bundleDiscounts(job, lines, rates).forEach((b) => {
+      addDiscount(b.label + " bundle: " + b.offer, b.amount);
+    });
+  }
+  let promoResult = null;
+  let minimumWaived = false;
+  if (promo) {
+    const { status, amount } = promoDiscount(promo, job, lines, rates);
+    minimumWaived = promo.waivesMinimum === true && status === "applied";
+    const allowed = addDiscount("Promo " + promo.code + ": " + promo.label, amount, minimumWaived ? 0 : rates.minCharge);
+    promoResult = { code: promo.code, label: promo.label, amount: allowed, status };
+    if (status === "applied" && allowed < amount) {
+      promoResult.status = allowed > 0 ? "limited" : "minimumCharge";
+    }
+  }
+  if (sub < rates.minCharge && sub > 0 && !minimumWaived) {
+    const diff = rates.minCharge - sub;
+    add("fees", "Minimum Charge Adjustment", 1, diff, diff);
+  }
+  return { lines, subtotal: sub, total: sub, recurring, promo: promoResult, ...(units ? { units } : {}) };
+}
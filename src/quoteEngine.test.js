@@ -0,0 +1,644 @@
+import { RATES } from "./rates";
+import {
+  accessConditionLabels,
+  emptyJob,
+  groupLinesByService,
+  groupLinesByUnit,
+  hasPestSelection,
+  isPestEligible,
+  normalizeJob,
+  priceQuote,
+  validateAccess,
+} from "./quoteEngine";
+import { newUnit } from "./commercial";
+import { addOnPrice, rugPrice } from "./serviceCatalog";
+import { newTileArea } from "./tileAreas";
+import { PROMOTIONS } from "./promotions";
+
+// Build a job from the empty template with a few fields overridden.
+const jobWith = (patch) => ({ ...emptyJob(RATES), ...patch });
+
+const labels = (summary) => summary.lines.map((l) => l.label);
+
+describe("priceQuote", () => {
+  test("an empty job has no lines and no minimum charge", () => {
+    const summary = priceQuote(emptyJob(RATES), RATES);
+    expect(summary).toEqual({ lines: [], subtotal: 0, total: 0, recurring: {}, promo: null });
+  });
+
+  test("prices every carpet area by package", () => {
+    const job = emptyJob(RATES);
+    job.carpets.rooms.standard = 3;
+    job.carpets.stairs.deluxe = 1;
+    job.carpets.walkIn.reset = 2;
+    const summary = priceQuote(job, RATES);
+    expect(summary.lines).toEqual([
+      { service: "carpet", label: "Standard Steam Clean", qty: 3, each: 45, total: 135 },
+      { service: "carpet", label: "Factory Reset Deluxe (Stairs)", qty: 1, each: 170, total: 170 },
+      { service: "carpet", label: "Factory Reset Clean (Walk-In Closet)", qty: 2, each: 40, total: 80 },
+    ]);
+    expect(summary.total).toBe(385);
+  });
+
+  test("prices tile by square foot and ignores invalid input", () => {
+    expect(priceQuote(jobWith({ tileSqft: 200 }), RATES).lines).toEqual([
+      { service: "tile", label: "Tile and Grout Cleaning", qty: 200, each: 0.75, total: 150 },
+    ]);
+    expect(priceQuote(jobWith({ tileSqft: "abc" }), RATES).lines).toEqual([]);
+    expect(priceQuote(jobWith({ tileSqft: -10 }), RATES).lines).toEqual([]);
+  });
+
+  describe("minimum charge", () => {
+    test("tops up jobs below the minimum", () => {
+      const job = emptyJob(RATES);
+      job.carpets.rooms.standard = 1;
+      const summary = priceQuote(job, RATES);
+      expect(summary.lines[1]).toEqual({ service: "fees", label: "Minimum Charge Adjustment", qty: 1, each: 90, total: 90 });
+      expect(summary.total).toBe(RATES.minCharge);
+    });
+
+    test("leaves jobs at or above the minimum alone", () => {
+      const job = emptyJob(RATES);
+      job.carpets.rooms.standard = 3;
+      expect(labels(priceQuote(job, RATES))).not.toContain("Minimum Charge Adjustment");
+    });
+
+    test("counts the zone fee toward the minimum", () => {
+      const job = jobWith({ zone: "extended" });
+      job.carpets.rooms.standard = 1;
+      const summary = priceQuote(job, RATES);
+      expect(summary.lines.map((l) => l.total)).toEqual([45, 45, 45]);
+      expect(summary.total).toBe(135);
+    });
+  });
+
+  describe("service zone", () => {
+    test("adds the extended zone fee", () => {
+      const job = jobWith({ zone: "extended" });
+      job.carpets.rooms.deluxe = 2;
+      const summary = priceQuote(job, RATES);
+      expect(summary.lines[1]).toEqual({ service: "fees", label: "Service Zone Fee", qty: 1, each: 45, total: 45 });
+      expect(summary.total).toBe(315);
+    });
+
+    test("charges nothing for the local zone", () => {
+      const job = emptyJob(RATES);
+      job.carpets.rooms.deluxe = 2;
+      expect(labels(priceQuote(job, RATES))).not.toContain("Service Zone Fee");
+    });
+
+    test("charges nothing when the job has no zone", () => {
+      const job = jobWith({ zone: null });
+      job.carpets.rooms.deluxe = 2;
+      expect(labels(priceQuote(job, RATES))).not.toContain("Service Zone Fee");
+    });
+  });
+
+  describe("sectionals", () => {
+    test("prices by cushion count", () => {
+      const job = jobWith({ sectional: { cushions: 8, qty: 2, deodorizer: false, protector: false } });
+      expect(priceQuote(job, RATES).lines).toEqual([
+        { service: "upholstery", label: "Sectional - 8 cushions", qty: 2, each: 315, total: 630 },
+      ]);
+    });
+
+    test("adds capped deodorizer and protector per sectional", () => {
+      const job = jobWith({ sectional: { cushions: 4, qty: 1, deodorizer: true, protector: true } });
+      expect(priceQuote(job, RATES).lines).toEqual([
+        { service: "upholstery", label: "Sectional - 4 cushions", qty: 1, each: 140, total: 140 },
+        { service: "upholstery", label: "Sectional - Deodorizer", qty: 1, each: 20, total: 20 },
+        { service: "upholstery", label: "Sectional - Fabric Protector", qty: 1, each: 28, total: 28 },
+      ]);
+    });
+
+    test("prices unknown cushion counts at zero", () => {
+      const job = jobWith({ sectional: { cushions: 15, qty: 1, deodorizer: false, protector: false } });
+      expect(priceQuote(job, RATES)).toEqual({
+        lines: [{ service: "upholstery", label: "Sectional - 15 cushions", qty: 1, each: 0, total: 0 }],
+        subtotal: 0,
+        total: 0,
+        recurring: {},
+        promo: null,
+      });
+    });
+
+    test("is skipped when the quantity is zero", () => {
+      const job = jobWith({ sectional: { cushions: 6, qty: 0, deodorizer: true, protector: true } });
+      expect(priceQuote(job, RATES).lines).toEqual([]);
+    });
+  });
+
+  describe("upholstery add-ons", () => {
+    test("charges a percentage of the base price below the cap", () => {
+      const job = emptyJob(RATES);
+      job.upholstery.loveseat = { qty: 2, deodorizer: true, protector: true };
+      expect(priceQuote(job, RATES).lines).toEqual([
+        { service: "upholstery", label: "Loveseat", qty: 2, each: 85, total: 170 },
+        { service: "upholstery", label: "Loveseat - Deodorizer", qty: 2, each: 13, total: 26 },
+        { service: "upholstery", label: "Loveseat - Fabric Protector", qty: 2, each: 17, total: 34 },
+      ]);
+    });
+
+    test("caps the deodorizer and protector for expensive items", () => {
+      const rates = { ...RATES, upholstery: { ...RATES.upholstery, couch4: { label: "Couch (4 Cushions)", price: 400 } } };
+      const job = emptyJob(rates);
+      job.upholstery.couch4 = { qty: 1, deodorizer: true, protector: true };
+      const lines = priceQuote(job, rates).lines;
+      expect(lines[1].each).toBe(RATES.upholsteryAddOns.deodorizerCap);
+      expect(lines[2].each).toBe(RATES.upholsteryAddOns.fabricProtectorCap);
+    });
+
+    test("addOnPrice rounds before applying the cap", () => {
+      expect(addOnPrice(5, 0.15, 20)).toBe(1);
+      expect(addOnPrice(100, 0.15, 20)).toBe(15);
+      expect(addOnPrice(140, 0.15, 20)).toBe(20);
+      expect(addOnPrice(300, 0.2, 50)).toBe(50);
+    });
+  });
+
+  describe("rugs", () => {
+    test("prices by size, material and package", () => {
+      const job = emptyJob(RATES);
+      job.rugs.large.synthetic.reset = 1;
+      job.rugs.massive.synthetic.standard = 1;
+      expect(priceQuote(job, RATES).lines).toEqual([
+        { service: "rugs", label: "Area Rug 6x9 to 8x10 (Synthetic/Nylon) - Factory Reset Clean", qty: 1, each: 112, total: 112 },
+        { service: "rugs", label: "Area Rug 12x18 to 20x20 (Synthetic/Nylon) - Standard Steam Clean", qty: 1, each: 300, total: 300 },
+      ]);
+    });
+
+    test("applies the material multiplier and surcharge", () => {
+      const job = emptyJob(RATES);
+      job.rugs.medium.wool.standard = 2;
+      job.rugs.medium.silk.deluxe = 1;
+      expect(priceQuote(job, RATES).lines).toEqual([
+        { service: "rugs", label: "Area Rug 5x8 to 6x9 (Wool/Oriental) - Standard Steam Clean", qty: 2, each: 75, total: 150 },
+        { service: "rugs", label: "Area Rug 5x8 to 6x9 (Silk/Delicate) - Factory Reset Deluxe", qty: 1, each: 205, total: 205 },
+      ]);
+    });
+
+    test("skips packages the material does not allow", () => {
+      const job = emptyJob(RATES);
+      job.rugs.small.silk.standard = 1;
+      expect(priceQuote(job, RATES).lines).toEqual([]);
+      expect(rugPrice(RATES, "small", "silk", "standard")).toBeNull();
+    });
+
+    test("rugPrice rounds the multiplied price to the dollar", () => {
+      expect(rugPrice(RATES, "large", "cotton", "reset")).toBe(123);
+      expect(rugPrice(RATES, "large", "synthetic", "reset")).toBe(112);
+    });
+  });
+
+  describe("pest control", () => {
+    test("adds monthly and one-time general pest control", () => {
+      const job = jobWith({ state: "AL", pest: { monthly: true, oneTime: true, homeSqft: 0 } });
+      expect(priceQuote(job, RATES).lines.slice(0, 2)).toEqual([
+        { service: "pest", label: "Monthly General Pest Control (AL only)", qty: 1, each: 49.99, total: 49.99, interval: "month" },
+        { service: "pest", label: "One-Time General Pest Control (AL only)", qty: 1, each: 129.99, total: 129.99 },
+      ]);
+    });
+
+    test("keeps monthly pest control out of the total due at service", () => {
+      const job = jobWith({ state: "AL", pest: { monthly: true, oneTime: false, homeSqft: 0 } });
+      job.carpets.rooms.standard = 3;
+      const summary = priceQuote(job, RATES);
+      expect(summary.total).toBe(135);
+      expect(summary.recurring).toEqual({ month: 49.99 });
+    });
+
+    test("does not let a subscription satisfy the minimum charge", () => {
+      const job = jobWith({ state: "AL", pest: { monthly: true, oneTime: false, homeSqft: 0 } });
+      job.carpets.rooms.reset = 1;
+      const summary = priceQuote(job, RATES);
+      expect(summary.lines.slice(-1)[0]).toEqual({ service: "fees", label: "Minimum Charge Adjustment", qty: 1, each: 45, total: 45 });
+      expect(summary.total).toBe(135);
+    });
+
+    test("a subscription on its own has nothing due at service", () => {
+      const job = jobWith({ state: "AL", pest: { monthly: true, oneTime: false, homeSqft: 0 } });
+      const summary = priceQuote(job, RATES);
+      expect(summary.total).toBe(0);
+      expect(labels(summary)).toEqual(["Monthly General Pest Control (AL only)"]);
+    });
+
+    test.each([
+      [1000, 149],
+      [1600, 149],
+      [1601, 300],
+      [3200, 300],
+    ])("prices flea treatment for %i sq ft at %i", (homeSqft, price) => {
+      const job = jobWith({ state: "AL", pest: { monthly: false, oneTime: false, homeSqft } });
+      expect(priceQuote(job, RATES).lines).toEqual([
+        { service: "pest", label: "Move-Out Flea and Tick (AL only)", qty: 1, each: price, total: price },
+      ]);
+    });
+
+    test("leaves flea treatment over 3200 sq ft for a custom quote", () => {
+      const job = jobWith({ state: "AL", pest: { monthly: false, oneTime: false, homeSqft: 3201 } });
+      expect(priceQuote(job, RATES)).toEqual({ lines: [], subtotal: 0, total: 0, recurring: {}, promo: null });
+    });
+
+    test.each(["GA", null])("drops pest control for jobs in %p", (state) => {
+      const job = jobWith({ state, pest: { monthly: true, oneTime: true, homeSqft: 1200 } });
+      job.carpets.rooms.deluxe = 1;
+      expect(labels(priceQuote(job, RATES))).toEqual(["Factory Reset Deluxe"]);
+    });
+
+    test("isPestEligible follows the licensed states", () => {
+      expect(isPestEligible("AL", RATES)).toBe(true);
+      expect(isPestEligible("GA", RATES)).toBe(false);
+      expect(isPestEligible("GA", { ...RATES, pest: { ...RATES.pest, states: ["AL", "GA"] } })).toBe(true);
+    });
+
+    test("hasPestSelection detects any pest option", () => {
+      expect(hasPestSelection(emptyJob(RATES))).toBe(false);
+      expect(hasPestSelection(jobWith({ pest: { monthly: false, oneTime: false, homeSqft: 900 } }))).toBe(true);
+      expect(hasPestSelection(jobWith({ pest: { monthly: true, oneTime: false, homeSqft: 0 } }))).toBe(true);
+    });
+  });
+
+  describe("access conditions", () => {
+    const withAccess = (access) => {
+      const job = jobWith({ access: { ...emptyJob(RATES).access, ...access } });
+      job.carpets.rooms.deluxe = 1;
+      return job;
+    };
+
+    test.each(["noParking", "upperFloor"])("charges the portable equipment fee for %s", (k) => {
+      const summary = priceQuote(withAccess({ [k]: true }), RATES);
+      expect(summary.lines[1]).toEqual({ service: "fees", label: "Portable Equipment Fee", qty: 1, each: 40, total: 40 });
+      expect(summary.total).toBe(175);
+    });
+
+    test("charges the fee once when several conditions need it", () => {
+      const summary = priceQuote(withAccess({ noParking: true, upperFloor: true }), RATES);
+      expect(labels(summary).filter((l) => l === "Portable Equipment Fee")).toHaveLength(1);
+    });
+
+    test("guaranteed parking adds no fee", () => {
+      expect(labels(priceQuote(withAccess({ guaranteedParking: true }), RATES))).not.toContain("Portable Equipment Fee");
+    });
+
+    test("no fee is charged without priced services", () => {
+      const job = jobWith({ access: { noParking: true, upperFloor: false, guaranteedParking: false } });
+      expect(priceQuote(job, RATES).lines).toEqual([]);
+    });
+
+    test("lists reported conditions in rate card order", () => {
+      expect(accessConditionLabels({ guaranteedParking: true, upperFloor: true }, RATES)).toEqual([
+        "Area is on 3rd floor or higher",
+        "I have guaranteed parking",
+      ]);
+      expect(accessConditionLabels(undefined, RATES)).toEqual([]);
+    });
+
+    test("rejects no parking together with guaranteed parking", () => {
+      expect(validateAccess({ noParking: true, guaranteedParking: true }, RATES)).toHaveLength(1);
+      expect(validateAccess({ noParking: true, upperFloor: true }, RATES)).toEqual([]);
+    });
+  });
+
+  test("uses the rate table it is given", () => {
+    const rates = { ...RATES, minCharge: 0, tile: { rate: 1 } };
+    const summary = priceQuote(jobWith({ tileSqft: 50 }), rates);
+    expect(summary.total).toBe(50);
+  });
+});
+
+describe("priceQuote with a room list", () => {
+  test("prices each room as its own named line", () => {
+    const job = emptyJob(RATES);
+    job.carpetRoomList = [
+      { name: "Great Room", length: 0, width: 0, sqft: 450, package: "reset" },
+      { name: "Bedroom 2", length: 10, width: 12, sqft: 0, package: "standard" },
+    ];
+    expect(priceQuote(job, RATES).lines).toEqual([
+      { service: "carpet", label: "Great Room - Factory Reset Clean (450 sq ft)", qty: 1, each: 202.5, total: 202.5 },
+      { service: "carpet", label: "Bedroom 2 - Standard Steam Clean (120 sq ft)", qty: 1, each: 45, total: 45 },
+    ]);
+  });
+
+  test("still prices room counts from older quotes", () => {
+    const job = emptyJob(RATES);
+    job.carpetRoomList = [{ name: "Den", length: 0, width: 0, sqft: 0, package: "deluxe" }];
+    job.carpets.rooms.deluxe = 1;
+    expect(labels(priceQuote(job, RATES))).toEqual(["Den - Factory Reset Deluxe", "Factory Reset Deluxe"]);
+  });
+});
+
+describe("priceQuote with tile areas", () => {
+  const area = (patch) => ({ ...newTileArea(0, RATES), ...patch });
+
+  test("prices each area as its own line with its add-ons", () => {
+    const job = emptyJob(RATES);
+    job.tileAreaList = [
+      area({ name: "Kitchen", kind: "kitchen", length: 15, width: 12, surface: "porcelain" }),
+      area({ name: "Master Bath", kind: "shower", sqft: 90, surface: "stone", addOns: { groutSeal: false, colorSeal: true } }),
+      area({ name: "Unmeasured", kind: "backsplash" }),
+    ];
+    expect(priceQuote(job, RATES).lines).toEqual([
+      { service: "tile", label: "Kitchen - Kitchen Floor, Porcelain (180 sq ft)", qty: 1, each: 158.4, total: 158.4 },
+      { service: "tile", label: "Master Bath - Shower Walls, Natural Stone (90 sq ft)", qty: 1, each: 182.7, total: 182.7 },
+      { service: "tile", label: "Master Bath - Shower Walls, Natural Stone (90 sq ft) - Grout Color Seal", qty: 1, each: 135, total: 135 },
+    ]);
+  });
+
+  test("charges small tile jobs the tile minimum", () => {
+    const job = emptyJob(RATES);
+    job.carpets.rooms.deluxe = 2;
+    job.tileAreaList = [area({ name: "Entry", sqft: 40 })];
+    const lines = priceQuote(job, RATES).lines.filter((l) => l.service === "tile");
+    expect(lines).toEqual([
+      { service: "tile", label: "Entry - Tile Floor, Ceramic (40 sq ft)", qty: 1, each: 30, total: 30 },
+      { service: "tile", label: "Tile Minimum Adjustment", qty: 1, each: 120, total: 120 },
+    ]);
+  });
+});
+
+describe("priceQuote with duct cleaning", () => {
+  test("prices vents, the furnace, the dryer vent run and sanitizers", () => {
+    const job = emptyJob(RATES);
+    job.ducts.vents = { supply: 8, return: 2, trunk: 1 };
+    job.ducts.furnace = true;
+    job.ducts.dryerVent = { feet: 25, rooftop: true };
+    job.ducts.sanitizers.coil = true;
+    expect(priceQuote(job, RATES).lines).toEqual([
+      { service: "ducts", label: "Supply Vent", qty: 8, each: 25, total: 200 },
+      { service: "ducts", label: "Return Vent", qty: 2, each: 35, total: 70 },
+      { service: "ducts", label: "Main Trunk Line", qty: 1, each: 85, total: 85 },
+      { service: "ducts", label: "Furnace/Blower Cleaning", qty: 1, each: 150, total: 150 },
+      { service: "ducts", label: "Dryer Vent Cleaning - Rooftop Exit (25 ft run)", qty: 1, each: 204, total: 204 },
+      { service: "ducts", label: "Evaporator Coil Sanitizer", qty: 1, each: 99, total: 99 },
+    ]);
+  });
+
+  test("charges a short wall vent the exit price alone", () => {
+    const job = emptyJob(RATES);
+    job.ducts.dryerVent = { feet: 8, rooftop: false };
+    expect(priceQuote(job, RATES).lines[0]).toEqual(
+      { service: "ducts", label: "Dryer Vent Cleaning - Wall Exit (8 ft run)", qty: 1, each: 99, total: 99 }
+    );
+  });
+});
+
+describe("priceQuote with treatments", () => {
+  test("adds a line per treatment for each carpet area", () => {
+    const job = emptyJob(RATES);
+    job.carpets.stairs.reset = 1;
+    job.treatments.carpet.rooms.petUrine = 2;
+    job.treatments.carpet.stairs.heavyStain = 3;
+    expect(priceQuote(job, RATES).lines).toEqual([
+      { service: "carpet", label: "Factory Reset Clean (Stairs)", qty: 1, each: RATES.carpets.stairs.reset.price, total: RATES.carpets.stairs.reset.price },
+      { service: "carpet", label: "Pet Urine Treatment - Rooms", qty: 2, each: 35, total: 70 },
+      { service: "carpet", label: "Heavy Stain Removal - Stairs", qty: 3, each: 15, total: 45 },
+    ]);
+  });
+
+  test("adds rug treatments under the rug they apply to", () => {
+    const job = emptyJob(RATES);
+    job.rugs.large.wool.reset = 1;
+    job.treatments.rugs.large.wool.rugUrineFlush = 1;
+    const lines = priceQuote(job, RATES).lines;
+    expect(lines[1]).toEqual({ service: "rugs", label: "Pet Urine Flush - Area Rug 6x9 to 8x10 (Wool/Oriental)", qty: 1, each: 45, total: 45 });
+  });
+
+  test("ignores treatments the rate card doesn't offer for the section", () => {
+    const job = emptyJob(RATES);
+    job.treatments.carpet.rooms.rugUrineFlush = 4;
+    expect(priceQuote(job, RATES).lines).toEqual([]);
+  });
+});
+
+describe("priceQuote with a promotion", () => {
+  const percentOff = { code: "TENOFF", label: "10% off", type: "percent", percent: 0.1, expires: "2099-12-31" };
+  const fixedOff = { code: "TAKE50", label: "$50 off", type: "fixed", amount: 50, expires: "2099-12-31" };
+
+  test("adds the discount as a negative line and lowers the total", () => {
+    const job = emptyJob(RATES);
+    job.carpets.rooms.reset = 3;
+    const summary = priceQuote(job, RATES, percentOff);
+    expect(summary.lines[1]).toEqual({ service: "discounts", label: "Promo TENOFF: 10% off", qty: 1, total: -27 });
+    expect(summary.total).toBe(243);
+    expect(summary.promo).toEqual({ code: "TENOFF", label: "10% off", amount: 27, status: "applied" });
+  });
+
+  test("never discounts fees", () => {
+    const job = { ...emptyJob(RATES), zone: "extended" };
+    job.carpets.rooms.reset = 3;
+    const summary = priceQuote(job, RATES, percentOff);
+    expect(summary.promo.amount).toBe(27);
+    expect(summary.total).toBe(270 + 45 - 27);
+  });
+
+  test("is reduced so the job stays at the minimum charge", () => {
+    const job = emptyJob(RATES);
+    job.carpets.rooms.reset = 2;
+    const summary = priceQuote(job, RATES, fixedOff);
+    expect(summary.promo).toEqual({ code: "TAKE50", label: "$50 off", amount: 45, status: "limited" });
+    expect(summary.total).toBe(RATES.minCharge);
+    expect(labels(summary)).not.toContain("Minimum Charge Adjustment");
+  });
+
+  test("takes nothing off a job already at the minimum charge", () => {
+    const job = emptyJob(RATES);
+    job.carpets.rooms.standard = 1;
+    const summary = priceQuote(job, RATES, fixedOff);
+    expect(summary.promo.status).toBe("minimumCharge");
+    expect(labels(summary)).toEqual(["Standard Steam Clean", "Minimum Charge Adjustment"]);
+    expect(summary.total).toBe(RATES.minCharge);
+  });
+
+  test("prices three rooms at $99 with 3ROOMS99, below the minimum charge", () => {
+    const job = emptyJob(RATES);
+    job.carpets.rooms.standard = 3;
+    const summary = priceQuote(job, RATES, PROMOTIONS.find((p) => p.code === "3ROOMS99"));
+    expect(summary.total).toBe(99);
+    expect(summary.promo.status).toBe("applied");
+    expect(labels(summary)).not.toContain("Minimum Charge Adjustment");
+  });
+
+  test("keeps the minimum charge when a promotion that waives it doesn't apply", () => {
+    const job = emptyJob(RATES);
+    job.carpets.rooms.standard = 2;
+    const summary = priceQuote(job, RATES, PROMOTIONS.find((p) => p.code === "3ROOMS99"));
+    expect(summary.promo.status).toBe("notEligible");
+    expect(summary.total).toBe(RATES.minCharge);
+  });
+
+  test("leaves recurring services alone", () => {
+    const job = { ...emptyJob(RATES), state: "AL" };
+    job.carpets.rooms.deluxe = 2;
+    job.pest.monthly = true;
+    const summary = priceQuote(job, RATES, percentOff);
+    expect(summary.promo.amount).toBe(27);
+    expect(summary.recurring).toEqual({ month: RATES.pest.monthly.price });
+  });
+});
+
+describe("priceQuote with bundles", () => {
+  test("adds applied bundles as labeled discount lines", () => {
+    const job = emptyJob(RATES);
+    job.carpets.rooms.reset = 5;
+    job.carpets.stairs.reset = 1;
+    const summary = priceQuote(job, RATES);
+    expect(summary.lines[2]).toEqual({ service: "discounts", label: "Whole Home bundle: 15% off carpet cleaning", qty: 1, total: -87 });
+    expect(summary.total).toBe(580 - 87);
+  });
+
+  test("works out promo codes on regular prices", () => {
+    const job = emptyJob(RATES);
+    job.carpets.rooms.reset = 5;
+    job.carpets.stairs.reset = 1;
+    const promo = { code: "TENOFF", label: "10% off", type: "percent", percent: 0.1, expires: "2099-12-31" };
+    const summary = priceQuote(job, RATES, promo);
+    expect(summary.promo.amount).toBe(58);
+    expect(summary.total).toBe(580 - 87 - 58);
+  });
+
+  test("are skipped for rate tables without bundles", () => {
+    const job = emptyJob(RATES);
+    job.carpets.rooms.reset = 5;
+    job.carpets.stairs.reset = 1;
+    expect(priceQuote(job, { ...RATES, bundles: {} }).total).toBe(580);
+  });
+});
+
+describe("priceQuote for commercial jobs", () => {
+  // A commercial job with `count` units of 650 sq ft of Factory Reset
+  // carpet each.
+  const commercialJob = (count) => {
+    const units = [];
+    for (let i = 0; i < count; i++) {
+      const unit = newUnit(i, RATES);
+      unit.selections.commercialCarpet.reset = 650;
+      units.push(unit);
+    }
+    return { ...emptyJob(RATES), units };
+  };
+
+  test("prices each unit and tags its lines", () => {
+    const job = commercialJob(2);
+    job.units[1].selections.upholstery.loveseat = { qty: 1, deodorizer: false, protector: false };
+    const summary = priceQuote(job, RATES);
+    expect(summary.lines).toEqual([
+      { service: "carpet", label: "Commercial Carpet - Factory Reset Clean", qty: 650, each: 0.28, total: 182, unit: 0 },
+      { service: "carpet", label: "Commercial Carpet - Factory Reset Clean", qty: 650, each: 0.28, total: 182, unit: 1 },
+      { service: "upholstery", label: "Loveseat", qty: 1, each: RATES.upholstery.loveseat.price, total: RATES.upholstery.loveseat.price, unit: 1 },
+    ]);
+    expect(summary.units).toEqual([
+      { name: "Unit 1", subtotal: 182, recurring: {} },
+      { name: "Unit 2", subtotal: 182 + RATES.upholstery.loveseat.price, recurring: {} },
+    ]);
+  });
+
+  test("takes the volume discount and charges fees once", () => {
+    const job = { ...commercialJob(12), zone: "extended" };
+    const summary = priceQuote(job, RATES);
+    expect(summary.lines.filter((l) => l.unit === undefined)).toEqual([
+      { service: "fees", label: "Service Zone Fee", qty: 1, each: 45, total: 45 },
+      { service: "discounts", label: "Volume discount: 10% off 12 units", qty: 1, total: -218.4 },
+    ]);
+    expect(summary.total).toBe(12 * 182 + 45 - 218.4);
+  });
+
+  test("doesn't apply bundles", () => {
+    const job = commercialJob(1);
+    job.units[0].selections.carpets.stairs.reset = 1;
+    job.units[0].selections.carpetRoomList = [0, 1, 2, 3, 4].map((i) => ({ name: "Room " + (i + 1), length: 0, width: 0, sqft: 0, package: "reset" }));
+    expect(priceQuote(job, RATES).lines.filter((l) => l.service === "discounts")).toEqual([]);
+  });
+
+  test("sells pest control to units in licensed states only", () => {
+    const job = commercialJob(1);
+    job.units[0].selections.pest.monthly = true;
+    expect(hasPestSelection(job)).toBe(true);
+    expect(priceQuote({ ...job, state: "GA" }, RATES).units[0].recurring).toEqual({});
+    expect(priceQuote({ ...job, state: "AL" }, RATES).units[0].recurring).toEqual({ month: RATES.pest.monthly.price });
+  });
+
+  test("groups lines by unit, then fees and discounts", () => {
+    const job = { ...commercialJob(3), zone: "extended" };
+    job.units[1].selections.commercialCarpet.reset = 0;
+    const groups = groupLinesByUnit(priceQuote(job, RATES));
+    expect(groups.map((g) => [g.label, g.subtotal, g.lines.length])).toEqual([
+      ["Unit 1", 182, 1],
+      ["Unit 3", 182, 1],
+      ["Fees and Discounts", undefined, 1],
+    ]);
+  });
+
+  test("names units with a blank name by their position", () => {
+    const job = commercialJob(2);
+    job.units[0].name = "  ";
+    job.units[1].name = "Apt 202";
+    expect(groupLinesByUnit(priceQuote(job, RATES)).map((g) => g.label)).toEqual(["Unit 1", "Apt 202"]);
+  });
+});
+
+describe("normalizeJob", () => {
+  test("keeps a valid job unchanged", () => {
+    const job = emptyJob(RATES);
+    job.rugs.small.wool.reset = 2;
+    job.state = "AL";
+    expect(normalizeJob(job, RATES)).toEqual(job);
+  });
+
+  test("fills missing parts from the empty job", () => {
+    expect(normalizeJob({}, RATES)).toEqual(emptyJob(RATES));
+    expect(normalizeJob(null, RATES)).toEqual(emptyJob(RATES));
+  });
+
+  test("keeps valid rooms and drops broken ones", () => {
+    const job = normalizeJob({
+      carpetRoomList: [
+        { name: "  Den ", length: 10, width: 12, sqft: 0, package: "reset" },
+        { name: "Attic", sqft: 100, package: "platinum" },
+        "Kitchen",
+        { name: "", length: -4, width: "12", sqft: 1e9, package: "standard" },
+      ],
+    }, RATES);
+    expect(job.carpetRoomList).toEqual([
+      { name: "Den", length: 10, width: 12, sqft: 0, package: "reset" },
+      { name: "Room 2", length: 0, width: 0, sqft: 10000, package: "standard" },
+    ]);
+    expect(normalizeJob({ carpetRoomList: { 0: {} } }, RATES).carpetRoomList).toEqual([]);
+  });
+
+  test("keeps the units of commercial jobs", () => {
+    const job = normalizeJob({
+      units: [
+        { name: " Apt 101 ", selections: { commercialCarpet: { deluxe: 400 }, tileSqft: 100 } },
+        "Apt 102",
+        { selections: { carpetRoomList: [{ name: "Den", sqft: 100, package: "reset" }] } },
+      ],
+    }, RATES);
+    expect(job.units.map((u) => u.name)).toEqual(["Apt 101", "Unit 2"]);
+    expect(job.units[0].selections).toEqual({ ...newUnit(0, RATES).selections, commercialCarpet: { standard: 0, reset: 0, deluxe: 400 } });
+    expect(job.units[1].selections.carpetRoomList).toEqual([{ name: "Den", length: 0, width: 0, sqft: 100, package: "reset" }]);
+    expect(normalizeJob(emptyJob(RATES), RATES).units).toBeUndefined();
+  });
+
+  test("drops unknown keys and rejects bad values", () => {
+    const job = normalizeJob({
+      carpets: { rooms: { standard: -1, reset: Infinity, deluxe: 2 }, attic: { standard: 1 } },
+      tileSqft: "100",
+      sectional: { deodorizer: "yes" },
+    }, RATES);
+    expect(job.carpets.rooms).toEqual({ standard: 0, reset: 0, deluxe: 2 });
+    expect(job.carpets.attic).toBeUndefined();
+    expect(job.tileSqft).toBe(0);
+    expect(job.sectional.deodorizer).toBe(false);
+  });
+});
+
+describe("groupLinesByService", () => {
+  test("groups lines in service order and skips empty services", () => {
+    const job = { ...emptyJob(RATES), zone: "extended" };
+    job.rugs.small.synthetic.standard = 1;
+    job.carpets.rooms.standard = 1;
+    const groups = groupLinesByService(priceQuote(job, RATES).lines);
+    expect(groups.map((g) => g.label)).toEqual(["Carpet Cleaning", "Area Rug Cleaning", "Fees and Adjustments"]);
+    expect(groups[2].lines.map((l) => l.label)).toEqual(["Service Zone Fee"]);
+  });
+});
@@ -0,0 +1,114 @@
+/*
+ * Local persistence for in-progress quotes.
+ *
+ * The wizard saves a snapshot of everything the customer has entered to
+ * localStorage as it changes, so a refresh or closed tab doesn't lose
+ * the quote.  Snapshots are stamped with SCHEMA_VERSION.  When the
+ * snapshot layout changes, bump the version and add a step to
+ * MIGRATIONS that upgrades the previous version; loading runs every step
+ * from the stored version up to the current one.  After migrating, the
+ * job is normalized against the current rate table so quotes saved
+ * before a RATES key was added or removed still load.
+ *
+ * A snapshot has the shape:
+ *
+ *   {
+ *     version, savedAt, step, zip, address,
+ *     active: { carpet, tile, ... },
+ *     job: {
+ *       carpets, carpetRoomList, tileAreaList, tileSqft, upholstery,
+ *       sectional, rugs, treatments, ducts, pest, access,
+ *     },
+ *     contact: {
+ *       name, phone, email,
+ *       consent: { contact, sms, marketing },   see consent.js
+ *     },
+ *     promoCode,
+ *   }
+ *
+ * A commercial quote saves `job: { units, access }` instead (see
+ * commercial.js).
+ */
+import { normalizeJob } from "./quoteEngine";
+import { emptyConsent, normalizeConsent } from "./consent";
+
+export const STORAGE_KEY = "jetstream.quote";
+
+export const SCHEMA_VERSION = 2;
+
+// Upgrade steps keyed by the version they upgrade from.  Each takes a
+// snapshot at that version and returns it at the next version.
+export const MIGRATIONS = {
+  // Version 1 kept a bare follow-up flag, with no time or wording; it
+  // becomes a consent record with nothing given, so consent is asked for
+  // again.
+  1: (data) => {
+    const { followUp, ...contact } = data.contact || {};
+    return { ...data, contact: { ...contact, consent: emptyConsent() } };
+  },
+};
+
+// Run the migrations needed to bring a stored snapshot up to `version`.
+// Returns null for snapshots that can't be upgraded: missing a version,
+// newer than this build, or with a gap in the migration steps.
+export function migrateQuote(data, migrations = MIGRATIONS, version = SCHEMA_VERSION) {
+  if (!data || typeof data !== "object" || !Number.isInteger(data.version)) return null;
+  if (data.version > version) return null;
+  let current = data;
+  while (current.version < version) {
+    const step = migrations[current.version];
+    if (!step) return null;
+    current = { ...step(current), version: current.version + 1 };
+  }
+  return current;
+}
+
+// Save a snapshot.  Storage can be unavailable or full (private browsing,
+// quota); losing the save is better than breaking the wizard.
+export function saveQuote(storage, snapshot) {
+  try {
+    const data = { ...snapshot, version: SCHEMA_VERSION, savedAt: new Date().toISOString() };
+    storage.setItem(STORAGE_KEY, JSON.stringify(data));
+  } catch (e) {
+    // Ignore: persistence is best effort.
+  }
+}
+
+// Load the saved snapshot, migrated and normalized against `rates`, or
+// null when nothing usable is stored.
+export function loadQuote(storage, rates, migrations = MIGRATIONS) {
+  let data;
+  try {
+    data = JSON.parse(storage.getItem(STORAGE_KEY));
+  } catch (e) {
+    return null;
+  }
+  const migrated = migrateQuote(data, migrations);
+  if (!migrated) return null;
+  const text = (v) => (typeof v === "string" ? v : "");
+  const contact = migrated.contact || {};
+  const active = {};
+  Object.keys(migrated.active || {}).forEach((k) => {
+    active[k] = migrated.active[k] === true;
+  });
+  return {
+    version: migrated.version,
+    savedAt: text(migrated.savedAt),
+    step: [1, 2, 3, 4, 5].indexOf(migrated.step) !== -1 ? migrated.step : 1,
+    zip: text(migrated.zip),
+    address: text(migrated.address),
+    active,
+    job: normalizeJob(migrated.job, rates),
+    contact: { name: text(contact.name), phone: text(contact.phone), email: text(contact.email), consent: normalizeConsent(contact.consent) },
+    promoCode: text(migrated.promoCode),
+  };
+}
+
+// Remove the saved snapshot.
+export function clearQuote(storage) {
+  try {
+    storage.removeItem(STORAGE_KEY);
+  } catch (e) {
+    // Ignore: nothing to clear if storage is unavailable.
+  }
+}
@@ -0,0 +1,146 @@
+import { RATES } from "./rates";
+import { emptyJob } from "./quoteEngine";
+import { emptyConsent } from "./consent";
+import { clearQuote, loadQuote, migrateQuote, MIGRATIONS, saveQuote, SCHEMA_VERSION, STORAGE_KEY } from "./quoteStorage";
+import { memoryStorage } from "./testHelpers";
+
+const snapshot = () => {
+  const job = emptyJob(RATES);
+  job.carpets.rooms.reset = 2;
+  job.upholstery.loveseat = { qty: 1, deodorizer: true, protector: false };
+  return {
+    step: 3,
+    zip: "36867",
+    address: "12 Main St",
+    active: { carpet: true, upholstery: true },
+    job,
+    contact: {
+      name: "Pat Lee",
+      phone: "3345550100",
+      email: "pat@example.com",
+      consent: { contact: "2026-10-19T15:00:00.000Z", sms: null, marketing: "2026-10-19T15:01:00.000Z" },
+    },
+    promoCode: "WELCOME20",
+  };
+};
+
+describe("saveQuote and loadQuote", () => {
+  test("round-trip a snapshot", () => {
+    const storage = memoryStorage();
+    saveQuote(storage, snapshot());
+    const loaded = loadQuote(storage, RATES);
+    expect(loaded.version).toBe(SCHEMA_VERSION);
+    expect(loaded.savedAt).not.toBe("");
+    expect(loaded.step).toBe(3);
+    expect(loaded.zip).toBe("36867");
+    expect(loaded.active).toEqual({ carpet: true, upholstery: true });
+    expect(loaded.job.carpets.rooms.reset).toBe(2);
+    expect(loaded.job.upholstery.loveseat).toEqual({ qty: 1, deodorizer: true, protector: false });
+    expect(loaded.contact).toEqual(snapshot().contact);
+    expect(loaded.promoCode).toBe("WELCOME20");
+  });
+
+  test("return null when nothing is saved", () => {
+    expect(loadQuote(memoryStorage(), RATES)).toBeNull();
+  });
+
+  test("return null for corrupt data", () => {
+    expect(loadQuote(memoryStorage({ [STORAGE_KEY]: "{not json" }), RATES)).toBeNull();
+    expect(loadQuote(memoryStorage({ [STORAGE_KEY]: "[]" }), RATES)).toBeNull();
+  });
+
+  test("ignore storage that throws", () => {
+    const broken = {
+      getItem: () => { throw new Error("denied"); },
+      setItem: () => { throw new Error("quota"); },
+      removeItem: () => { throw new Error("denied"); },
+    };
+    expect(() => saveQuote(broken, snapshot())).not.toThrow();
+    expect(loadQuote(broken, RATES)).toBeNull();
+    expect(() => clearQuote(broken)).not.toThrow();
+  });
+
+  test("fit saved jobs to the current rate table", () => {
+    const saved = { ...snapshot(), version: SCHEMA_VERSION };
+    saved.job.upholstery.futon = { qty: 3, deodorizer: false, protector: false };
+    delete saved.job.rugs;
+    saved.job.carpets.rooms.standard = "lots";
+    const storage = memoryStorage({ [STORAGE_KEY]: JSON.stringify(saved) });
+    const loaded = loadQuote(storage, RATES);
+    expect(loaded.job.upholstery.futon).toBeUndefined();
+    expect(loaded.job.rugs).toEqual(emptyJob(RATES).rugs);
+    expect(loaded.job.carpets.rooms.standard).toBe(0);
+  });
+
+  test("load snapshots saved without a promo code", () => {
+    const saved = { ...snapshot(), version: SCHEMA_VERSION };
+    delete saved.promoCode;
+    expect(loadQuote(memoryStorage({ [STORAGE_KEY]: JSON.stringify(saved) }), RATES).promoCode).toBe("");
+  });
+
+  test("load consent without a valid timestamp as not given", () => {
+    const saved = { ...snapshot(), version: SCHEMA_VERSION };
+    saved.contact.consent = { contact: true, sms: "soon" };
+    expect(loadQuote(memoryStorage({ [STORAGE_KEY]: JSON.stringify(saved) }), RATES).contact.consent).toEqual(emptyConsent());
+    delete saved.contact.consent;
+    expect(loadQuote(memoryStorage({ [STORAGE_KEY]: JSON.stringify(saved) }), RATES).contact.consent).toEqual(emptyConsent());
+  });
+
+  test("ask again for follow-up consent saved by version 1", () => {
+    const saved = { ...snapshot(), version: 1 };
+    saved.contact = { name: "Pat Lee", phone: "3345550100", email: "pat@example.com", followUp: true };
+    const loaded = loadQuote(memoryStorage({ [STORAGE_KEY]: JSON.stringify(saved) }), RATES);
+    expect(loaded.version).toBe(SCHEMA_VERSION);
+    expect(loaded.contact).toEqual({ name: "Pat Lee", phone: "3345550100", email: "pat@example.com", consent: emptyConsent() });
+  });
+
+  test("fall back to step 1 for an invalid step", () => {
+    const storage = memoryStorage({ [STORAGE_KEY]: JSON.stringify({ ...snapshot(), step: 9, version: SCHEMA_VERSION }) });
+    expect(loadQuote(storage, RATES).step).toBe(1);
+  });
+});
+
+describe("clearQuote", () => {
+  test("removes the saved snapshot", () => {
+    const storage = memoryStorage();
+    saveQuote(storage, snapshot());
+    clearQuote(storage);
+    expect(storage.data).toEqual({});
+  });
+});
+
+describe("migrateQuote", () => {
+  const migrations = {
+    1: (data) => ({ ...data, contact: { name: data.name } }),
+    2: (data) => ({ ...data, step: data.step + 1 }),
+  };
+
+  test("runs each step from the stored version to the current one", () => {
+    const migrated = migrateQuote({ version: 1, name: "Pat", step: 2 }, migrations, 3);
+    expect(migrated).toMatchObject({ version: 3, contact: { name: "Pat" }, step: 3 });
+  });
+
+  test("leaves current snapshots alone", () => {
+    expect(migrateQuote({ version: 3, step: 2 }, migrations, 3)).toEqual({ version: 3, step: 2 });
+  });
+
+  test("rejects snapshots from a newer build", () => {
+    expect(migrateQuote({ version: 4 }, migrations, 3)).toBeNull();
+  });
+
+  test("rejects snapshots with no migration path", () => {
+    expect(migrateQuote({ version: 0 }, migrations, 3)).toBeNull();
+  });
+
+  test("rejects snapshots without a version", () => {
+    expect(migrateQuote({ step: 2 }, migrations, 3)).toBeNull();
+    expect(migrateQuote(null, migrations, 3)).toBeNull();
+  });
+
+  test("loadQuote applies migrations", () => {
+    const storage = memoryStorage({ [STORAGE_KEY]: JSON.stringify({ version: 0, zip: "31901" }) });
+    const loaded = loadQuote(storage, RATES, { ...MIGRATIONS, 0: (data) => ({ ...data, address: "from v0" }) });
+    expect(loaded.zip).toBe("31901");
+    expect(loaded.address).toBe("from v0");
+  });
+});
@@ -0,0 +1,330 @@
+/*
+ * Loadable rate card.
+ *
+ * Prices are published as a versioned JSON file (public/rates.json) so a
+ * price change doesn't need a code change.  The file is fetched once at
+ * startup and checked by `validateRates` before anything is priced from
+ * it; a typo such as a missing `deluxe` price would otherwise show up as
+ * $NaN on the quote.  If the file can't be fetched or fails the check,
+ * the app keeps the built-in RATES and shows a warning.
+ */
+import { RATES } from "./rates";
+import { INTERVAL_LABELS, SERVICES } from "./quoteEngine";
+import { PACKAGES, TREATMENT_UNITS } from "./serviceCatalog";
+
+export const RATES_URL = (process.env.PUBLIC_URL || "") + "/rates.json";
+
+// How long to wait for the rate card before using the built-in rates.
+const LOAD_TIMEOUT_MS = 5000;
+
+export const FALLBACK_WARNING =
+  "We couldn't load our latest price list, so our standard rates are shown. We'll confirm your price before service.";
+
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+// Check a rate card against the schema the quote engine relies on.
+// Returns a list of problems, each naming the offending path; an empty
+// list means the rate card is safe to price from.
+export function validateRates(rates) {
+  const errors = [];
+  const number = (path, v, min = 0, max = Infinity) => {
+    if (typeof v !== "number" || !isFinite(v)) {
+      errors.push(path + " must be a number");
+    } else if (v < min || v > max) {
+      errors.push(path + " must be between " + min + " and " + max);
+    }
+  };
+  const string = (path, v) => {
+    if (typeof v !== "string" || v.trim() === "") errors.push(path + " must be a non-empty string");
+  };
+  const object = (path, v, nonEmpty = true) => {
+    if (!isObject(v)) {
+      errors.push(path + " must be an object");
+      return false;
+    }
+    if (nonEmpty && Object.keys(v).length === 0) {
+      errors.push(path + " must not be empty");
+      return false;
+    }
+    return true;
+  };
+  const each = (path, v, fn) => {
+    if (object(path, v)) Object.keys(v).forEach((k) => fn(path + "." + k, v[k], k));
+  };
+
+  if (!object("rates", rates)) return errors;
+  string("version", rates.version);
+  number("minCharge", rates.minCharge);
+
+  if (object("serviceOrigin", rates.serviceOrigin)) {
+    string("serviceOrigin.label", rates.serviceOrigin.label);
+    number("serviceOrigin.lat", rates.serviceOrigin.lat, -90, 90);
+    number("serviceOrigin.lon", rates.serviceOrigin.lon, -180, 180);
+  }
+  each("serviceZones", rates.serviceZones, (path, zone) => {
+    if (!object(path, zone)) return;
+    string(path + ".label", zone.label);
+    number(path + ".maxMiles", zone.maxMiles);
+    number(path + ".fee", zone.fee);
+    number(path + ".travelMinutes", zone.travelMinutes);
+  });
+
+  if (object("access", rates.access)) {
+    number("access.portableEquipmentFee", rates.access.portableEquipmentFee);
+    const conditions = isObject(rates.access.conditions) ? rates.access.conditions : {};
+    each("access.conditions", rates.access.conditions, (path, c) => {
+      if (!object(path, c)) return;
+      string(path + ".label", c.label);
+      if (typeof c.portable !== "boolean") errors.push(path + ".portable must be true or false");
+    });
+    const pairs = rates.access.exclusive;
+    const isPair = (p) => Array.isArray(p) && p.length === 2 && p.every((k) => k in conditions);
+    if (!Array.isArray(pairs) || !pairs.every(isPair)) {
+      errors.push("access.exclusive must be a list of pairs of access conditions");
+    }
+  }
+
+  const areas = isObject(rates.carpetAreas) ? rates.carpetAreas : {};
+  each("carpetAreas", rates.carpetAreas, (path, area) => {
+    if (!object(path, area)) return;
+    string(path + ".label", area.label);
+    string(path + ".one", area.one);
+    string(path + ".many", area.many);
+  });
+  if (isObject(rates.carpetAreas) && !("rooms" in areas)) errors.push("carpetAreas must include rooms");
+  if (object("carpets", rates.carpets)) {
+    Object.keys(areas).forEach((area) => {
+      const path = "carpets." + area;
+      if (!object(path, rates.carpets[area])) return;
+      PACKAGES.forEach((pkg) => {
+        const entry = rates.carpets[area][pkg];
+        if (!object(path + "." + pkg, entry)) return;
+        string(path + "." + pkg + ".label", entry.label);
+        number(path + "." + pkg + ".price", entry.price);
+        number(path + "." + pkg + ".minutes", entry.minutes);
+        string(path + "." + pkg + ".desc", entry.desc);
+      });
+    });
+  }
+
+  each("treatments", rates.treatments, (path, t) => {
+    if (!object(path, t)) return;
+    string(path + ".label", t.label);
+    number(path + ".price", t.price);
+    number(path + ".minutes", t.minutes);
+    if (!(t.unit in TREATMENT_UNITS)) errors.push(path + ".unit must be one of " + Object.keys(TREATMENT_UNITS).join(", "));
+    const sections = ["carpet", "rugs"];
+    if (!Array.isArray(t.sections) || t.sections.length === 0 || !t.sections.every((s) => sections.indexOf(s) !== -1)) {
+      errors.push(path + ".sections must list carpet, rugs or both");
+    }
+  });
+
+  if (object("roomSize", rates.roomSize)) {
+    number("roomSize.includedSqft", rates.roomSize.includedSqft);
+    if (object("roomSize.overagePerSqft", rates.roomSize.overagePerSqft)) {
+      PACKAGES.forEach((pkg) => number("roomSize.overagePerSqft." + pkg, rates.roomSize.overagePerSqft[pkg]));
+    }
+  }
+
+  if (object("tile", rates.tile)) {
+    number("tile.rate", rates.tile.rate);
+    number("tile.minimum", rates.tile.minimum);
+    number("tile.minutesPerSqft", rates.tile.minutesPerSqft);
+    each("tile.areas", rates.tile.areas, (path, area) => {
+      if (!object(path, area)) return;
+      string(path + ".label", area.label);
+      number(path + ".rate", area.rate);
+    });
+    each("tile.surfaces", rates.tile.surfaces, (path, surface) => {
+      if (!object(path, surface)) return;
+      string(path + ".label", surface.label);
+      number(path + ".multiplier", surface.multiplier);
+    });
+    each("tile.addOns", rates.tile.addOns, (path, addOn) => {
+      if (!object(path, addOn)) return;
+      string(path + ".label", addOn.label);
+      number(path + ".perSqft", addOn.perSqft);
+    });
+  }
+
+  each("upholstery", rates.upholstery, (path, item) => {
+    if (!object(path, item)) return;
+    string(path + ".label", item.label);
+    number(path + ".price", item.price);
+    number(path + ".minutes", item.minutes);
+  });
+
+  // Sectionals are priced by cushion count, so every count between the
+  // smallest and largest tier needs a price.
+  if (object("sectionalPrices", rates.sectionalPrices)) {
+    const counts = Object.keys(rates.sectionalPrices).map(Number);
+    if (!counts.every((n) => Number.isInteger(n) && n > 0)) {
+      errors.push("sectionalPrices must be keyed by cushion count");
+    } else {
+      for (let n = Math.min(...counts); n <= Math.max(...counts); n++) {
+        number("sectionalPrices." + n, rates.sectionalPrices[n]);
+      }
+    }
+  }
+
+  if (object("upholsteryAddOns", rates.upholsteryAddOns)) {
+    const a = rates.upholsteryAddOns;
+    number("upholsteryAddOns.deodorizerCap", a.deodorizerCap);
+    number("upholsteryAddOns.fabricProtectorCap", a.fabricProtectorCap);
+    number("upholsteryAddOns.deodorizerPct", a.deodorizerPct, 0, 1);
+    number("upholsteryAddOns.fabricProtectorPct", a.fabricProtectorPct, 0, 1);
+  }
+
+  if (object("rugs", rates.rugs)) {
+    each("rugs.sizes", rates.rugs.sizes, (path, size) => {
+      if (!object(path, size)) return;
+      string(path + ".label", size.label);
+      PACKAGES.forEach((pkg) => number(path + "." + pkg, size[pkg]));
+      number(path + ".minutes", size.minutes);
+    });
+    each("rugs.materials", rates.rugs.materials, (path, m) => {
+      if (!object(path, m)) return;
+      string(path + ".label", m.label);
+      number(path + ".multiplier", m.multiplier);
+      number(path + ".surcharge", m.surcharge);
+      if (!Array.isArray(m.packages) || m.packages.length === 0 || !m.packages.every((p) => PACKAGES.indexOf(p) !== -1)) {
+        errors.push(path + ".packages must list one or more of " + PACKAGES.join(", "));
+      }
+    });
+  }
+
+  if (object("ducts", rates.ducts)) {
+    const ducts = rates.ducts;
+    const priced = (path, entry) => {
+      if (!object(path, entry)) return;
+      string(path + ".label", entry.label);
+      number(path + ".price", entry.price);
+    };
+    const timed = (path, entry) => {
+      priced(path, entry);
+      if (isObject(entry)) number(path + ".minutes", entry.minutes);
+    };
+    each("ducts.items", ducts.items, (path, item) => {
+      timed(path, item);
+      if (isObject(item)) string(path + ".unit", item.unit);
+    });
+    timed("ducts.furnace", ducts.furnace);
+    if (object("ducts.dryerVent", ducts.dryerVent)) {
+      const vent = ducts.dryerVent;
+      if (object("ducts.dryerVent.exits", vent.exits)) {
+        ["wall", "rooftop"].forEach((k) => priced("ducts.dryerVent.exits." + k, vent.exits[k]));
+      }
+      number("ducts.dryerVent.includedFeet", vent.includedFeet);
+      number("ducts.dryerVent.perFoot", vent.perFoot);
+      number("ducts.dryerVent.maxFeet", vent.maxFeet, 1);
+      number("ducts.dryerVent.minutes", vent.minutes);
+    }
+    each("ducts.sanitizers", ducts.sanitizers, timed);
+  }
+
+  if (object("pest", rates.pest)) {
+    const pest = rates.pest;
+    if (!Array.isArray(pest.states) || !pest.states.every((s) => typeof s === "string")) {
+      errors.push("pest.states must be a list of state codes");
+    }
+    if (object("pest.monthly", pest.monthly)) {
+      string("pest.monthly.label", pest.monthly.label);
+      number("pest.monthly.price", pest.monthly.price);
+      number("pest.monthly.minutes", pest.monthly.minutes);
+      if (!(pest.monthly.interval in INTERVAL_LABELS)) {
+        errors.push("pest.monthly.interval must be one of " + Object.keys(INTERVAL_LABELS).join(", "));
+      }
+    }
+    if (object("pest.oneTime", pest.oneTime)) {
+      string("pest.oneTime.label", pest.oneTime.label);
+      number("pest.oneTime.price", pest.oneTime.price);
+      number("pest.oneTime.minutes", pest.oneTime.minutes);
+    }
+    number("pest.flea1600", pest.flea1600);
+    number("pest.flea3200", pest.flea3200);
+    if (object("pest.fleaMinutes", pest.fleaMinutes)) {
+      ["flea1600", "flea3200"].forEach((k) => number("pest.fleaMinutes." + k, pest.fleaMinutes[k]));
+    }
+  }
+
+  const known = (s) => s in SERVICES && s !== "fees" && s !== "discounts";
+
+  if (object("commercial", rates.commercial)) {
+    const commercial = rates.commercial;
+    if (!Array.isArray(commercial.services) || commercial.services.length === 0 || !commercial.services.every(known)) {
+      errors.push("commercial.services must list one or more services");
+    }
+    if (object("commercial.carpet", commercial.carpet)) {
+      PACKAGES.forEach((pkg) => {
+        const path = "commercial.carpet." + pkg;
+        if (!object(path, commercial.carpet[pkg])) return;
+        string(path + ".label", commercial.carpet[pkg].label);
+        number(path + ".rate", commercial.carpet[pkg].rate);
+        number(path + ".minutesPerSqft", commercial.carpet[pkg].minutesPerSqft);
+      });
+    }
+    if (!Array.isArray(commercial.volumeTiers)) {
+      errors.push("commercial.volumeTiers must be a list");
+    } else {
+      commercial.volumeTiers.forEach((t, i) => {
+        const path = "commercial.volumeTiers." + i;
+        if (!object(path, t)) return;
+        if (!Number.isInteger(t.minUnits) || t.minUnits < 2) errors.push(path + ".minUnits must be a whole number of at least 2");
+        number(path + ".percent", t.percent, 0, 1);
+      });
+    }
+  }
+
+  each("bundles", rates.bundles, (path, b) => {
+    if (!object(path, b)) return;
+    string(path + ".label", b.label);
+    string(path + ".appliesTo", b.appliesTo);
+    if (!Array.isArray(b.services) || b.services.length === 0 || !b.services.every(known)) {
+      errors.push(path + ".services must list one or more services");
+    }
+    if (object(path + ".carpetMin", b.carpetMin, false)) {
+      Object.keys(b.carpetMin).forEach((area) => {
+        if (!(area in areas)) errors.push(path + ".carpetMin." + area + " is not a carpet area");
+        else if (!Number.isInteger(b.carpetMin[area]) || b.carpetMin[area] < 1) errors.push(path + ".carpetMin." + area + " must be a whole number of at least 1");
+      });
+    }
+    number(path + ".minTotal", b.minTotal);
+    number(path + ".percent", b.percent, 0, 1);
+  });
+
+  if (object("labor", rates.labor)) {
+    const labor = rates.labor;
+    number("labor.setupMinutes", labor.setupMinutes);
+    number("labor.teardownMinutes", labor.teardownMinutes);
+    number("labor.soloMinutes", labor.soloMinutes, 1);
+    if (!Number.isInteger(labor.maxTechnicians) || labor.maxTechnicians < 1) {
+      errors.push("labor.maxTechnicians must be a whole number of at least 1");
+    }
+  }
+
+  return errors;
+}
+
+// Fetch and validate the published rate card.  Always resolves, to
+// `{ rates, warning, errors }`: the published rates with no warning, or
+// the built-in RATES with FALLBACK_WARNING and the reasons in `errors`.
+export function loadRates(fetchFn = window.fetch.bind(window), url = RATES_URL, timeoutMs = LOAD_TIMEOUT_MS) {
+  const fallback = (errors) => ({ rates: RATES, warning: FALLBACK_WARNING, errors });
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(fallback(["rate card did not load within " + timeoutMs + "ms"])), timeoutMs);
+  });
+  const load = fetchFn(url, { cache: "no-cache" })
+    .then((res) => {
+      if (!res.ok) return fallback(["rate card request failed with status " + res.status]);
+      return res.json().then((data) => {
+        const errors = validateRates(data);
+        return errors.length > 0 ? fallback(errors) : { rates: data, warning: null, errors: [] };
+      });
+    })
+    .catch((e) => fallback(["rate card could not be read: " + e.message]));
+  return Promise.race([load, timeout]).then((result) => {
+    clearTimeout(timer);
+    return result;
+  });
+}
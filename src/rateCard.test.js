@@ -0,0 +1,221 @@
+import fs from "fs";
+import path from "path";
+import { RATES } from "./rates";
+import { FALLBACK_WARNING, loadRates, validateRates } from "./rateCard";
+
+const published = () => JSON.parse(fs.readFileSync(path.join(__dirname, "..", "public", "rates.json"), "utf8"));
+
+// A deep copy of the built-in rates to break.
+const copy = () => JSON.parse(JSON.stringify(RATES));
+
+// A fetch stand-in that answers with `body` and `status`.
+const fakeFetch = (body, status = 200) =>
+  jest.fn(() => Promise.resolve({ ok: status >= 200 && status < 300, status, json: () => Promise.resolve(body) }));
+
+describe("validateRates", () => {
+  it("accepts the built-in rates", () => {
+    expect(validateRates(RATES)).toEqual([]);
+  });
+
+  it("accepts the published rate card", () => {
+    const rates = published();
+    expect(validateRates(rates)).toEqual([]);
+    expect(rates.version).not.toBe(RATES.version);
+  });
+
+  it("rejects anything that isn't an object", () => {
+    expect(validateRates(null)).toEqual(["rates must be an object"]);
+    expect(validateRates([])).toEqual(["rates must be an object"]);
+  });
+
+  it("requires a version", () => {
+    const rates = copy();
+    delete rates.version;
+    expect(validateRates(rates)).toEqual(["version must be a non-empty string"]);
+  });
+
+  it("requires every package for every carpet area", () => {
+    const rates = copy();
+    delete rates.carpets.stairs.deluxe;
+    rates.carpets.rooms.reset.price = "95";
+    expect(validateRates(rates)).toEqual([
+      "carpets.rooms.reset.price must be a number",
+      "carpets.stairs.deluxe must be an object",
+    ]);
+  });
+
+  it("requires named carpet areas, rooms among them", () => {
+    const rates = copy();
+    delete rates.carpetAreas.rooms;
+    rates.carpetAreas.stairs.many = "";
+    expect(validateRates(rates)).toEqual([
+      "carpetAreas.stairs.many must be a non-empty string",
+      "carpetAreas must include rooms",
+      "bundles.wholeHome.carpetMin.rooms is not a carpet area",
+    ]);
+  });
+
+  it("requires every package for carpet areas added to the rate card", () => {
+    const rates = copy();
+    rates.carpetAreas.basement = { label: "Basement", one: "basement", many: "basements" };
+    expect(validateRates(rates)).toEqual(["carpets.basement must be an object"]);
+  });
+
+  it("requires a price for every sectional cushion count", () => {
+    const rates = copy();
+    delete rates.sectionalPrices[7];
+    expect(validateRates(rates)).toEqual(["sectionalPrices.7 must be a number"]);
+  });
+
+  it("rejects sectional tiers not keyed by cushion count", () => {
+    const rates = copy();
+    rates.sectionalPrices.large = 500;
+    expect(validateRates(rates)).toEqual(["sectionalPrices must be keyed by cushion count"]);
+  });
+
+  it("requires numeric add-on caps and percentages between 0 and 1", () => {
+    const rates = copy();
+    rates.upholsteryAddOns.deodorizerCap = null;
+    rates.upholsteryAddOns.fabricProtectorPct = 20;
+    expect(validateRates(rates)).toEqual([
+      "upholsteryAddOns.deodorizerCap must be a number",
+      "upholsteryAddOns.fabricProtectorPct must be between 0 and 1",
+    ]);
+  });
+
+  it("rejects rug materials offering unknown packages", () => {
+    const rates = copy();
+    rates.rugs.materials.silk.packages = ["platinum"];
+    expect(validateRates(rates)).toEqual(["rugs.materials.silk.packages must list one or more of standard, reset, deluxe"]);
+  });
+
+  it("rejects exclusive access pairs naming unknown conditions", () => {
+    const rates = copy();
+    rates.access.exclusive = [["noParking", "helicopterPad"]];
+    expect(validateRates(rates)).toEqual(["access.exclusive must be a list of pairs of access conditions"]);
+  });
+
+  it("checks bundle services, carpet minimums and percentages", () => {
+    const rates = copy();
+    rates.bundles.wholeHome.services = ["carpet", "fees"];
+    rates.bundles.wholeHome.carpetMin = { rooms: 2.5, attic: 1 };
+    rates.bundles.carpetUpholstery.percent = 10;
+    expect(validateRates(rates)).toEqual([
+      "bundles.wholeHome.services must list one or more services",
+      "bundles.wholeHome.carpetMin.rooms must be a whole number of at least 1",
+      "bundles.wholeHome.carpetMin.attic is not a carpet area",
+      "bundles.carpetUpholstery.percent must be between 0 and 1",
+    ]);
+  });
+
+  it("checks tile areas, surfaces and add-ons", () => {
+    const rates = copy();
+    delete rates.tile.minimum;
+    rates.tile.areas.shower.rate = "1.35";
+    rates.tile.surfaces.stone = { label: "Natural Stone" };
+    rates.tile.addOns = {};
+    expect(validateRates(rates)).toEqual([
+      "tile.minimum must be a number",
+      "tile.areas.shower.rate must be a number",
+      "tile.surfaces.stone.multiplier must be a number",
+      "tile.addOns must not be empty",
+    ]);
+  });
+
+  it("checks duct items, dryer vent exits and sanitizers", () => {
+    const rates = copy();
+    delete rates.ducts.items.trunk.unit;
+    delete rates.ducts.dryerVent.exits.rooftop;
+    rates.ducts.dryerVent.maxFeet = "50";
+    rates.ducts.sanitizers.coil.price = "99";
+    expect(validateRates(rates)).toEqual([
+      "ducts.items.trunk.unit must be a non-empty string",
+      "ducts.dryerVent.exits.rooftop must be an object",
+      "ducts.dryerVent.maxFeet must be a number",
+      "ducts.sanitizers.coil.price must be a number",
+    ]);
+  });
+
+  it("checks commercial services, carpet rates and volume tiers", () => {
+    const rates = copy();
+    rates.commercial.services = ["carpet", "windows"];
+    delete rates.commercial.carpet.deluxe;
+    rates.commercial.volumeTiers[1] = { minUnits: 1.5, percent: 10 };
+    expect(validateRates(rates)).toEqual([
+      "commercial.services must list one or more services",
+      "commercial.carpet.deluxe must be an object",
+      "commercial.volumeTiers.1.minUnits must be a whole number of at least 2",
+      "commercial.volumeTiers.1.percent must be between 0 and 1",
+    ]);
+  });
+
+  it("checks labor minutes alongside the rates, travel time and crew size", () => {
+    const rates = copy();
+    delete rates.carpets.stairs.reset.minutes;
+    rates.upholstery.loveseat.minutes = "30";
+    delete rates.rugs.sizes.massive.minutes;
+    delete rates.pest.fleaMinutes;
+    delete rates.serviceZones.extended.travelMinutes;
+    rates.labor.maxTechnicians = 0;
+    expect(validateRates(rates)).toEqual([
+      "serviceZones.extended.travelMinutes must be a number",
+      "carpets.stairs.reset.minutes must be a number",
+      "upholstery.loveseat.minutes must be a number",
+      "rugs.sizes.massive.minutes must be a number",
+      "pest.fleaMinutes must be an object",
+      "labor.maxTechnicians must be a whole number of at least 1",
+    ]);
+  });
+
+  it("checks treatment prices, units and sections", () => {
+    const rates = copy();
+    rates.treatments.petUrine.unit = "gallon";
+    rates.treatments.spotDye.sections = ["tile"];
+    expect(validateRates(rates)).toEqual([
+      "treatments.petUrine.unit must be one of room, spot, rug",
+      "treatments.spotDye.sections must list carpet, rugs or both",
+    ]);
+  });
+});
+
+describe("loadRates", () => {
+  it("uses a valid published rate card", async () => {
+    const fetchFn = fakeFetch(published());
+    const result = await loadRates(fetchFn, "/rates.json");
+    expect(fetchFn).toHaveBeenCalledWith("/rates.json", { cache: "no-cache" });
+    expect(result.rates.version).toBe(published().version);
+    expect(result.warning).toBeNull();
+    expect(result.errors).toEqual([]);
+  });
+
+  it("falls back with a warning when the rate card is invalid", async () => {
+    const rates = copy();
+    delete rates.carpets.walkIn;
+    const result = await loadRates(fakeFetch(rates), "/rates.json");
+    expect(result.rates).toBe(RATES);
+    expect(result.warning).toBe(FALLBACK_WARNING);
+    expect(result.errors).toEqual(["carpets.walkIn must be an object"]);
+  });
+
+  it("falls back when the request fails", async () => {
+    const result = await loadRates(fakeFetch(null, 404), "/rates.json");
+    expect(result.rates).toBe(RATES);
+    expect(result.errors).toEqual(["rate card request failed with status 404"]);
+  });
+
+  it("falls back when the network is down or the JSON is malformed", async () => {
+    const offline = await loadRates(jest.fn(() => Promise.reject(new Error("offline"))), "/rates.json");
+    expect(offline.errors).toEqual(["rate card could not be read: offline"]);
+    const malformed = await loadRates(
+      jest.fn(() => Promise.resolve({ ok: true, status: 200, json: () => Promise.reject(new Error("Unexpected token")) })),
+      "/rates.json"
+    );
+    expect(malformed.rates).toBe(RATES);
+  });
+
+  it("falls back when the rate card takes too long", async () => {
+    const result = await loadRates(jest.fn(() => new Promise(() => {})), "/rates.json", 10);
+    expect(result.rates).toBe(RATES);
+    expect(result.errors).toEqual(["rate card did not load within 10ms"]);
+  });
+});
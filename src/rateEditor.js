@@ -0,0 +1,307 @@
+/*
+ * Rate card editing for the admin screen.
+ *
+ * `rateEntries` lists every number in a rate card (prices, crew times,
+ * distances and thresholds) as a flat list of entries, each naming its
+ * dotted path in the card (for example "carpets.rooms.reset.price").
+ * Only the sectional's placeholder price is left out, as sectionals are
+ * priced by cushion count.  The admin screen edits a draft copy of
+ * the card through `setRate`, shows how the sample jobs below would be
+ * re-priced under the draft, and exports the draft as JSON to be
+ * published as public/rates.json.  Nothing here changes the prices
+ * customers see until that file is replaced.
+ */
+import { emptyJob, priceQuote } from "./quoteEngine";
+import { PACKAGES, PACKAGE_LABELS, TREATMENT_UNITS, upholsteryKeys } from "./serviceCatalog";
+import { copyUnit, newUnit } from "./commercial";
+import { newTileArea } from "./tileAreas";
+
+// How an entry is entered and shown.  Percentages are stored as
+// fractions (0.15) but edited as percents (15).  Values are kept to
+// `decimals` places (2 unless given); `whole` entries take whole numbers
+// only and `signed` ones may be negative.
+export const ENTRY_KINDS = {
+  price: { min: 0, max: 100000 },
+  percent: { min: 0, max: 100 },
+  multiplier: { min: 0.1, max: 10 },
+  minutes: { min: 0, max: 600 },
+  minutesPerSqft: { min: 0, max: 10, decimals: 3 },
+  count: { min: 1, max: 1000, whole: true },
+  miles: { min: 0, max: 1000 },
+  latitude: { min: -90, max: 90, decimals: 4, signed: true },
+  longitude: { min: -180, max: 180, decimals: 4, signed: true },
+};
+
+// Every editable entry of `rates`, grouped in the order the admin screen
+// lists them.
+export function rateEntries(rates) {
+  const entries = [];
+  const add = (group, label, path, kind = "price") => entries.push({ group, label, path, kind });
+
+  add("General", "Minimum charge", "minCharge");
+  add("General", "Portable equipment fee", "access.portableEquipmentFee");
+  Object.keys(rates.serviceZones).forEach((k) => {
+    add("General", rates.serviceZones[k].label + " fee", "serviceZones." + k + ".fee");
+  });
+  add("Service area", rates.serviceOrigin.label + " latitude", "serviceOrigin.lat", "latitude");
+  add("Service area", rates.serviceOrigin.label + " longitude", "serviceOrigin.lon", "longitude");
+  Object.keys(rates.serviceZones).forEach((k) => {
+    add("Service area", rates.serviceZones[k].label + " up to (miles)", "serviceZones." + k + ".maxMiles", "miles");
+  });
+  Object.keys(rates.carpetAreas).forEach((area) => {
+    const label = rates.carpetAreas[area].label;
+    PACKAGES.forEach((pkg) => {
+      add("Carpet", label + " - " + PACKAGE_LABELS[pkg], "carpets." + area + "." + pkg + ".price");
+      add("Carpet", label + " - " + PACKAGE_LABELS[pkg] + " (minutes)", "carpets." + area + "." + pkg + ".minutes", "minutes");
+    });
+  });
+  add("Carpet", "Room size included in the room price (sq ft)", "roomSize.includedSqft");
+  PACKAGES.forEach((pkg) => {
+    add("Carpet", "Room overage per sq ft - " + PACKAGE_LABELS[pkg], "roomSize.overagePerSqft." + pkg);
+  });
+  Object.keys(rates.treatments).forEach((k) => {
+    const t = rates.treatments[k];
+    add("Treatments", t.label + " " + TREATMENT_UNITS[t.unit], "treatments." + k + ".price");
+    add("Treatments", t.label + " (minutes " + TREATMENT_UNITS[t.unit] + ")", "treatments." + k + ".minutes", "minutes");
+  });
+  add("Tile", "Tile minimum", "tile.minimum");
+  Object.keys(rates.tile.areas).forEach((k) => {
+    add("Tile", rates.tile.areas[k].label + " per sq ft", "tile.areas." + k + ".rate");
+  });
+  Object.keys(rates.tile.surfaces).forEach((k) => {
+    add("Tile", rates.tile.surfaces[k].label + " multiplier", "tile.surfaces." + k + ".multiplier", "multiplier");
+  });
+  Object.keys(rates.tile.addOns).forEach((k) => {
+    add("Tile", rates.tile.addOns[k].label + " per sq ft", "tile.addOns." + k + ".perSqft");
+  });
+  add("Tile", "Total tile area per sq ft (older quotes)", "tile.rate");
+  add("Tile", "Minutes per sq ft", "tile.minutesPerSqft", "minutesPerSqft");
+  upholsteryKeys(rates).forEach((k) => {
+    add("Upholstery", rates.upholstery[k].label, "upholstery." + k + ".price");
+    add("Upholstery", rates.upholstery[k].label + " (minutes)", "upholstery." + k + ".minutes", "minutes");
+  });
+  add("Sectional tiers", "Minutes per cushion", "upholstery.sectional.minutes", "minutes");
+  Object.keys(rates.sectionalPrices).forEach((n) => {
+    add("Sectional tiers", n + " cushions", "sectionalPrices." + n);
+  });
+  add("Upholstery add-ons", "Deodorizer percent of base", "upholsteryAddOns.deodorizerPct", "percent");
+  add("Upholstery add-ons", "Deodorizer cap", "upholsteryAddOns.deodorizerCap");
+  add("Upholstery add-ons", "Fabric protector percent of base", "upholsteryAddOns.fabricProtectorPct", "percent");
+  add("Upholstery add-ons", "Fabric protector cap", "upholsteryAddOns.fabricProtectorCap");
+  Object.keys(rates.rugs.sizes).forEach((size) => {
+    PACKAGES.forEach((pkg) => {
+      add("Rug sizes", rates.rugs.sizes[size].label + " - " + PACKAGE_LABELS[pkg], "rugs.sizes." + size + "." + pkg);
+    });
+    add("Rug sizes", rates.rugs.sizes[size].label + " (minutes)", "rugs.sizes." + size + ".minutes", "minutes");
+  });
+  Object.keys(rates.rugs.materials).forEach((m) => {
+    add("Rug materials", rates.rugs.materials[m].label + " multiplier", "rugs.materials." + m + ".multiplier", "multiplier");
+    add("Rug materials", rates.rugs.materials[m].label + " surcharge", "rugs.materials." + m + ".surcharge");
+  });
+  Object.keys(rates.ducts.items).forEach((k) => {
+    add("Air ducts", rates.ducts.items[k].label + " " + rates.ducts.items[k].unit, "ducts.items." + k + ".price");
+    add("Air ducts", rates.ducts.items[k].label + " (minutes " + rates.ducts.items[k].unit + ")", "ducts.items." + k + ".minutes", "minutes");
+  });
+  add("Air ducts", rates.ducts.furnace.label, "ducts.furnace.price");
+  add("Air ducts", rates.ducts.furnace.label + " (minutes)", "ducts.furnace.minutes", "minutes");
+  ["wall", "rooftop"].forEach((k) => {
+    add("Air ducts", "Dryer vent - " + rates.ducts.dryerVent.exits[k].label, "ducts.dryerVent.exits." + k + ".price");
+  });
+  add("Air ducts", "Dryer vent run included (ft)", "ducts.dryerVent.includedFeet");
+  add("Air ducts", "Dryer vent per extra ft", "ducts.dryerVent.perFoot");
+  add("Air ducts", "Dryer vent longest run quoted (ft)", "ducts.dryerVent.maxFeet", "count");
+  add("Air ducts", "Dryer vent (minutes)", "ducts.dryerVent.minutes", "minutes");
+  Object.keys(rates.ducts.sanitizers).forEach((k) => {
+    add("Air ducts", rates.ducts.sanitizers[k].label, "ducts.sanitizers." + k + ".price");
+    add("Air ducts", rates.ducts.sanitizers[k].label + " (minutes)", "ducts.sanitizers." + k + ".minutes", "minutes");
+  });
+  add("Pest control", rates.pest.monthly.label, "pest.monthly.price");
+  add("Pest control", rates.pest.monthly.label + " (minutes)", "pest.monthly.minutes", "minutes");
+  add("Pest control", rates.pest.oneTime.label, "pest.oneTime.price");
+  add("Pest control", rates.pest.oneTime.label + " (minutes)", "pest.oneTime.minutes", "minutes");
+  add("Pest control", "Flea treatment under 1600 sq ft", "pest.flea1600");
+  add("Pest control", "Flea treatment under 1600 sq ft (minutes)", "pest.fleaMinutes.flea1600", "minutes");
+  add("Pest control", "Flea treatment under 3200 sq ft", "pest.flea3200");
+  add("Pest control", "Flea treatment under 3200 sq ft (minutes)", "pest.fleaMinutes.flea3200", "minutes");
+  PACKAGES.forEach((pkg) => {
+    add("Commercial", rates.commercial.carpet[pkg].label + " per sq ft", "commercial.carpet." + pkg + ".rate");
+    add("Commercial", rates.commercial.carpet[pkg].label + " minutes per sq ft", "commercial.carpet." + pkg + ".minutesPerSqft", "minutesPerSqft");
+  });
+  rates.commercial.volumeTiers.forEach((t, i) => {
+    add("Commercial", "Volume tier " + (i + 1) + " from (units)", "commercial.volumeTiers." + i + ".minUnits", "count");
+    add("Commercial", "Volume tier " + (i + 1) + " discount", "commercial.volumeTiers." + i + ".percent", "percent");
+  });
+  Object.keys(rates.bundles).forEach((k) => {
+    const b = rates.bundles[k];
+    add("Bundles", b.label + " percent off", "bundles." + k + ".percent", "percent");
+    add("Bundles", b.label + " minimum total", "bundles." + k + ".minTotal");
+    Object.keys(b.carpetMin || {}).forEach((area) => {
+      add("Bundles", b.label + " minimum " + rates.carpetAreas[area].label, "bundles." + k + ".carpetMin." + area, "count");
+    });
+  });
+  add("Labor", "Setup per visit (minutes)", "labor.setupMinutes", "minutes");
+  add("Labor", "Teardown per visit (minutes)", "labor.teardownMinutes", "minutes");
+  add("Labor", "Work one technician takes on alone (minutes)", "labor.soloMinutes", "minutes");
+  add("Labor", "Most technicians per job", "labor.maxTechnicians", "count");
+  Object.keys(rates.serviceZones).forEach((k) => {
+    add("Labor", rates.serviceZones[k].label + " travel (minutes)", "serviceZones." + k + ".travelMinutes", "minutes");
+  });
+  return entries;
+}
+
+// The value at a dotted path of `rates`.
+export function getRate(rates, path) {
+  return path.split(".").reduce((node, k) => (node == null ? undefined : node[k]), rates);
+}
+
+// A copy of `rates` with the value at `path` replaced.  Only the objects
+// and lists along the path are copied.
+export function setRate(rates, path, value) {
+  const [key, ...rest] = path.split(".");
+  const next = rest.length > 0 ? setRate(rates[key], rest.join("."), value) : value;
+  if (Array.isArray(rates)) return rates.map((v, i) => (String(i) === key ? next : v));
+  return { ...rates, [key]: next };
+}
+
+// The value of an entry as it is shown in its input.
+export function formatEntry(entry, value) {
+  return String(entry.kind === "percent" ? Math.round(value * 10000) / 100 : value);
+}
+
+// Parse what was typed into an entry's input.  Returns `{ value }` with
+// the value to store, or `{ error }` with a message to show inline.
+export function parseEntry(entry, text) {
+  const kind = ENTRY_KINDS[entry.kind];
+  const trimmed = String(text).trim();
+  if (kind.whole) {
+    if (!/^\d+$/.test(trimmed)) return { error: "Enter a whole number, like 3." };
+  } else if (!(kind.signed ? /^-?\d+(\.\d+)?$/ : /^\d+(\.\d+)?$/).test(trimmed)) {
+    return { error: kind.signed ? "Enter a number, like 32.345 or -85.022." : "Enter a number, like 45 or 0.75." };
+  }
+  const n = Number(trimmed);
+  if (n < kind.min || n > kind.max) return { error: "Enter a number from " + kind.min + " to " + kind.max + "." };
+  if (entry.kind === "percent") return { value: Math.round(n * 100) / 10000 };
+  const scale = 10 ** (kind.decimals || 2);
+  return { value: Math.round(n * scale) / scale };
+}
+
+// Representative jobs the admin screen re-prices under a draft rate
+// card.  Each sets a few entries of an empty job.
+export const SAMPLE_JOBS = [
+  {
+    name: "Three bedrooms and stairs, Factory Reset",
+    build: (job) => {
+      job.carpets.rooms.reset = 3;
+      job.carpets.stairs.reset = 1;
+      job.carpets.downHall.reset = 1;
+    },
+  },
+  {
+    name: "Great room of 450 sq ft and two bedrooms, Standard",
+    build: (job) => {
+      job.carpetRoomList = [
+        { name: "Great Room", length: 0, width: 0, sqft: 450, package: "standard" },
+        { name: "Bedroom 1", length: 12, width: 12, sqft: 0, package: "standard" },
+        { name: "Bedroom 2", length: 11, width: 10, sqft: 0, package: "standard" },
+      ];
+    },
+  },
+  {
+    name: "Single room, Standard (minimum charge)",
+    build: (job) => {
+      job.carpets.rooms.standard = 1;
+    },
+  },
+  {
+    name: "Sectional and loveseat with add-ons",
+    build: (job) => {
+      job.sectional = { cushions: 7, qty: 1, deodorizer: true, protector: true };
+      job.upholstery.loveseat = { qty: 1, deodorizer: true, protector: false };
+    },
+  },
+  {
+    name: "Area rug and 400 sq ft of kitchen tile",
+    build: (job, rates) => {
+      // A wool rug, or the first material and package the card offers.
+      const sizes = Object.keys(rates.rugs.sizes);
+      const materials = Object.keys(rates.rugs.materials);
+      const material = materials.indexOf("wool") !== -1 ? "wool" : materials[0];
+      const packages = rates.rugs.materials[material].packages;
+      job.rugs[sizes[Math.min(1, sizes.length - 1)]][material][packages.indexOf("reset") !== -1 ? "reset" : packages[0]] = 1;
+      job.tileAreaList = [{ ...newTileArea(0, rates), name: "Kitchen", kind: "kitchen", sqft: 400 }];
+    },
+  },
+  {
+    name: "Natural stone shower with grout sealing",
+    build: (job, rates) => {
+      const shower = { ...newTileArea(0, rates), name: "Master Bath", kind: "shower", length: 8, width: 8, surface: "stone" };
+      shower.addOns.groutSeal = true;
+      job.tileAreaList = [shower];
+    },
+  },
+  {
+    name: "Twelve vents, furnace and a rooftop dryer vent",
+    build: (job) => {
+      job.ducts.vents = { supply: 9, return: 3, trunk: 1 };
+      job.ducts.furnace = true;
+      job.ducts.dryerVent = { feet: 25, rooftop: true };
+      job.ducts.sanitizers.duct = true;
+    },
+  },
+  {
+    name: "Twelve apartment turnovers, 650 sq ft of carpet each",
+    build: (job, rates) => {
+      const unit = newUnit(0, rates);
+      unit.selections.commercialCarpet.reset = 650;
+      job.units = [unit];
+      for (let i = 1; i < 12; i++) job.units.push(copyUnit(unit, i));
+    },
+  },
+  {
+    name: "Whole home, extended zone, monthly pest control",
+    build: (job) => {
+      job.zone = "extended";
+      job.state = "AL";
+      job.carpets.rooms.deluxe = 4;
+      job.carpets.walkIn.deluxe = 2;
+      job.upholstery.couch3 = { qty: 1, deodorizer: false, protector: true };
+      job.pest.monthly = true;
+      job.access.noParking = true;
+    },
+  },
+];
+
+// Price each sample job under the current and draft rate cards.
+export function repriceSamples(current, draft, samples = SAMPLE_JOBS) {
+  return samples.map((sample) => {
+    const job = emptyJob(current);
+    sample.build(job, current);
+    const before = priceQuote(job, current);
+    const after = priceQuote(job, draft);
+    return { name: sample.name, before, after, change: Math.round((after.total - before.total) * 100) / 100 };
+  });
+}
+
+// The draft as the text of a rate-card JSON file, stamped with `version`.
+export function exportRateCard(draft, version) {
+  return JSON.stringify({ ...draft, version }, null, 2) + "\n";
+}
+
+// Hex SHA-256 digest of `text`, using the Web Crypto API.  Browsers
+// only offer it in a secure context (HTTPS or localhost); elsewhere the
+// digest is rejected.
+export function sha256Hex(text, subtle = window.crypto && window.crypto.subtle) {
+  if (!subtle) return Promise.reject(new Error("Web Crypto is not available outside a secure context."));
+  return subtle.digest("SHA-256", new TextEncoder().encode(text)).then((buf) =>
+    Array.from(new Uint8Array(buf)).map((b) => b.toString(16).padStart(2, "0")).join("")
+  );
+}
+
+// Whether `password` matches the configured SHA-256 hash.  This keeps
+// the editor away from casual visitors; it is not access control.  The
+// editor only produces a file, and prices change only when that file is
+// published.
+export function checkAdminPassword(password, expectedHash, subtle) {
+  if (!expectedHash) return Promise.resolve(false);
+  return sha256Hex(password, subtle).then((hash) => hash === expectedHash.trim().toLowerCase());
+}
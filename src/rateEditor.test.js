@@ -0,0 +1,179 @@
+/**
+ * @jest-environment node
+ */
+import { webcrypto } from "crypto";
+import { RATES } from "./rates";
+import { validateRates } from "./rateCard";
+import { checkAdminPassword, ENTRY_KINDS, exportRateCard, formatEntry, getRate, parseEntry, rateEntries, repriceSamples, setRate, sha256Hex } from "./rateEditor";
+
+describe("rateEntries", () => {
+  const entries = rateEntries(RATES);
+  const paths = entries.map((e) => e.path);
+
+  it("lists a numeric entry for every price in the rate card", () => {
+    expect(entries.every((e) => typeof getRate(RATES, e.path) === "number")).toBe(true);
+    expect(new Set(paths).size).toBe(paths.length);
+    expect(paths).toEqual(expect.arrayContaining([
+      "minCharge",
+      "serviceZones.extended.fee",
+      "carpets.walkIn.deluxe.price",
+      "treatments.petUrine.price",
+      "tile.rate",
+      "tile.areas.shower.rate",
+      "tile.surfaces.stone.multiplier",
+      "tile.addOns.colorSeal.perSqft",
+      "upholstery.mattressKing.price",
+      "sectionalPrices.12",
+      "upholsteryAddOns.deodorizerPct",
+      "rugs.sizes.massive.deluxe",
+      "rugs.materials.silk.surcharge",
+      "ducts.items.return.price",
+      "ducts.dryerVent.perFoot",
+      "commercial.carpet.reset.rate",
+      "commercial.volumeTiers.2.percent",
+      "pest.monthly.price",
+      "pest.flea3200",
+      "bundles.wholeHome.percent",
+      "labor.setupMinutes",
+      "serviceZones.extended.travelMinutes",
+    ]));
+  });
+
+  it("leaves out the sectional placeholder priced by cushion count", () => {
+    expect(paths).not.toContain("upholstery.sectional.price");
+  });
+
+  it("lists every other number in the rate card", () => {
+    const leaves = (node, path) => {
+      if (typeof node === "number") return [path];
+      if (!node || typeof node !== "object") return [];
+      return Object.keys(node).reduce((out, k) => out.concat(leaves(node[k], path ? path + "." + k : k)), []);
+    };
+    const missing = leaves(RATES, "").filter((p) => p !== "upholstery.sectional.price" && paths.indexOf(p) === -1);
+    expect(missing).toEqual([]);
+  });
+
+  it("shows every entry in an input that reads back as its value", () => {
+    entries.forEach((e) => {
+      expect(ENTRY_KINDS[e.kind]).toBeDefined();
+      expect(parseEntry(e, formatEntry(e, getRate(RATES, e.path)))).toEqual({ value: getRate(RATES, e.path) });
+    });
+  });
+});
+
+describe("setRate", () => {
+  it("replaces one value without changing the original", () => {
+    const draft = setRate(RATES, "carpets.rooms.reset.price", 95);
+    expect(draft.carpets.rooms.reset.price).toBe(95);
+    expect(RATES.carpets.rooms.reset.price).toBe(90);
+    expect(draft.carpets.stairs).toBe(RATES.carpets.stairs);
+  });
+
+  it("keeps lists as lists", () => {
+    const draft = setRate(RATES, "commercial.volumeTiers.1.percent", 0.12);
+    expect(draft.commercial.volumeTiers).toEqual([
+      RATES.commercial.volumeTiers[0],
+      { minUnits: 10, percent: 0.12 },
+      RATES.commercial.volumeTiers[2],
+    ]);
+    expect(RATES.commercial.volumeTiers[1].percent).toBe(0.1);
+  });
+});
+
+describe("parseEntry and formatEntry", () => {
+  const price = { kind: "price" };
+  const percent = { kind: "percent" };
+
+  it("parses prices to the cent", () => {
+    expect(parseEntry(price, " 49.999 ")).toEqual({ value: 50 });
+    expect(parseEntry(price, "0.75")).toEqual({ value: 0.75 });
+  });
+
+  it("edits percentages as percents", () => {
+    expect(formatEntry(percent, 0.15)).toBe("15");
+    expect(parseEntry(percent, "17.5")).toEqual({ value: 0.175 });
+    expect(parseEntry(percent, "120").error).toBe("Enter a number from 0 to 100.");
+  });
+
+  it("rejects text, negatives and blanks", () => {
+    ["", "abc", "-5", "1e3", "$40"].forEach((text) => {
+      expect(parseEntry(price, text).error).toBe("Enter a number, like 45 or 0.75.");
+    });
+  });
+
+  it("takes whole numbers for counts", () => {
+    expect(parseEntry({ kind: "count" }, "3")).toEqual({ value: 3 });
+    expect(parseEntry({ kind: "count" }, "2.5").error).toBe("Enter a whole number, like 3.");
+    expect(parseEntry({ kind: "count" }, "0").error).toBe("Enter a number from 1 to 1000.");
+  });
+
+  it("takes negative coordinates to four places", () => {
+    expect(parseEntry({ kind: "longitude" }, "-85.02249")).toEqual({ value: -85.0225 });
+    expect(parseEntry({ kind: "latitude" }, "-91").error).toBe("Enter a number from -90 to 90.");
+    expect(parseEntry({ kind: "latitude" }, "north").error).toBe("Enter a number, like 32.345 or -85.022.");
+  });
+
+  it("keeps minutes per square foot to three places", () => {
+    expect(parseEntry({ kind: "minutesPerSqft" }, "0.0625")).toEqual({ value: 0.063 });
+  });
+});
+
+describe("repriceSamples", () => {
+  it("prices every sample job the same under an unchanged card", () => {
+    const results = repriceSamples(RATES, RATES);
+    expect(results.length).toBeGreaterThan(0);
+    results.forEach((r) => {
+      expect(r.before.total).toBeGreaterThan(0);
+      expect(r.change).toBe(0);
+    });
+  });
+
+  it("shows how a price change moves the sample totals", () => {
+    const draft = setRate(RATES, "carpets.rooms.reset.price", 100);
+    const [bedrooms] = repriceSamples(RATES, draft);
+    expect(bedrooms.change).toBe(30);
+  });
+
+  it("prices the rug sample on a card without wool", () => {
+    const { wool, ...materials } = RATES.rugs.materials;
+    const noWool = { ...RATES, rugs: { ...RATES.rugs, materials } };
+    const rug = repriceSamples(noWool, noWool).find((r) => r.name.indexOf("rug") !== -1);
+    expect(rug.before.lines.map((l) => l.label)).toContain("Area Rug 5x8 to 6x9 (Synthetic/Nylon) - Factory Reset Clean");
+  });
+
+  it("shows the minimum charge absorbing small price changes", () => {
+    const draft = setRate(RATES, "carpets.rooms.standard.price", 55);
+    const single = repriceSamples(RATES, draft).find((r) => r.name.indexOf("minimum") !== -1);
+    expect(single.after.total).toBe(RATES.minCharge);
+    expect(single.change).toBe(0);
+  });
+});
+
+describe("exportRateCard", () => {
+  it("writes a valid rate card stamped with the new version", () => {
+    const draft = setRate(RATES, "tile.rate", 0.8);
+    const data = JSON.parse(exportRateCard(draft, "2027.01"));
+    expect(data.version).toBe("2027.01");
+    expect(data.tile.rate).toBe(0.8);
+    expect(validateRates(data)).toEqual([]);
+  });
+});
+
+describe("checkAdminPassword", () => {
+  const subtle = webcrypto.subtle;
+
+  it("compares the SHA-256 hash of the password", async () => {
+    const hash = await sha256Hex("letmein", subtle);
+    expect(hash).toBe("1c8bfe8f801d79745c4631d09fff36c82aa37fc4cce4fc946683d7b336b63032");
+    await expect(checkAdminPassword("letmein", hash.toUpperCase(), subtle)).resolves.toBe(true);
+    await expect(checkAdminPassword("letmeout", hash, subtle)).resolves.toBe(false);
+  });
+
+  it("stays locked when no password is configured", async () => {
+    await expect(checkAdminPassword("", "", subtle)).resolves.toBe(false);
+  });
+
+  it("fails without Web Crypto, as outside a secure context", async () => {
+    await expect(checkAdminPassword("letmein", "1c8bfe8f801d79745c4631d09fff36c82aa37fc4cce4fc946683d7b336b63032", null)).rejects.toThrow("secure context");
+  });
+});
@@ -0,0 +1,258 @@
+/*
+ * Rate card for Jet Stream Clean.
+ *
+ * Every price the quote engine uses lives in the RATES constant below.
+ * It is kept separate from the UI so that the engine can be handed any
+ * rate table (for tests or an alternate price list) without touching
+ * the React tree.
+ *
+ * At startup the app loads the current rate card from public/rates.json
+ * (see rateCard.js) and only falls back to these built-in rates when that
+ * file is missing or invalid.  Keep the two in step when prices change.
+ */
+
+export const RATES = {
+  // Recorded on every quote so we know which prices it was built from.
+  version: "2026.11-builtin",
+  minCharge: 135,
+  // Zones are assigned from the distance between the customer's ZIP and
+  // the service origin.  Each zone covers everything up to its
+  // `maxMiles`; jobs beyond the farthest zone are out of area.
+  // `travelMinutes` is the crew's drive to a job in the zone.
+  serviceOrigin: { label: "Fort Mitchell, AL", lat: 32.345, lon: -85.022 },
+  serviceZones: {
+    local: { label: "Local (within 50 miles of Fort Mitchell)", maxMiles: 50, fee: 0, travelMinutes: 30 },
+    extended: { label: "Extended (50 to 75 miles from Fort Mitchell)", maxMiles: 75, fee: 45, travelMinutes: 60 },
+  },
+  // Job-site access conditions reported on the quote step.  Any condition
+  // marked `portable` means the truck mount can't reach the work area, so
+  // the portable equipment fee is charged once per job.  Each pair in
+  // `exclusive` can't both be reported.
+  access: {
+    portableEquipmentFee: 40,
+    conditions: {
+      noParking: { label: "No nearby parking available", portable: true },
+      upperFloor: { label: "Area is on 3rd floor or higher", portable: true },
+      guaranteedParking: { label: "I have guaranteed parking", portable: false },
+    },
+    exclusive: [["noParking", "guaranteedParking"]],
+  },
+  // Each rate's `minutes` is how long the crew takes for one of it, for
+  // job duration estimates (see scheduling.js); rates by the square foot
+  // have `minutesPerSqft` instead.
+  // Carpet areas in the order they appear on the quote.  `label` names
+  // the area in the wizard, `one` and `many` count it in bundle
+  // suggestions.  Each area is priced under `carpets`; the room list is
+  // priced from `rooms`, so every rate card has it.
+  carpetAreas: {
+    rooms: { label: "Rooms", one: "room", many: "rooms" },
+    stairs: { label: "Stairs", one: "staircase", many: "staircases" },
+    downHall: { label: "Downstairs Hallway", one: "downstairs hallway", many: "downstairs hallways" },
+    upLanding: { label: "Upstairs Landing", one: "upstairs landing", many: "upstairs landings" },
+    walkIn: { label: "Walk-In Closet", one: "walk-in closet", many: "walk-in closets" },
+  },
+  carpets: {
+    rooms: {
+      standard: { label: "Standard Steam Clean", price: 45, minutes: 25, desc: "Professional steam cleaning with truck mounted carpet cleaner using hot water extraction." },
+      reset: { label: "Factory Reset Clean", price: 90, minutes: 35, desc: "Deep cleaning with truck mounted carpet cleaner using CRB (counter rotating brushes) scrubber that unlocks hair and debris, and deodorizer." },
+      deluxe: { label: "Factory Reset Deluxe", price: 135, minutes: 45, desc: "Includes everything with the Factory Reset Clean package plus prevacuuming and fiber protection." },
+    },
+    stairs: {
+      standard: { label: "Standard Steam Clean (Stairs)", price: 65, minutes: 30, desc: "Professional steam cleaning with truck mounted carpet cleaner using hot water extraction." },
+      reset: { label: "Factory Reset Clean (Stairs)", price: 130, minutes: 40, desc: "Deep cleaning with truck mounted carpet cleaner using CRB (counter rotating brushes) scrubber that unlocks hair and debris, and deodorizer." },
+      deluxe: { label: "Factory Reset Deluxe (Stairs)", price: 170, minutes: 50, desc: "Includes everything with the Factory Reset Clean package plus prevacuuming and fiber protection." },
+    },
+    downHall: {
+      standard: { label: "Standard Steam Clean (Downstairs Hallway)", price: 20, minutes: 10, desc: "Professional steam cleaning with truck mounted carpet cleaner using hot water extraction." },
+      reset: { label: "Factory Reset Clean (Downstairs Hallway)", price: 40, minutes: 15, desc: "Deep cleaning with truck mounted carpet cleaner using CRB (counter rotating brushes) scrubber that unlocks hair and debris, and deodorizer." },
+      deluxe: { label: "Factory Reset Deluxe (Downstairs Hallway)", price: 60, minutes: 20, desc: "Includes everything with the Factory Reset Clean package plus prevacuuming and fiber protection." },
+    },
+    upLanding: {
+      standard: { label: "Standard Steam Clean (Upstairs Landing)", price: 65, minutes: 20, desc: "Professional steam cleaning with truck mounted carpet cleaner using hot water extraction." },
+      reset: { label: "Factory Reset Clean (Upstairs Landing)", price: 130, minutes: 25, desc: "Deep cleaning with truck mounted carpet cleaner using CRB (counter rotating brushes) scrubber that unlocks hair and debris, and deodorizer." },
+      deluxe: { label: "Factory Reset Deluxe (Upstairs Landing)", price: 175, minutes: 30, desc: "Includes everything with the Factory Reset Clean package plus prevacuuming and fiber protection." },
+    },
+    walkIn: {
+      standard: { label: "Standard Steam Clean (Walk-In Closet)", price: 20, minutes: 10, desc: "Professional steam cleaning with truck mounted carpet cleaner using hot water extraction." },
+      reset: { label: "Factory Reset Clean (Walk-In Closet)", price: 40, minutes: 15, desc: "Deep cleaning with truck mounted carpet cleaner using CRB (counter rotating brushes) scrubber that unlocks hair and debris, and deodorizer." },
+      deluxe: { label: "Factory Reset Deluxe (Walk-In Closet)", price: 60, minutes: 20, desc: "Includes everything with the Factory Reset Clean package plus prevacuuming and fiber protection." },
+    },
+  },
+  // Treatment add-ons for carpet areas and rugs.  Each is priced per
+  // `unit`: per room (or other carpet area), per spot or per rug, and
+  // may be added in the `sections` listed.
+  treatments: {
+    petUrine: { label: "Pet Urine Treatment", price: 35, minutes: 10, unit: "room", sections: ["carpet"] },
+    rugUrineFlush: { label: "Pet Urine Flush", price: 45, minutes: 15, unit: "rug", sections: ["rugs"] },
+    heavyStain: { label: "Heavy Stain Removal", price: 15, minutes: 5, unit: "spot", sections: ["carpet", "rugs"] },
+    spotDye: { label: "Spot Dyeing", price: 40, minutes: 15, unit: "spot", sections: ["carpet"] },
+  },
+  // Carpet rooms in the room list are priced by size: up to
+  // `includedSqft` for the room price, then per square foot over that.
+  roomSize: {
+    includedSqft: 200,
+    overagePerSqft: { standard: 0.22, reset: 0.45, deluxe: 0.68 },
+  },
+  // Tile is priced by area: each kind of area has its own rate per sq ft,
+  // raised by the surface multiplier.  `rate` prices the single total
+  // area of older quotes.  Tile work below `minimum` is charged the
+  // minimum.
+  tile: {
+    rate: 0.75,
+    minimum: 150,
+    minutesPerSqft: 0.4,
+    areas: {
+      floor: { label: "Tile Floor", rate: 0.75 },
+      kitchen: { label: "Kitchen Floor", rate: 0.8 },
+      bathFloor: { label: "Bathroom Floor", rate: 0.9 },
+      shower: { label: "Shower Walls", rate: 1.35 },
+      backsplash: { label: "Backsplash", rate: 1.25 },
+      countertop: { label: "Countertop", rate: 1.5 },
+    },
+    surfaces: {
+      ceramic: { label: "Ceramic", multiplier: 1 },
+      porcelain: { label: "Porcelain", multiplier: 1.1 },
+      stone: { label: "Natural Stone", multiplier: 1.5 },
+    },
+    addOns: {
+      groutSeal: { label: "Grout Sealing", perSqft: 0.6 },
+      colorSeal: { label: "Grout Color Seal", perSqft: 1.5 },
+    },
+  },
+
+  // The sectional's `minutes` are per cushion.
+  upholstery: {
+    ottoman: { label: "Ottoman", price: 40, minutes: 10 },
+    accentChair: { label: "Accent Chair", price: 40, minutes: 20 },
+    diningChair: { label: "Dining Chair", price: 25, minutes: 10 },
+    recliner: { label: "Recliner Chair", price: 65, minutes: 25 },
+    oversizedChair: { label: "Oversized Double Chair", price: 65, minutes: 30 },
+    throwPillow: { label: "Throw Pillow", price: 5, minutes: 5 },
+    loveseat: { label: "Loveseat", price: 85, minutes: 30 },
+    couch3: { label: "Couch (3 Cushions)", price: 100, minutes: 40 },
+    couch4: { label: "Couch (4 Cushions)", price: 140, minutes: 50 },
+    sectional: { label: "Sectional (by cushions)", price: 0, minutes: 8 },
+    mattressTwin: { label: "Twin Mattress", price: 50, minutes: 20 },
+    mattressFull: { label: "Full Mattress", price: 65, minutes: 25 },
+    mattressQueen: { label: "Queen Mattress", price: 80, minutes: 30 },
+    mattressKing: { label: "King Mattress", price: 95, minutes: 35 },
+  },
+  sectionalPrices: {
+    4: 140, 5: 195, 6: 235, 7: 275, 8: 315, 9: 355, 10: 395, 11: 435, 12: 485,
+  },
+  upholsteryAddOns: {
+    deodorizerCap: 20,
+    fabricProtectorCap: 50,
+    deodorizerPct: 0.15,
+    fabricProtectorPct: 0.20,
+  },
+  rugs: {
+    sizes: {
+      small: { label: "Below 5x8", standard: 50, reset: 75, deluxe: 100, minutes: 15 },
+      medium: { label: "5x8 to 6x9", standard: 60, reset: 90, deluxe: 120, minutes: 20 },
+      large: { label: "6x9 to 8x10", standard: 75, reset: 112, deluxe: 150, minutes: 30 },
+      xlarge: { label: "8x10 to 9x12", standard: 90, reset: 135, deluxe: 180, minutes: 40 },
+      xxlarge: { label: "9x12 to 10x14", standard: 110, reset: 165, deluxe: 220, minutes: 50 },
+      huge: { label: "10x14 to 12x18", standard: 162, reset: 243, deluxe: 324, minutes: 60 },
+      massive: { label: "12x18 to 20x20", standard: 300, reset: 450, deluxe: 600, minutes: 90 },
+    },
+    // Size prices are multiplied by the material multiplier (rounded to
+    // the dollar) and the flat surcharge is added per rug.  Only the
+    // listed packages may be booked for a material.
+    materials: {
+      synthetic: { label: "Synthetic/Nylon", multiplier: 1, surcharge: 0, packages: ["standard", "reset", "deluxe"] },
+      wool: { label: "Wool/Oriental", multiplier: 1.25, surcharge: 0, packages: ["standard", "reset", "deluxe"] },
+      cotton: { label: "Cotton", multiplier: 1.1, surcharge: 0, packages: ["standard", "reset", "deluxe"] },
+      silk: { label: "Silk/Delicate", multiplier: 1.5, surcharge: 25, packages: ["reset", "deluxe"] },
+    },
+  },
+  // Air duct and dryer vent cleaning.  Vents and trunk lines are priced
+  // each.  A dryer vent is priced by where it exits, plus `perFoot` for
+  // every foot of run past `includedFeet`; runs longer than `maxFeet`
+  // need a custom quote.
+  ducts: {
+    items: {
+      supply: { label: "Supply Vent", unit: "per vent", price: 25, minutes: 10 },
+      return: { label: "Return Vent", unit: "per vent", price: 35, minutes: 10 },
+      trunk: { label: "Main Trunk Line", unit: "per line", price: 85, minutes: 30 },
+    },
+    furnace: { label: "Furnace/Blower Cleaning", price: 150, minutes: 45 },
+    dryerVent: {
+      exits: {
+        wall: { label: "Wall Exit", price: 99 },
+        rooftop: { label: "Rooftop Exit", price: 159 },
+      },
+      includedFeet: 10,
+      perFoot: 3,
+      maxFeet: 50,
+      minutes: 40,
+    },
+    sanitizers: {
+      duct: { label: "Antimicrobial Duct Sanitizer", price: 79, minutes: 15 },
+      coil: { label: "Evaporator Coil Sanitizer", price: 99, minutes: 20 },
+    },
+  },
+  // Pest control is licensed in Alabama only; `states` lists where it
+  // may be sold.  Services with an `interval` are billed on that
+  // schedule instead of at the time of service.
+  pest: {
+    states: ["AL"],
+    monthly: { label: "Monthly General Pest Control", price: 49.99, interval: "month", minutes: 45 },
+    oneTime: { label: "One-Time General Pest Control", price: 129.99, minutes: 60 },
+    flea1600: 149,
+    flea3200: 300,
+    // Minutes for the flea treatment of each size above.
+    fleaMinutes: { flea1600: 60, flea3200: 90 },
+  },
+  // Commercial and multi-unit quotes (see commercial.js).  Each unit may
+  // have the `services` listed here, plus carpet priced by the square
+  // foot at `carpet` rates.  Quotes for at least `minUnits` priced units
+  // take the `percent` of the best volume tier they reach off the units'
+  // one-time total.  Bundles don't apply to these quotes.
+  commercial: {
+    services: ["carpet", "upholstery", "pest"],
+    carpet: {
+      standard: { label: "Commercial Carpet - Standard Steam Clean", rate: 0.22, minutesPerSqft: 0.05 },
+      reset: { label: "Commercial Carpet - Factory Reset Clean", rate: 0.28, minutesPerSqft: 0.07 },
+      deluxe: { label: "Commercial Carpet - Factory Reset Deluxe", rate: 0.35, minutesPerSqft: 0.09 },
+    },
+    volumeTiers: [
+      { minUnits: 5, percent: 0.05 },
+      { minUnits: 10, percent: 0.1 },
+      { minUnits: 20, percent: 0.15 },
+    ],
+  },
+  // Multi-service bundles (see bundles.js).  A bundle applies when the
+  // quote includes all of its `services`, at least `carpetMin` of each
+  // carpet area (any package), and the combined price of its services is
+  // at least `minTotal`; it then takes `percent` off that price.
+  // `appliesTo` names those services on the quote.
+  bundles: {
+    wholeHome: {
+      label: "Whole Home",
+      appliesTo: "carpet cleaning",
+      services: ["carpet"],
+      carpetMin: { rooms: 5, stairs: 1 },
+      minTotal: 0,
+      percent: 0.15,
+    },
+    carpetUpholstery: {
+      label: "Carpet + Upholstery",
+      appliesTo: "carpet and upholstery cleaning",
+      services: ["carpet", "upholstery"],
+      carpetMin: {},
+      minTotal: 300,
+      percent: 0.1,
+    },
+  },
+  // Crew time for duration estimates (see scheduling.js).  Each visit
+  // (each unit on commercial quotes) adds `setupMinutes` and
+  // `teardownMinutes` to the work.  A job gets another technician for
+  // every `soloMinutes` of work, up to `maxTechnicians`, who share it.
+  labor: {
+    setupMinutes: 20,
+    teardownMinutes: 15,
+    soloMinutes: 240,
+    maxTechnicians: 3,
+  },
+};
@@ -0,0 +1,76 @@
+/*
+ * Job duration and crew estimates for scheduling.
+ *
+ * A job's work is timed from the same catalog inputs that price it (see
+ * `inputMinutes` in serviceCatalog.js), with the `minutes` kept
+ * alongside each rate: per carpet area and package, upholstery item, rug
+ * size and pest service, and per square foot of tile.  Services the
+ * job's state can't have take no time, as they aren't quoted.
+ * `rates.labor` decides how many technicians share the work and adds
+ * setup and teardown for each visit; the drive to the job comes from its
+ * service zone.  The estimate is shown on the quote, and the scheduling
+ * step only offers arrival windows that leave time for the work and the
+ * drive back (see `crewMinutes`).
+ */
+import { commercialCatalog, isCommercial } from "./commercial";
+import { categoryAvailable, getPath, inputMinutes, serviceCatalog } from "./serviceCatalog";
+
+// Time on site is rounded up to this many minutes.
+export const ESTIMATE_ROUNDING = 15;
+
+// Minutes of work for the service entries in `selections`.
+function workMinutes(selections, catalog, state) {
+  return catalog
+    .filter((category) => categoryAvailable(category, state))
+    .reduce((sum, category) => sum + category.inputs.reduce((t, input) => t + inputMinutes(input, getPath(selections, input.path)), 0), 0);
+}
+
+// The labor estimate for a job:
+//
+//   {
+//     workMinutes,     crew time for the services, for one technician
+//     technicians,     technicians sent, sharing the work
+//     onSiteMinutes,   from arrival to departure, setup and teardown included
+//     travelMinutes,   the drive to the job, from its service zone
+//   }
+//
+// A job with no work needs no one and takes no time.  Each unit of a
+// commercial job with work is a visit of its own, set up separately.
+export function estimateLabor(job, rates) {
+  const labor = rates.labor;
+  const visits = isCommercial(job)
+    ? job.units.map((u) => workMinutes(u.selections, commercialCatalog(rates), job.state))
+    : [workMinutes(job, serviceCatalog(rates), job.state)];
+  const work = visits.reduce((sum, m) => sum + m, 0);
+  if (work === 0) return { workMinutes: 0, technicians: 0, onSiteMinutes: 0, travelMinutes: 0 };
+  const technicians = Math.min(labor.maxTechnicians, Math.ceil(work / labor.soloMinutes));
+  const visitMinutes = visits.filter((m) => m > 0).length * (labor.setupMinutes + labor.teardownMinutes);
+  const zone = rates.serviceZones[job.zone];
+  return {
+    workMinutes: Math.round(work),
+    technicians,
+    onSiteMinutes: Math.ceil((visitMinutes + work / technicians) / ESTIMATE_ROUNDING) * ESTIMATE_ROUNDING,
+    travelMinutes: zone ? zone.travelMinutes : 0,
+  };
+}
+
+// Minutes a job takes the crew from arrival: the time on site, then the
+// drive back.  Arrival windows are sized by it, so a crew sent to the
+// extended zone is back by closing time.
+export function crewMinutes(estimate) {
+  return estimate.onSiteMinutes + estimate.travelMinutes;
+}
+
+// A duration as it reads on the quote, e.g. "2 hr 30 min" or "45 min".
+export function formatDuration(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours === 0) return rest + " min";
+  return hours + " hr" + (rest > 0 ? " " + rest + " min" : "");
+}
+
+// A labor estimate as it reads on the quote, e.g. "2 hr 30 min with 2
+// technicians".
+export function laborText(estimate) {
+  return formatDuration(estimate.onSiteMinutes) + " with " + estimate.technicians + " technician" + (estimate.technicians === 1 ? "" : "s");
+}
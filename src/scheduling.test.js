@@ -0,0 +1,76 @@
+import { RATES } from "./rates";
+import { emptyJob } from "./quoteEngine";
+import { newUnit } from "./commercial";
+import { newTileArea } from "./tileAreas";
+import { crewMinutes, estimateLabor, formatDuration, laborText } from "./scheduling";
+
+const room = (name, pkg = "standard") => ({ name, length: 0, width: 0, sqft: 0, package: pkg });
+const rooms = (n, pkg) => Array.from({ length: n }, (_, i) => room("Room " + (i + 1), pkg));
+
+describe("estimateLabor", () => {
+  test("adds setup and teardown to the work and rounds up to a quarter hour", () => {
+    const job = emptyJob(RATES);
+    job.carpetRoomList = rooms(2);
+    expect(estimateLabor(job, RATES)).toEqual({ workMinutes: 50, technicians: 1, onSiteMinutes: 90, travelMinutes: 30 });
+    job.tileAreaList = [{ ...newTileArea(0, RATES), sqft: 50 }];
+    expect(estimateLabor(job, RATES).onSiteMinutes).toBe(105);
+  });
+
+  test("times each carpet area by its package", () => {
+    const job = emptyJob(RATES);
+    job.carpets.stairs.deluxe = 1;
+    job.carpets.walkIn.standard = 2;
+    expect(estimateLabor(job, RATES).workMinutes).toBe(50 + 2 * 10);
+  });
+
+  test("sends more technicians for long jobs, up to the most allowed", () => {
+    const job = emptyJob(RATES);
+    job.carpetRoomList = rooms(12);
+    expect(estimateLabor(job, RATES)).toMatchObject({ workMinutes: 300, technicians: 2, onSiteMinutes: 195 });
+    job.carpetRoomList = rooms(30, "deluxe");
+    expect(estimateLabor(job, RATES)).toMatchObject({ workMinutes: 1350, technicians: 3, onSiteMinutes: 495 });
+  });
+
+  test("takes the travel time of the job's zone", () => {
+    const job = { ...emptyJob(RATES), carpetRoomList: rooms(1) };
+    expect(estimateLabor({ ...job, zone: "extended" }, RATES).travelMinutes).toBe(60);
+    expect(estimateLabor({ ...job, zone: null }, RATES).travelMinutes).toBe(0);
+  });
+
+  test("keeps the crew for the time on site and the drive back", () => {
+    const job = { ...emptyJob(RATES), carpetRoomList: rooms(1) };
+    const labor = estimateLabor({ ...job, zone: "extended" }, RATES);
+    expect(crewMinutes(labor)).toBe(labor.onSiteMinutes + 60);
+  });
+
+  test("needs no one for an empty job or services the state can't have", () => {
+    const job = emptyJob(RATES);
+    const none = { workMinutes: 0, technicians: 0, onSiteMinutes: 0, travelMinutes: 0 };
+    expect(estimateLabor(job, RATES)).toEqual(none);
+    job.pest.oneTime = true;
+    job.pest.homeSqft = 2000;
+    expect(estimateLabor({ ...job, state: "AL" }, RATES).workMinutes).toBe(60 + 90);
+    expect(estimateLabor({ ...job, state: "GA" }, RATES)).toEqual(none);
+  });
+
+  test("sets up each unit of a commercial job that has work", () => {
+    const units = [0, 1, 2].map((i) => newUnit(i, RATES));
+    units[0].selections.commercialCarpet.standard = 1000;
+    units[1].selections.commercialCarpet.deluxe = 1000;
+    const job = { zone: "local", state: "AL", units, access: emptyJob(RATES).access };
+    expect(estimateLabor(job, RATES)).toEqual({ workMinutes: 140, technicians: 1, onSiteMinutes: 210, travelMinutes: 30 });
+  });
+});
+
+describe("formatDuration and laborText", () => {
+  test("read in hours and minutes", () => {
+    expect(formatDuration(45)).toBe("45 min");
+    expect(formatDuration(120)).toBe("2 hr");
+    expect(formatDuration(150)).toBe("2 hr 30 min");
+  });
+
+  test("name the technicians", () => {
+    expect(laborText({ onSiteMinutes: 90, technicians: 1 })).toBe("1 hr 30 min with 1 technician");
+    expect(laborText({ onSiteMinutes: 195, technicians: 2 })).toBe("3 hr 15 min with 2 technicians");
+  });
+});
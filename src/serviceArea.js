@@ -0,0 +1,54 @@
+/*
+ * Service zone detection.
+ *
+ * Customers no longer pick their own service zone.  The ZIP code from
+ * Step 1 is looked up in the bundled centroid table, its distance from
+ * the service origin is measured with the haversine formula, and the
+ * distance is placed on the ladder of zones defined in the rate table
+ * (`RATES.serviceZones`, each with a `maxMiles` limit).  Anything past
+ * the last rung is outside the service area.  The table doesn't hold
+ * every ZIP, so one missing from it is quoted at the last rung, the
+ * highest travel fee, until staff confirm we serve it.
+ */
+import { ZIP_CENTROIDS } from "./zipCentroids";
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+const toRadians = (deg) => (deg * Math.PI) / 180;
+
+// Great-circle distance in miles between two [lat, lon] points.
+export function haversineMiles([lat1, lon1], [lat2, lon2]) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+}
+
+// Zone keys ordered from nearest to farthest.
+export function zoneLadder(rates) {
+  return Object.keys(rates.serviceZones).sort(
+    (a, b) => rates.serviceZones[a].maxMiles - rates.serviceZones[b].maxMiles
+  );
+}
+
+// Resolve a ZIP code to a service zone.  The result always has a
+// `status`:
+//   "incomplete" - not a five digit ZIP yet
+//   "unknown"    - a valid ZIP that is not in the bundled table; `zone`
+//                  is the last zone on the ladder, for staff to confirm
+//   "outside"    - farther than the last zone on the ladder
+//   "ok"         - inside the service area; `zone` names the zone
+// Known ZIPs also carry the rounded distance in `miles`.
+export function detectZone(zip, rates, centroids = ZIP_CENTROIDS) {
+  const z = String(zip || "").trim();
+  if (!/^\d{5}$/.test(z)) return { status: "incomplete", zone: null };
+  const point = centroids[z];
+  if (!point) return { status: "unknown", zone: zoneLadder(rates).slice(-1)[0] };
+  const origin = rates.serviceOrigin;
+  const miles = Math.round(haversineMiles([origin.lat, origin.lon], point));
+  const zone = zoneLadder(rates).find((k) => miles <= rates.serviceZones[k].maxMiles);
+  if (!zone) return { status: "outside", zone: null, miles };
+  return { status: "ok", zone, miles };
+}
@@ -0,0 +1,82 @@
+import { RATES } from "./rates";
+import { detectZone, haversineMiles, zoneLadder } from "./serviceArea";
+import { ZIP_CENTROIDS } from "./zipCentroids";
+
+describe("haversineMiles", () => {
+  test("is zero for the same point", () => {
+    expect(haversineMiles([32.345, -85.022], [32.345, -85.022])).toBe(0);
+  });
+
+  test("measures one degree of latitude as about 69 miles", () => {
+    expect(haversineMiles([32, -85], [33, -85])).toBeCloseTo(69.1, 0);
+  });
+});
+
+describe("zoneLadder", () => {
+  test("orders zones from nearest to farthest", () => {
+    const rates = {
+      serviceZones: {
+        far: { maxMiles: 100 },
+        near: { maxMiles: 10 },
+        mid: { maxMiles: 40 },
+      },
+    };
+    expect(zoneLadder(rates)).toEqual(["near", "mid", "far"]);
+  });
+});
+
+describe("detectZone", () => {
+  test.each(["", "3686", "36867-1234", "abcde"])("reports %p as incomplete", (zip) => {
+    expect(detectZone(zip, RATES).status).toBe("incomplete");
+  });
+
+  test("reports ZIPs missing from the table as unknown, in the last zone", () => {
+    expect(detectZone("90210", RATES)).toEqual({ status: "unknown", zone: "extended" });
+  });
+
+  test("places nearby ZIPs in the local zone", () => {
+    expect(detectZone("36867", RATES)).toMatchObject({ status: "ok", zone: "local" });
+    expect(detectZone(" 31901 ", RATES)).toMatchObject({ status: "ok", zone: "local" });
+  });
+
+  test("places ZIPs past the local limit in the extended zone", () => {
+    const result = detectZone("36117", RATES);
+    expect(result.status).toBe("ok");
+    expect(result.zone).toBe("extended");
+    expect(result.miles).toBeGreaterThan(50);
+    expect(result.miles).toBeLessThanOrEqual(75);
+  });
+
+  test("reports ZIPs past the last zone as outside the service area", () => {
+    const result = detectZone("30303", RATES);
+    expect(result.status).toBe("outside");
+    expect(result.zone).toBeNull();
+    expect(result.miles).toBeGreaterThan(75);
+  });
+
+  test("uses the distance ladder from the rate table", () => {
+    const rates = {
+      ...RATES,
+      serviceZones: {
+        local: { label: "Local", maxMiles: 2, fee: 0 },
+        extended: { label: "Extended", maxMiles: 4, fee: 45 },
+      },
+    };
+    expect(detectZone("31901", rates).status).toBe("outside");
+  });
+
+  test("rounds the distance before placing it on the ladder", () => {
+    const centroids = { "00001": [RATES.serviceOrigin.lat + 50.4 / 69.1, RATES.serviceOrigin.lon] };
+    expect(detectZone("00001", RATES, centroids)).toMatchObject({ status: "ok", zone: "local", miles: 50 });
+  });
+
+  test.each(["31804", "31808", "31829", "36803", "36865", "36105", "36111", "39840"])("knows the service area ZIP %s", (zip) => {
+    expect(detectZone(zip, RATES).status).not.toBe("unknown");
+  });
+
+  test("every bundled ZIP resolves", () => {
+    Object.keys(ZIP_CENTROIDS).forEach((zip) => {
+      expect(["ok", "outside"]).toContain(detectZone(zip, RATES).status);
+    });
+  });
+});
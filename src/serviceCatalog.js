@@ -0,0 +1,480 @@
+/*
+ * Service catalog.
+ *
+ * Everything the wizard sells is described here as data built from the
+ * rate table: the service categories, the inputs each one offers and the
+ * path of the job description each input reads and writes.  Step 2 is
+ * rendered from the catalog by ServiceSection, emptyJob and normalizeJob
+ * build the job shape from it, and priceQuote prices each input with
+ * `inputLines`.  Adding a carpet area or a service means adding a catalog
+ * entry and its prices, not new form state and markup.
+ *
+ * A category is
+ *
+ *   { key, label, intro, inputs, pickers, minimum, states, unavailable, footnote }
+ *
+ * where `key` is the SERVICES key its quote lines are tagged with.  When
+ * a category has `pickers` (carpet area, or rug material and size), the
+ * customer picks one option of each and only the inputs whose `group` is
+ * the picked keys joined with "." are shown.  `minimum` ({ amount,
+ * label }) tops the category's lines up to a minimum, and `states` limits
+ * the category to jobs in those states, `unavailable` saying why.
+ *
+ * Every input has a `type`, the dotted job `path` it holds and the
+ * `empty` value found there in an empty job.  `hidden` inputs are priced
+ * but not shown.  The types are:
+ *
+ *   counts   a quantity per option, shown as package `cards` or a
+ *            compact `list`.  Options are { key, label, desc, unit,
+ *            price, line, unavailable }; an option priced null isn't
+ *            offered.
+ *   item     { qty, <add-on key>: true/false, ... } for one kind of item
+ *            with a fixed `price`, or priced by the size picked from
+ *            `sizes.prices` (sectionals by cushion count).  Add-ons cost
+ *            a percentage of the item price, up to a cap.
+ *   toggle   an option that is on or off, billed every `interval` when
+ *            it has one.
+ *   tiered   a square footage priced by the first of `tiers` ({ max,
+ *            price }) it fits, and left unpriced above them.
+ *   measure  a square footage priced at `rate` per square foot.
+ *   run      { feet, rooftop } for a vent run, priced by its exit
+ *            (`exits.wall` or `exits.rooftop`) plus `perFoot` past
+ *            `includedFeet`, and left unpriced past `maxFeet`.
+ *   list     a list of entries edited by the `builder` component, each
+ *            priced by `entryLines` and cleaned up by `normalize`.
+ *
+ * Inputs also say how long the work takes, for scheduling (see
+ * `inputMinutes`), from the `minutes` of the rates they price: counts
+ * options and items have `minutes` each (a sized item per size unit, so
+ * per cushion), measures per square foot, toggles and runs once when
+ * priced, tiers by the tier priced, and lists per entry by
+ * `entryMinutes`.  Work without minutes takes no extra time.
+ */
+import { normalizeRooms, roomLabel, roomPrice, roomSqft } from "./carpetRooms";
+import { PEST_LICENSE_TEXT } from "./company";
+import { fmt } from "./format";
+import { normalizeTileAreas, tileAreaLabel, tileAreaPrice, tileAreaSqft } from "./tileAreas";
+
+// Cleaning packages offered for carpet areas and rugs, in display order.
+export const PACKAGES = ["standard", "reset", "deluxe"];
+
+// Display names for the packages when they are not taken from a rate
+// entry (rugs only carry prices per package).
+export const PACKAGE_LABELS = {
+  standard: "Standard Steam Clean",
+  reset: "Factory Reset Clean",
+  deluxe: "Factory Reset Deluxe",
+};
+
+// Package descriptions shown on the rug package cards.
+const RUG_PACKAGE_DESCS = {
+  standard: "Professional steam cleaning with truck mounted carpet cleaner using hot water extraction.",
+  reset: "Deep cleaning with truck mounted carpet cleaner using CRB (counter rotating brushes) scrubber that unlocks hair and debris, and deodorizer.",
+  deluxe: "Includes everything with the Factory Reset Clean package plus prevacuuming and fiber protection.",
+};
+
+// How treatment add-ons are counted, as shown next to their price.
+export const TREATMENT_UNITS = {
+  room: "per room",
+  spot: "per spot",
+  rug: "per rug",
+};
+
+// Upholstery items priced per piece.  Sectionals are priced by cushion
+// count and are handled separately.
+export const upholsteryKeys = (rates) =>
+  Object.keys(rates.upholstery).filter((k) => k !== "sectional");
+
+// Treatment add-ons that may be added in a section ("carpet" or "rugs"),
+// in rate card order.
+export const treatmentKeys = (rates, section) =>
+  Object.keys(rates.treatments).filter((k) => rates.treatments[k].sections.indexOf(section) !== -1);
+
+// Price of a deodorizer or fabric protector add-on for an item with the
+// given base price: a percentage of the base, rounded, up to a cap.
+export function addOnPrice(base, pct, cap) {
+  return Math.min(cap, Math.round(base * pct));
+}
+
+// Price of one rug of the given size and material cleaned with the given
+// package, or null when the material does not allow that package.
+export function rugPrice(rates, size, material, pkg) {
+  const m = rates.rugs.materials[material];
+  if (!m || m.packages.indexOf(pkg) === -1) return null;
+  return Math.round(rates.rugs.sizes[size][pkg] * m.multiplier) + m.surcharge;
+}
+
+// The value at a dotted path of `obj`, or undefined.
+export function getPath(obj, path) {
+  return path.split(".").reduce((node, k) => (node == null ? undefined : node[k]), obj);
+}
+
+// A copy of `obj` with the value at a dotted path replaced.  Only the
+// objects along the path are copied; missing ones are created.
+export function setPath(obj, path, value) {
+  const [key, ...rest] = path.split(".");
+  const node = obj !== null && typeof obj === "object" ? obj : {};
+  return { ...node, [key]: rest.length > 0 ? setPath(node[key], rest.join("."), value) : value };
+}
+
+const zeros = (keys) => {
+  const out = {};
+  keys.forEach((k) => {
+    out[k] = 0;
+  });
+  return out;
+};
+
+// Treatment add-ons for one carpet area or rug, quoted as "<treatment> -
+// <where>".
+function treatmentInput(rates, section, path, group, where) {
+  const keys = treatmentKeys(rates, section);
+  return {
+    type: "counts",
+    display: "list",
+    path,
+    group,
+    title: "Treatments for " + where + ":",
+    options: keys.map((k) => {
+      const t = rates.treatments[k];
+      return { key: k, label: t.label, unit: TREATMENT_UNITS[t.unit], price: t.price, line: t.label + " - " + where, minutes: t.minutes };
+    }),
+    empty: zeros(keys),
+  };
+}
+
+function carpetCategory(rates) {
+  const inputs = [{
+    type: "list",
+    builder: "rooms",
+    path: "carpetRoomList",
+    group: "rooms",
+    title: "Rooms:",
+    empty: [],
+    normalize: (list) => normalizeRooms(list, rates),
+    entryLines: (room) => [{ label: roomLabel(room, rates), total: roomPrice(room, rates).total }],
+    // Rooms larger than the included size take longer in proportion.
+    entryMinutes: (room) => rates.carpets.rooms[room.package].minutes * Math.max(1, roomSqft(room) / rates.roomSize.includedSqft),
+  }];
+  // Rooms are priced from the room list; room counts are only kept to
+  // price quotes from before it.
+  const areas = Object.keys(rates.carpetAreas);
+  areas.forEach((area) => {
+    inputs.push({
+      type: "counts",
+      display: "cards",
+      path: "carpets." + area,
+      group: area,
+      hidden: area === "rooms",
+      title: "Packages for " + rates.carpetAreas[area].label + ":",
+      options: PACKAGES.map((pkg) => {
+        const entry = rates.carpets[area][pkg];
+        return { key: pkg, label: entry.label, desc: entry.desc, price: entry.price, line: entry.label, minutes: entry.minutes };
+      }),
+      empty: zeros(PACKAGES),
+    });
+  });
+  areas.forEach((area) => {
+    inputs.push(treatmentInput(rates, "carpet", "treatments.carpet." + area, area, rates.carpetAreas[area].label));
+  });
+  return {
+    key: "carpet",
+    label: "Carpet Cleaning",
+    intro: "Select carpet area below, then choose a cleaning package. Rooms are priced up to " + rates.roomSize.includedSqft +
+      " sq ft, with larger rooms charged per extra square foot.",
+    pickers: [{ label: "Select Area Type:", options: areas.map((area) => ({ key: area, label: rates.carpetAreas[area].label })) }],
+    inputs,
+  };
+}
+
+function tileCategory(rates) {
+  return {
+    key: "tile",
+    label: "Tile and Grout Cleaning",
+    inputs: [
+      {
+        type: "list",
+        builder: "tileAreas",
+        path: "tileAreaList",
+        empty: [],
+        normalize: (list) => normalizeTileAreas(list, rates),
+        entryMinutes: (area) => tileAreaSqft(area) * rates.tile.minutesPerSqft,
+        entryLines: (area) => {
+          const price = tileAreaPrice(area, rates);
+          if (price.sqft === 0) return [];
+          const label = tileAreaLabel(area, rates);
+          const lines = [{ label, total: price.cleaning }];
+          Object.keys(rates.tile.addOns).forEach((k) => {
+            if (price.addOns[k] > 0) lines.push({ label: label + " - " + rates.tile.addOns[k].label, total: price.addOns[k] });
+          });
+          return lines;
+        },
+      },
+      // The total tile area of quotes from before the area list.
+      { type: "measure", path: "tileSqft", hidden: true, rate: rates.tile.rate, line: "Tile and Grout Cleaning", minutes: rates.tile.minutesPerSqft, empty: 0 },
+    ],
+    minimum: { amount: rates.tile.minimum, label: "Tile Minimum Adjustment" },
+  };
+}
+
+function upholsteryCategory(rates) {
+  const a = rates.upholsteryAddOns;
+  const addOns = [
+    { key: "deodorizer", label: "Deodorizer", pct: a.deodorizerPct, cap: a.deodorizerCap },
+    { key: "protector", label: "Fabric Protector", pct: a.fabricProtectorPct, cap: a.fabricProtectorCap },
+  ];
+  const emptyItem = { qty: 0, deodorizer: false, protector: false };
+  const inputs = [{
+    type: "item",
+    path: "sectional",
+    title: "Sectional Configuration",
+    label: "Sectional",
+    sizes: { key: "cushions", label: "Cushions per sectional:", unit: "cushions", prices: rates.sectionalPrices },
+    addOns,
+    minutes: rates.upholstery.sectional.minutes,
+    empty: { cushions: 6, ...emptyItem },
+  }];
+  upholsteryKeys(rates).forEach((k) => {
+    inputs.push({
+      type: "item",
+      path: "upholstery." + k,
+      label: rates.upholstery[k].label,
+      price: rates.upholstery[k].price,
+      addOns,
+      minutes: rates.upholstery[k].minutes,
+      empty: { ...emptyItem },
+    });
+  });
+  return {
+    key: "upholstery",
+    label: "Upholstery Cleaning",
+    intro: "Add Deodorizer (" + Math.round(a.deodorizerPct * 100) + "% of base, max " + fmt(a.deodorizerCap) + ") and Fabric Protector (" +
+      Math.round(a.fabricProtectorPct * 100) + "% of base, max " + fmt(a.fabricProtectorCap) + ") per item.",
+    inputs,
+  };
+}
+
+function rugCategory(rates) {
+  const sizes = Object.keys(rates.rugs.sizes);
+  const materials = Object.keys(rates.rugs.materials);
+  const each = (fn) => [].concat(...sizes.map((size) => materials.map((material) => fn(size, material))));
+  const rugName = (size, material) => `Area Rug ${rates.rugs.sizes[size].label} (${rates.rugs.materials[material].label})`;
+  const packages = each((size, material) => ({
+    type: "counts",
+    display: "cards",
+    path: "rugs." + size + "." + material,
+    group: material + "." + size,
+    title: "Packages for " + rates.rugs.sizes[size].label + " " + rates.rugs.materials[material].label + " Rugs:",
+    options: PACKAGES.map((pkg) => ({
+      key: pkg,
+      label: PACKAGE_LABELS[pkg],
+      desc: RUG_PACKAGE_DESCS[pkg],
+      price: rugPrice(rates, size, material, pkg),
+      line: rugName(size, material) + " - " + PACKAGE_LABELS[pkg],
+      unavailable: "Not available for " + rates.rugs.materials[material].label + " rugs.",
+      minutes: rates.rugs.sizes[size].minutes,
+    })),
+    empty: zeros(PACKAGES),
+  }));
+  const treatments = each((size, material) =>
+    treatmentInput(rates, "rugs", "treatments.rugs." + size + "." + material, material + "." + size, rugName(size, material))
+  );
+  return {
+    key: "rugs",
+    label: "Area Rug Cleaning",
+    intro: "Select your rug material and size below, then choose a cleaning package.",
+    pickers: [
+      { label: "Select Rug Material:", options: materials.map((k) => ({ key: k, label: rates.rugs.materials[k].label })) },
+      { label: "Select Rug Size:", options: sizes.map((k) => ({ key: k, label: rates.rugs.sizes[k].label })) },
+    ],
+    inputs: packages.concat(treatments),
+  };
+}
+
+function ductCategory(rates) {
+  const ducts = rates.ducts;
+  const toggle = (path, entry) => ({ type: "toggle", path, label: entry.label, line: entry.label, price: entry.price, minutes: entry.minutes, empty: false });
+  const vent = ducts.dryerVent;
+  return {
+    key: "ducts",
+    label: "Air Duct and Dryer Vent Cleaning",
+    intro: "Count the supply and return vents in your home and the main trunk lines they connect to.",
+    inputs: [
+      {
+        type: "counts",
+        display: "list",
+        path: "ducts.vents",
+        title: "Vents and Trunk Lines:",
+        options: Object.keys(ducts.items).map((k) => {
+          const item = ducts.items[k];
+          return { key: k, label: item.label, unit: item.unit, price: item.price, line: item.label, minutes: item.minutes };
+        }),
+        empty: zeros(Object.keys(ducts.items)),
+      },
+      toggle("ducts.furnace", ducts.furnace),
+      {
+        type: "run",
+        path: "ducts.dryerVent",
+        label: "Dryer Vent Cleaning",
+        exits: vent.exits,
+        includedFeet: vent.includedFeet,
+        perFoot: vent.perFoot,
+        maxFeet: vent.maxFeet,
+        minutes: vent.minutes,
+        note: fmt(vent.exits.wall.price) + " through a wall, " + fmt(vent.exits.rooftop.price) + " through the roof, including " +
+          vent.includedFeet + " ft of run, then " + fmt(vent.perFoot) + " / ft. Runs over " + vent.maxFeet + " ft: custom quote",
+        empty: { feet: 0, rooftop: false },
+      },
+    ].concat(Object.keys(ducts.sanitizers).map((k) => toggle("ducts.sanitizers." + k, ducts.sanitizers[k]))),
+  };
+}
+
+function pestCategory(rates) {
+  const pest = rates.pest;
+  return {
+    key: "pest",
+    label: "Pest Control (Alabama)",
+    states: pest.states,
+    unavailable: "Pest control is only available to Alabama customers.",
+    footnote: PEST_LICENSE_TEXT,
+    inputs: [
+      {
+        type: "toggle",
+        path: "pest.monthly",
+        label: "Monthly General Pest Control",
+        line: "Monthly General Pest Control (AL only)",
+        price: pest.monthly.price,
+        interval: pest.monthly.interval,
+        minutes: pest.monthly.minutes,
+        empty: false,
+      },
+      {
+        type: "toggle",
+        path: "pest.oneTime",
+        label: "One-Time General Pest Control",
+        line: "One-Time General Pest Control (AL only)",
+        price: pest.oneTime.price,
+        minutes: pest.oneTime.minutes,
+        empty: false,
+      },
+      {
+        type: "tiered",
+        path: "pest.homeSqft",
+        label: "Move-Out Flea and Tick Treatment - enter home sq ft",
+        line: "Move-Out Flea and Tick (AL only)",
+        // Homes above the largest tier need a custom quote.
+        tiers: [
+          { max: 1600, price: pest.flea1600, minutes: pest.fleaMinutes.flea1600 },
+          { max: 3200, price: pest.flea3200, minutes: pest.fleaMinutes.flea3200 },
+        ],
+        note: "Under 1600 sq ft: " + fmt(pest.flea1600) + " - Under 3200 sq ft: " + fmt(pest.flea3200) + " - Over 3200: custom quote",
+        empty: 0,
+      },
+    ],
+  };
+}
+
+// The catalog for a rate table, in the order categories are offered and
+// quoted.
+export function serviceCatalog(rates) {
+  return [
+    carpetCategory(rates),
+    tileCategory(rates),
+    upholsteryCategory(rates),
+    rugCategory(rates),
+    ductCategory(rates),
+    pestCategory(rates),
+  ];
+}
+
+// The service entries of an empty job for `catalog`: every input's
+// `empty` value at its path.
+export function emptySelections(catalog) {
+  let out = {};
+  catalog.forEach((category) => {
+    category.inputs.forEach((input) => {
+      out = setPath(out, input.path, input.empty);
+    });
+  });
+  return out;
+}
+
+// The quote lines for one input holding `value`, as `{ label, qty, each,
+// total, interval }` (interval only on recurring lines).
+export function inputLines(input, value) {
+  switch (input.type) {
+    case "counts":
+      return input.options
+        .filter((o) => o.price !== null && ((value || {})[o.key] || 0) > 0)
+        .map((o) => ({ label: o.line, qty: value[o.key], each: o.price, total: value[o.key] * o.price }));
+    case "item": {
+      const item = value || {};
+      const qty = item.qty || 0;
+      if (qty === 0) return [];
+      const size = input.sizes ? item[input.sizes.key] : null;
+      const base = input.sizes ? input.sizes.prices[size] || 0 : input.price;
+      const lines = [{ label: input.sizes ? input.label + " - " + size + " " + input.sizes.unit : input.label, qty, each: base, total: base * qty }];
+      input.addOns.forEach((a) => {
+        if (!item[a.key]) return;
+        const each = addOnPrice(base, a.pct, a.cap);
+        lines.push({ label: input.label + " - " + a.label, qty, each, total: each * qty });
+      });
+      return lines;
+    }
+    case "toggle":
+      if (!value) return [];
+      return [{ label: input.line, qty: 1, each: input.price, total: input.price, ...(input.interval ? { interval: input.interval } : {}) }];
+    case "tiered": {
+      const tier = value > 0 ? input.tiers.find((t) => value <= t.max) : null;
+      return tier && tier.price > 0 ? [{ label: input.line, qty: 1, each: tier.price, total: tier.price }] : [];
+    }
+    case "measure": {
+      const sqft = Math.max(0, Number(value) || 0);
+      return sqft > 0 ? [{ label: input.line, qty: sqft, each: input.rate, total: Math.round(sqft * input.rate * 100) / 100 }] : [];
+    }
+    case "run": {
+      const run = value || {};
+      const feet = run.feet || 0;
+      if (feet === 0 || feet > input.maxFeet) return [];
+      const exit = input.exits[run.rooftop ? "rooftop" : "wall"];
+      const each = exit.price + Math.max(0, feet - input.includedFeet) * input.perFoot;
+      return [{ label: input.label + " - " + exit.label + " (" + feet + " ft run)", qty: 1, each, total: each }];
+    }
+    case "list":
+      return [].concat(...(Array.isArray(value) ? value : []).map(input.entryLines))
+        .map((l) => ({ label: l.label, qty: 1, each: l.total, total: l.total }));
+    default:
+      return [];
+  }
+}
+
+// Whether a category may be quoted for a job in `state`.
+export function categoryAvailable(category, state) {
+  return !category.states || category.states.indexOf(state) !== -1;
+}
+
+// Minutes of work for one input holding `value`, the same work that
+// `inputLines` prices.
+export function inputMinutes(input, value) {
+  switch (input.type) {
+    case "counts":
+      return input.options
+        .filter((o) => o.price !== null)
+        .reduce((sum, o) => sum + ((value || {})[o.key] || 0) * (o.minutes || 0), 0);
+    case "item": {
+      const item = value || {};
+      const each = input.sizes ? (Number(item[input.sizes.key]) || 0) * (input.minutes || 0) : input.minutes || 0;
+      return (item.qty || 0) * each;
+    }
+    case "measure":
+      return Math.max(0, Number(value) || 0) * (input.minutes || 0);
+    case "tiered": {
+      const tier = value > 0 ? input.tiers.find((t) => value <= t.max) : null;
+      return tier && tier.price > 0 ? tier.minutes || 0 : 0;
+    }
+    case "list":
+      return (Array.isArray(value) ? value : []).reduce((sum, entry) => sum + (input.entryMinutes ? input.entryMinutes(entry) : 0), 0);
+    default:
+      return inputLines(input, value).length > 0 ? input.minutes || 0 : 0;
+  }
+}
@@ -0,0 +1,138 @@
+import { RATES } from "./rates";
+import { emptyJob, SERVICES } from "./quoteEngine";
+import { newTileArea } from "./tileAreas";
+import { categoryAvailable, getPath, inputLines, inputMinutes, serviceCatalog, setPath } from "./serviceCatalog";
+
+const catalog = serviceCatalog(RATES);
+const category = (key) => catalog.find((c) => c.key === key);
+const input = (path) => [].concat(...catalog.map((c) => c.inputs)).find((i) => i.path === path);
+
+describe("serviceCatalog", () => {
+  it("offers every quoted service, in quote order", () => {
+    const services = Object.keys(SERVICES).filter((k) => k !== "discounts" && k !== "fees");
+    expect(catalog.map((c) => c.key)).toEqual(services);
+  });
+
+  it("gives every input a distinct job path", () => {
+    const paths = [].concat(...catalog.map((c) => c.inputs.map((i) => i.path)));
+    expect(new Set(paths).size).toBe(paths.length);
+  });
+
+  it("shows each picked group's inputs and hides room counts", () => {
+    const carpet = category("carpet");
+    const shown = (group) => carpet.inputs.filter((i) => !i.hidden && i.group === group).map((i) => i.path);
+    expect(shown("rooms")).toEqual(["carpetRoomList", "treatments.carpet.rooms"]);
+    expect(shown("stairs")).toEqual(["carpets.stairs", "treatments.carpet.stairs"]);
+    const rugs = category("rugs");
+    expect(rugs.inputs.filter((i) => i.group === "wool.large").map((i) => i.path)).toEqual(["rugs.large.wool", "treatments.rugs.large.wool"]);
+  });
+
+  it("offers the carpet areas of the rate card, in its order", () => {
+    const carpetAreas = { rooms: RATES.carpetAreas.rooms, walkIn: { ...RATES.carpetAreas.walkIn, label: "Closet" } };
+    const carpet = serviceCatalog({ ...RATES, carpetAreas }).find((c) => c.key === "carpet");
+    expect(carpet.pickers[0].options).toEqual([{ key: "rooms", label: "Rooms" }, { key: "walkIn", label: "Closet" }]);
+    expect(carpet.inputs.find((i) => i.path === "carpets.walkIn").title).toBe("Packages for Closet:");
+  });
+
+  it("describes the empty job", () => {
+    let job = {};
+    catalog.forEach((c) => c.inputs.forEach((i) => {
+      job = setPath(job, i.path, i.empty);
+    }));
+    const { zone, state, access, ...services } = emptyJob(RATES);
+    expect(job).toEqual(services);
+  });
+});
+
+describe("inputLines", () => {
+  it("prices counts, leaving out options that aren't offered", () => {
+    const basement = {
+      type: "counts",
+      path: "carpets.basement",
+      options: [
+        { key: "standard", price: 60, line: "Basement - Standard" },
+        { key: "deluxe", price: null, line: "Basement - Deluxe" },
+      ],
+    };
+    expect(inputLines(basement, { standard: 2, deluxe: 1 })).toEqual([{ label: "Basement - Standard", qty: 2, each: 60, total: 120 }]);
+    expect(inputLines(basement, undefined)).toEqual([]);
+  });
+
+  it("prices items by size with their add-ons", () => {
+    expect(inputLines(input("sectional"), { cushions: 7, qty: 2, deodorizer: true, protector: false })).toEqual([
+      { label: "Sectional - 7 cushions", qty: 2, each: RATES.sectionalPrices[7], total: 2 * RATES.sectionalPrices[7] },
+      { label: "Sectional - Deodorizer", qty: 2, each: 20, total: 40 },
+    ]);
+  });
+
+  it("prices toggles, recurring ones with their interval", () => {
+    expect(inputLines(input("pest.monthly"), true)).toEqual([
+      { label: "Monthly General Pest Control (AL only)", qty: 1, each: RATES.pest.monthly.price, total: RATES.pest.monthly.price, interval: "month" },
+    ]);
+    expect(inputLines(input("pest.oneTime"), false)).toEqual([]);
+  });
+
+  it("prices tiers by the first tier that fits", () => {
+    const flea = input("pest.homeSqft");
+    expect(inputLines(flea, 1600)[0].total).toBe(RATES.pest.flea1600);
+    expect(inputLines(flea, 1601)[0].total).toBe(RATES.pest.flea3200);
+    expect(inputLines(flea, 5000)).toEqual([]);
+  });
+
+  it("prices a dryer vent run past its included feet, up to the longest run", () => {
+    const vent = input("ducts.dryerVent");
+    expect(inputLines(vent, { feet: 40, rooftop: false })).toEqual([
+      { label: "Dryer Vent Cleaning - Wall Exit (40 ft run)", qty: 1, each: 189, total: 189 },
+    ]);
+    expect(inputLines(vent, { feet: 0, rooftop: true })).toEqual([]);
+    expect(inputLines(vent, { feet: 51, rooftop: true })).toEqual([]);
+  });
+});
+
+describe("inputMinutes", () => {
+  it("times sized items per size unit and toggles once when priced", () => {
+    expect(inputMinutes(input("sectional"), { cushions: 7, qty: 2 })).toBe(2 * 7 * RATES.upholstery.sectional.minutes);
+    expect(inputMinutes(input("pest.monthly"), true)).toBe(RATES.pest.monthly.minutes);
+    expect(inputMinutes(input("pest.monthly"), false)).toBe(0);
+  });
+
+  it("times tiers by the tier priced", () => {
+    const flea = input("pest.homeSqft");
+    expect(inputMinutes(flea, 1200)).toBe(RATES.pest.fleaMinutes.flea1600);
+    expect(inputMinutes(flea, 2000)).toBe(RATES.pest.fleaMinutes.flea3200);
+    expect(inputMinutes(flea, 5000)).toBe(0);
+  });
+
+  it("times carpet rooms by package and size, at least one room each", () => {
+    const rooms = [
+      { name: "Den", length: 20, width: 20, sqft: 0, package: "standard" },
+      { name: "Office", length: 0, width: 0, sqft: 0, package: "deluxe" },
+    ];
+    expect(inputMinutes(input("carpetRoomList"), rooms)).toBe(2 * RATES.carpets.rooms.standard.minutes + RATES.carpets.rooms.deluxe.minutes);
+  });
+
+  it("times tile by the square foot", () => {
+    const areas = [{ ...newTileArea(0, RATES), sqft: 90 }];
+    expect(inputMinutes(input("tileAreaList"), areas)).toBe(90 * RATES.tile.minutesPerSqft);
+    expect(inputMinutes(input("tileAreaList"), undefined)).toBe(0);
+  });
+});
+
+describe("categoryAvailable", () => {
+  it("limits categories to their states", () => {
+    expect(categoryAvailable(category("pest"), "AL")).toBe(true);
+    expect(categoryAvailable(category("pest"), "GA")).toBe(false);
+    expect(categoryAvailable(category("carpet"), null)).toBe(true);
+  });
+});
+
+describe("getPath and setPath", () => {
+  it("read and copy along a dotted path", () => {
+    const job = { carpets: { stairs: { reset: 1 } }, tileSqft: 0 };
+    const next = setPath(job, "carpets.stairs.reset", 2);
+    expect(getPath(next, "carpets.stairs.reset")).toBe(2);
+    expect(job.carpets.stairs.reset).toBe(1);
+    expect(getPath(setPath({}, "pest.monthly", true), "pest")).toEqual({ monthly: true });
+    expect(getPath(job, "rugs.large.wool")).toBeUndefined();
+  });
+});
@@ -0,0 +1,251 @@
+/*
+ * Shareable quote links.
+ *
+ * Staff building a quote over the phone can text the customer a link
+ * that reopens the wizard with the same selections.  The link carries
+ * the job in the URL hash as
+ *
+ *   #quote=<version>.<payload>.<checksum>
+ *
+ * where the payload is base64url encoded JSON holding the ZIP code, the
+ * active service sections and every non-empty job entry keyed by its
+ * path (for example "carpets.rooms.reset": 2).  Only entries that differ
+ * from the empty job are written, which keeps links short.  Carpet rooms
+ * from the room list are written as [name, length, width, sqft, package]
+ * rows, and tile areas as [name, kind, length, width, sqft, surface,
+ * add-ons] rows where add-ons lists the keys of the chosen add-ons.  The
+ * units of a commercial job are written as [name, entries, rooms, tile
+ * areas] rows, their entries and lists encoded the same way against an
+ * empty unit.  The service zone and state are not encoded: they are
+ * derived from the ZIP again when the link is opened, so they can't be
+ * edited in the link.
+ *
+ * The checksum catches links that were truncated or hand edited.  It is
+ * not a signature; every price is recomputed from the rate table when
+ * the link is opened, so a link can only ever describe a job, never set
+ * its price.
+ */
+import { emptyJob } from "./quoteEngine";
+import { ROOM_DIMENSION_MAX, ROOM_LIST_MAX, ROOM_NAME_MAX, ROOM_SQFT_MAX } from "./carpetRooms";
+import { isCommercial, newUnit, UNIT_MAX, UNIT_NAME_MAX } from "./commercial";
+import { newTileArea, TILE_AREA_MAX, TILE_DIMENSION_MAX, TILE_NAME_MAX, TILE_SQFT_MAX } from "./tileAreas";
+
+export const LINK_VERSION = 1;
+
+const HASH_PREFIX = "#quote=";
+
+// Largest count or square footage a link may carry.
+const MAX_VALUE = 100000;
+
+// The job sections a link carries as entries.  Zone and state are
+// derived, and the room and tile area lists are written as rows of their
+// own.
+const JOB_KEYS = ["carpets", "tileSqft", "upholstery", "sectional", "rugs", "treatments", "ducts", "pest", "access"];
+
+// 32-bit FNV-1a hash, written in base 36.
+function checksum(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h.toString(36);
+}
+
+const toBase64Url = (str) =>
+  window.btoa(unescape(encodeURIComponent(str))).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+
+const fromBase64Url = (str) =>
+  decodeURIComponent(escape(window.atob(str.replace(/-/g, "+").replace(/_/g, "/"))));
+
+// Flatten the leaves of `value` that differ from `template` into
+// `out`, keyed by dotted path.
+function flatten(template, value, path, out) {
+  if (template !== null && typeof template === "object") {
+    Object.keys(template).forEach((k) => {
+      flatten(template[k], value[k], path ? path + "." + k : k, out);
+    });
+  } else if (value !== template) {
+    out[path] = value;
+  }
+  return out;
+}
+
+// The entries of `job` under `keys` that differ from `template`.  Keys
+// the job doesn't have are skipped.
+function encodeEntries(template, job, keys) {
+  const entries = {};
+  keys.filter((k) => job[k] !== undefined).forEach((k) => flatten(template[k], job[k], k, entries));
+  return entries;
+}
+
+const roomRows = (rooms) => (rooms || []).map((r) => [r.name, r.length, r.width, r.sqft, r.package]);
+
+const tileRows = (areas) =>
+  (areas || []).map((a) => [a.name, a.kind, a.length, a.width, a.sqft, a.surface, Object.keys(a.addOns).filter((k) => a.addOns[k])]);
+
+// The keys of a unit's selections written as entries: all but its lists.
+const unitKeys = (template) => Object.keys(template).filter((k) => !Array.isArray(template[k]));
+
+// Build the hash fragment for a selection of `{ zip, active, job }`.
+export function encodeShareHash(selection, rates) {
+  const job = selection.job;
+  const active = Object.keys(selection.active).filter((k) => selection.active[k]);
+  const data = { z: selection.zip, a: active, j: encodeEntries(emptyJob(rates), job, JOB_KEYS) };
+  const rooms = roomRows(job.carpetRoomList);
+  if (rooms.length > 0) data.r = rooms;
+  const tiles = tileRows(job.tileAreaList);
+  if (tiles.length > 0) data.t = tiles;
+  if (isCommercial(job)) {
+    const template = newUnit(0, rates).selections;
+    data.u = job.units.map((u) => [u.name, encodeEntries(template, u.selections, unitKeys(template)), roomRows(u.selections.carpetRoomList), tileRows(u.selections.tileAreaList)]);
+  }
+  const payload = toBase64Url(JSON.stringify(data));
+  return HASH_PREFIX + LINK_VERSION + "." + payload + "." + checksum(payload);
+}
+
+// Full URL for sharing a selection from the page at `location`.
+export function buildShareUrl(selection, rates, location = window.location) {
+  return location.origin + location.pathname + encodeShareHash(selection, rates);
+}
+
+// Whether a URL hash is meant to be a quote link at all.
+export function isShareHash(hash) {
+  return typeof hash === "string" && hash.indexOf(HASH_PREFIX) === 0;
+}
+
+// Copy link entries onto `job`, a fresh empty job or unit whose `keys`
+// they may set.  Returns false, leaving `job` part written, when an
+// entry names anything the job doesn't have or holds a value of the
+// wrong type.
+function decodeEntries(entries, job, keys) {
+  if (!entries || typeof entries !== "object" || Array.isArray(entries)) return false;
+  const paths = Object.keys(entries);
+  for (let i = 0; i < paths.length; i++) {
+    const path = paths[i].split(".");
+    if (keys.indexOf(path[0]) === -1) return false;
+    let parent = job;
+    for (let d = 0; d < path.length - 1; d++) {
+      if (!Object.prototype.hasOwnProperty.call(parent, path[d])) return false;
+      parent = parent[path[d]];
+      if (parent === null || typeof parent !== "object") return false;
+    }
+    const leaf = path[path.length - 1];
+    if (!Object.prototype.hasOwnProperty.call(parent, leaf)) return false;
+    const value = entries[paths[i]];
+    const current = parent[leaf];
+    if (typeof current === "number") {
+      if (!Number.isInteger(value) || value < 0 || value > MAX_VALUE) return false;
+    } else if (typeof current !== "boolean" || typeof value !== "boolean") {
+      return false;
+    }
+    parent[leaf] = value;
+  }
+  return true;
+}
+
+const size = (v, max) => typeof v === "number" && isFinite(v) && v >= 0 && v <= max;
+const has = (obj, k) => typeof k === "string" && Object.prototype.hasOwnProperty.call(obj, k);
+
+// The room list written as `rows`, or null when a row is invalid.
+function decodeRooms(rows, rates) {
+  if (!Array.isArray(rows) || rows.length > ROOM_LIST_MAX) return null;
+  const rooms = [];
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i];
+    if (!Array.isArray(row) || row.length !== 5) return null;
+    const [name, length, width, sqft, pkg] = row;
+    if (typeof name !== "string" || name.length > ROOM_NAME_MAX) return null;
+    if (!size(length, ROOM_DIMENSION_MAX) || !size(width, ROOM_DIMENSION_MAX) || !size(sqft, ROOM_SQFT_MAX)) return null;
+    if (!has(rates.carpets.rooms, pkg)) return null;
+    rooms.push({ name, length, width, sqft, package: pkg });
+  }
+  return rooms;
+}
+
+// The tile area list written as `rows`, or null when a row is invalid.
+function decodeTileAreas(rows, rates) {
+  if (!Array.isArray(rows) || rows.length > TILE_AREA_MAX) return null;
+  const areas = [];
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i];
+    if (!Array.isArray(row) || row.length !== 7) return null;
+    const [name, kind, length, width, sqft, surface, chosen] = row;
+    if (typeof name !== "string" || name.length > TILE_NAME_MAX) return null;
+    if (!has(rates.tile.areas, kind) || !has(rates.tile.surfaces, surface)) return null;
+    if (!size(length, TILE_DIMENSION_MAX) || !size(width, TILE_DIMENSION_MAX) || !size(sqft, TILE_SQFT_MAX)) return null;
+    if (!Array.isArray(chosen) || !chosen.every((k) => has(rates.tile.addOns, k))) return null;
+    const area = { ...newTileArea(i, rates), name, kind, length, width, sqft, surface };
+    chosen.forEach((k) => {
+      area.addOns[k] = true;
+    });
+    areas.push(area);
+  }
+  return areas;
+}
+
+// The units of a commercial job written as `rows`, or null when a row is
+// invalid.  Lists are only read for units that have them.
+function decodeUnits(rows, rates) {
+  if (!Array.isArray(rows) || rows.length > UNIT_MAX) return null;
+  const units = [];
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i];
+    if (!Array.isArray(row) || row.length !== 4) return null;
+    const [name, entries, roomList, tileList] = row;
+    if (typeof name !== "string" || name.length > UNIT_NAME_MAX) return null;
+    const selections = newUnit(i, rates).selections;
+    if (!decodeEntries(entries, selections, unitKeys(selections))) return null;
+    const rooms = decodeRooms(roomList, rates);
+    const tiles = decodeTileAreas(tileList, rates);
+    if (!rooms || !tiles) return null;
+    if (selections.carpetRoomList) selections.carpetRoomList = rooms;
+    else if (rooms.length > 0) return null;
+    if (selections.tileAreaList) selections.tileAreaList = tiles;
+    else if (tiles.length > 0) return null;
+    units.push({ name, selections });
+  }
+  return units;
+}
+
+// Decode a quote link hash back into `{ zip, active, job }`.  Returns
+// null when the link is from another version, fails its checksum, or
+// names anything that is not a valid entry of the current job: a single
+// bad entry rejects the whole link rather than quoting part of a job.
+export function decodeShareHash(hash, rates) {
+  if (!isShareHash(hash)) return null;
+  const parts = hash.slice(HASH_PREFIX.length).split(".");
+  if (parts.length !== 3 || parts[0] !== String(LINK_VERSION)) return null;
+  const [, payload, sum] = parts;
+  if (checksum(payload) !== sum) return null;
+
+  let data;
+  try {
+    data = JSON.parse(fromBase64Url(payload));
+  } catch (e) {
+    return null;
+  }
+  if (!data || typeof data !== "object") return null;
+  if (typeof data.z !== "string" || data.z.length > 10 || !Array.isArray(data.a)) return null;
+
+  const job = emptyJob(rates);
+  if (!decodeEntries(data.j, job, JOB_KEYS)) return null;
+  if (data.r !== undefined) {
+    job.carpetRoomList = decodeRooms(data.r, rates);
+    if (!job.carpetRoomList) return null;
+  }
+  if (data.t !== undefined) {
+    job.tileAreaList = decodeTileAreas(data.t, rates);
+    if (!job.tileAreaList) return null;
+  }
+  if (data.u !== undefined) {
+    job.units = decodeUnits(data.u, rates);
+    if (!job.units) return null;
+  }
+
+  const active = {};
+  data.a.forEach((k) => {
+    if (typeof k === "string") active[k] = true;
+  });
+  return { zip: data.z, active, job };
+}
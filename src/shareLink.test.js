@@ -0,0 +1,167 @@
+import { RATES } from "./rates";
+import { emptyJob, priceQuote } from "./quoteEngine";
+import { buildShareUrl, decodeShareHash, encodeShareHash, isShareHash } from "./shareLink";
+import { newUnit } from "./commercial";
+import { newTileArea } from "./tileAreas";
+
+const selection = () => {
+  const job = emptyJob(RATES);
+  job.carpets.rooms.reset = 3;
+  job.carpets.stairs.standard = 1;
+  job.carpetRoomList = [
+    { name: "Great Room", length: 0, width: 0, sqft: 450, package: "deluxe" },
+    { name: "Bedroom 2", length: 12.5, width: 11, sqft: 0, package: "standard" },
+  ];
+  job.tileSqft = 120;
+  job.tileAreaList = [
+    { ...newTileArea(0, RATES), name: "Kitchen", kind: "kitchen", length: 15, width: 12, surface: "porcelain" },
+    { ...newTileArea(1, RATES), name: "Shower", kind: "shower", sqft: 90, surface: "stone", addOns: { groutSeal: true, colorSeal: false } },
+  ];
+  job.upholstery.loveseat = { qty: 1, deodorizer: true, protector: true };
+  job.sectional = { cushions: 7, qty: 1, deodorizer: false, protector: true };
+  job.rugs.large.wool.deluxe = 2;
+  job.treatments.carpet.rooms.petUrine = 2;
+  job.treatments.rugs.large.wool.heavyStain = 1;
+  job.ducts.vents.supply = 6;
+  job.ducts.dryerVent = { feet: 18, rooftop: true };
+  job.pest.oneTime = true;
+  job.access.upperFloor = true;
+  return { zip: "36867", active: { carpet: true, tile: true, upholstery: true, rugs: true, ducts: true, pest: true }, job };
+};
+
+// Encode a payload with a valid checksum, as someone editing the link by
+// hand with the checksum algorithm would.
+const forgeRaw = (text) => {
+  const payload = window.btoa(text).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+  let h = 0x811c9dc5;
+  for (let i = 0; i < payload.length; i++) {
+    h ^= payload.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return "#quote=1." + payload + "." + h.toString(36);
+};
+const forge = (data) => forgeRaw(JSON.stringify(data));
+
+describe("share links", () => {
+  test("round-trip the full selection", () => {
+    const hash = encodeShareHash(selection(), RATES);
+    expect(isShareHash(hash)).toBe(true);
+    expect(decodeShareHash(hash, RATES)).toEqual(selection());
+  });
+
+  test("reproduce the same quote", () => {
+    const original = { ...selection().job, zone: "local", state: "AL" };
+    const decoded = decodeShareHash(encodeShareHash(selection(), RATES), RATES);
+    expect(priceQuote({ ...decoded.job, zone: "local", state: "AL" }, RATES)).toEqual(priceQuote(original, RATES));
+  });
+
+  test("only carry entries that differ from an empty job", () => {
+    const short = encodeShareHash({ zip: "31901", active: {}, job: emptyJob(RATES) }, RATES);
+    expect(short.length).toBeLessThan(60);
+    expect(decodeShareHash(short, RATES)).toEqual({ zip: "31901", active: {}, job: emptyJob(RATES) });
+  });
+
+  test("round-trip the units of a commercial job", () => {
+    const unit = newUnit(0, RATES);
+    unit.selections.commercialCarpet.standard = 800;
+    unit.selections.carpetRoomList = [{ name: "Office", length: 12, width: 10, sqft: 0, package: "reset" }];
+    const second = { name: "Suite 200", selections: { ...unit.selections, carpetRoomList: [] } };
+    second.selections.pest = { ...second.selections.pest, oneTime: true };
+    const access = { ...emptyJob(RATES).access, noParking: true };
+    const hash = encodeShareHash({ zip: "36867", active: { carpet: true, pest: true }, job: { units: [unit, second], access } }, RATES);
+    expect(decodeShareHash(hash, RATES)).toEqual({
+      zip: "36867",
+      active: { carpet: true, pest: true },
+      job: { ...emptyJob(RATES), access, units: [unit, second] },
+    });
+  });
+
+  test("build a URL on the current page", () => {
+    const url = buildShareUrl(selection(), RATES, { origin: "https://quote.example.com", pathname: "/" });
+    expect(url.indexOf("https://quote.example.com/#quote=1.")).toBe(0);
+  });
+
+  test("ignore hashes that are not quote links", () => {
+    expect(isShareHash("")).toBe(false);
+    expect(isShareHash("#top")).toBe(false);
+    expect(decodeShareHash("#top", RATES)).toBeNull();
+  });
+
+  describe("reject", () => {
+    test("links with an edited payload", () => {
+      const hash = encodeShareHash(selection(), RATES);
+      const [prefix, payload, sum] = hash.split(".");
+      const edited = payload.slice(0, 10) + (payload[10] === "A" ? "B" : "A") + payload.slice(11);
+      expect(decodeShareHash([prefix, edited, sum].join("."), RATES)).toBeNull();
+    });
+
+    test("truncated links", () => {
+      const hash = encodeShareHash(selection(), RATES);
+      expect(decodeShareHash(hash.slice(0, -3), RATES)).toBeNull();
+      expect(decodeShareHash(hash.split(".").slice(0, 2).join("."), RATES)).toBeNull();
+    });
+
+    test("links from another version", () => {
+      const hash = encodeShareHash(selection(), RATES).replace("#quote=1.", "#quote=2.");
+      expect(decodeShareHash(hash, RATES)).toBeNull();
+    });
+
+    test("payloads that are not JSON", () => {
+      expect(decodeShareHash(forgeRaw("not json"), RATES)).toBeNull();
+      expect(decodeShareHash(forgeRaw("null"), RATES)).toBeNull();
+    });
+
+    test.each([
+      ["an unknown item", { "upholstery.futon.qty": 1 }],
+      ["a zone", { zone: "local" }],
+      ["a negative count", { "carpets.rooms.reset": -2 }],
+      ["a fractional count", { "carpets.rooms.reset": 1.5 }],
+      ["a huge count", { "carpets.rooms.reset": 1e9 }],
+      ["a string count", { "carpets.rooms.reset": "3" }],
+      ["a whole section", { "carpets.rooms": 3 }],
+      ["a non-boolean flag", { "pest.monthly": 1 }],
+      ["an inherited key", { "carpets.__proto__.x": 1 }],
+    ])("well-formed links that name %s", (_, entries) => {
+      expect(decodeShareHash(forge({ z: "36867", a: [], j: entries }), RATES)).toBeNull();
+    });
+
+    test.each([
+      ["not a list", { name: "Den" }],
+      ["a short row", [["Den", 0, 0, 200]]],
+      ["an unknown package", [["Den", 0, 0, 200, "platinum"]]],
+      ["a negative size", [["Den", -10, 12, 0, "reset"]]],
+      ["a huge size", [["Den", 0, 0, 1e9, "reset"]]],
+      ["a long name", [["D".repeat(200), 0, 0, 0, "reset"]]],
+      ["an inherited package", [["Den", 0, 0, 0, "__proto__"]]],
+    ])("well-formed links with a room list that has %s", (_, rows) => {
+      expect(decodeShareHash(forge({ z: "36867", a: [], j: {}, r: rows }), RATES)).toBeNull();
+    });
+
+    test.each([
+      ["a short row", [["Kitchen", "kitchen", 0, 0, 200, "ceramic"]]],
+      ["an unknown kind", [["Patio", "patio", 0, 0, 200, "ceramic", []]]],
+      ["an unknown surface", [["Kitchen", "kitchen", 0, 0, 200, "marble", []]]],
+      ["an unknown add-on", [["Kitchen", "kitchen", 0, 0, 200, "ceramic", ["glitter"]]]],
+      ["a huge size", [["Kitchen", "kitchen", 0, 0, 1e9, "ceramic", []]]],
+      ["an inherited kind", [["Kitchen", "constructor", 0, 0, 200, "ceramic", []]]],
+    ])("well-formed links with a tile area list that has %s", (_, rows) => {
+      expect(decodeShareHash(forge({ z: "36867", a: [], j: {}, t: rows }), RATES)).toBeNull();
+    });
+
+    test.each([
+      ["not a list", { name: "Unit 1" }],
+      ["a short row", [["Unit 1", {}, []]]],
+      ["a long name", [["U".repeat(200), {}, [], []]]],
+      ["an entry units don't have", [["Unit 1", { "ducts.furnace": true }, [], []]]],
+      ["a bad room row", [["Unit 1", {}, [["Den", 0, 0, 0, "platinum"]], []]]],
+      ["tile areas units don't have", [["Unit 1", {}, [], [["Kitchen", "kitchen", 0, 0, 200, "ceramic", []]]]]],
+    ])("well-formed links with a unit list that has %s", (_, rows) => {
+      expect(decodeShareHash(forge({ z: "36867", a: [], j: {}, u: rows }), RATES)).toBeNull();
+    });
+
+    test("well-formed links with a malformed ZIP or section list", () => {
+      expect(decodeShareHash(forge({ z: 36867, a: [], j: {} }), RATES)).toBeNull();
+      expect(decodeShareHash(forge({ z: "36867", a: "carpet", j: {} }), RATES)).toBeNull();
+    });
+  });
+});
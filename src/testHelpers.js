@@ -0,0 +1,40 @@
+/*
+ * Fixtures shared by the tests.  Not part of the app.
+ */
+import { RATES } from "./rates";
+import { emptyJob, priceQuote } from "./quoteEngine";
+
+// Minimal in-memory stand-in for window.localStorage and
+// window.sessionStorage.  `data` exposes what is stored.
+export const memoryStorage = (initial = {}) => {
+  const data = { ...initial };
+  return {
+    getItem: (k) => (k in data ? data[k] : null),
+    setItem: (k, v) => { data[k] = String(v); },
+    removeItem: (k) => { delete data[k]; },
+    data,
+  };
+};
+
+// The values a lead is built from (see leads.js) for a quote of `rooms`
+// Factory Reset rooms from a customer who agreed to be contacted.
+export const quoteValues = (rooms = 2) => {
+  const job = emptyJob(RATES);
+  job.carpets.rooms.reset = rooms;
+  return {
+    quoteNumber: "JSC-20261019-ABCD",
+    rates: RATES,
+    name: "Pat Lee",
+    phone: "3345550100",
+    email: "pat@example.com",
+    address: "12 Main St",
+    zip: "36867",
+    zone: "local",
+    state: "AL",
+    summary: priceQuote(job, RATES),
+    accessConditions: ["No nearby parking available"],
+    labor: { workMinutes: 70, technicians: 1, onSiteMinutes: 105, travelMinutes: 30 },
+    promoCode: "",
+    consent: { contact: "2026-10-19T14:58:00.000Z", sms: null, marketing: null },
+  };
+};
@@ -0,0 +1,111 @@
+/*
+ * Tile and grout cleaning by area.
+ *
+ * Tile is listed area by area in `job.tileAreaList`, each as
+ *
+ *   { name, kind, length, width, sqft, surface, addOns: { groutSeal, ... } }
+ *
+ * `kind` is a key of `rates.tile.areas` (kitchen floor, shower walls and
+ * so on), each with its own rate per square foot, and `surface` a key of
+ * `rates.tile.surfaces`, whose multiplier raises the rate for harder to
+ * clean tile such as natural stone.  Add-ons from `rates.tile.addOns`
+ * are charged per square foot of the area.  As with carpet rooms, an
+ * area is measured by its length and width in feet or by its square
+ * footage, and the dimensions win when both are given.  Areas without a
+ * size can't be priced and are left off the quote.
+ *
+ * Jobs may still carry a single total in `tileSqft` (quotes from before
+ * the area list); that is priced at `rates.tile.rate`.
+ */
+
+// Most areas on one quote, the longest area name kept, and the largest
+// size accepted for one area.
+export const TILE_AREA_MAX = 30;
+export const TILE_NAME_MAX = 40;
+export const TILE_DIMENSION_MAX = 100;
+export const TILE_SQFT_MAX = 5000;
+
+const round = (n) => Math.round(n * 100) / 100;
+
+// A new area for the list, named after its position, with the first
+// kind and surface of the rate card and no add-ons.
+export function newTileArea(index, rates) {
+  const addOns = {};
+  Object.keys(rates.tile.addOns).forEach((k) => {
+    addOns[k] = false;
+  });
+  return {
+    name: "Area " + (index + 1),
+    kind: Object.keys(rates.tile.areas)[0],
+    length: 0,
+    width: 0,
+    sqft: 0,
+    surface: Object.keys(rates.tile.surfaces)[0],
+    addOns,
+  };
+}
+
+// Square footage of an area, from its dimensions when both are given.
+export function tileAreaSqft(area) {
+  if (area.length > 0 && area.width > 0) return Math.round(area.length * area.width);
+  return area.sqft || 0;
+}
+
+// Price of one area: `{ sqft, rate, cleaning, addOns: { groutSeal, ... },
+// total }`, where `rate` is the rate per square foot after the surface
+// multiplier.
+export function tileAreaPrice(area, rates) {
+  const sqft = tileAreaSqft(area);
+  const rate = round(rates.tile.areas[area.kind].rate * rates.tile.surfaces[area.surface].multiplier);
+  const cleaning = round(sqft * rate);
+  const addOns = {};
+  let total = cleaning;
+  Object.keys(rates.tile.addOns).forEach((k) => {
+    addOns[k] = (area.addOns || {})[k] ? round(sqft * rates.tile.addOns[k].perSqft) : 0;
+    total = total + addOns[k];
+  });
+  return { sqft, rate, cleaning, addOns, total: round(total) };
+}
+
+// The label an area is quoted under, e.g. "Master Bath - Shower Walls,
+// Natural Stone (80 sq ft)".
+export function tileAreaLabel(area, rates) {
+  return area.name + " - " + rates.tile.areas[area.kind].label + ", " + rates.tile.surfaces[area.surface].label +
+    " (" + tileAreaSqft(area) + " sq ft)";
+}
+
+const size = (v, max) => (typeof v === "number" && isFinite(v) && v >= 0 ? Math.min(v, max) : 0);
+const has = (obj, k) => typeof k === "string" && Object.prototype.hasOwnProperty.call(obj, k);
+
+// Bring an area list from an untrusted source in line with `rates`.
+// Entries that aren't areas, or whose kind or surface the rate table
+// doesn't have, are dropped, as are areas past TILE_AREA_MAX.
+export function normalizeTileAreas(list, rates) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .slice(0, TILE_AREA_MAX)
+    .filter((a) => a && typeof a === "object" && has(rates.tile.areas, a.kind) && has(rates.tile.surfaces, a.surface))
+    .map((a, i) => {
+      const addOns = {};
+      Object.keys(rates.tile.addOns).forEach((k) => {
+        addOns[k] = (a.addOns || {})[k] === true;
+      });
+      return {
+        name: typeof a.name === "string" && a.name.trim() ? a.name.trim().slice(0, TILE_NAME_MAX) : newTileArea(i, rates).name,
+        kind: a.kind,
+        length: size(a.length, TILE_DIMENSION_MAX),
+        width: size(a.width, TILE_DIMENSION_MAX),
+        sqft: size(a.sqft, TILE_SQFT_MAX),
+        surface: a.surface,
+        addOns,
+      };
+    });
+}
+
+// Turn a total tile square footage from an older quote into one area of
+// the list, numbered after the `existing` areas.  Returns no areas for
+// an empty total or a full list.
+export function tileAreasFromSqft(sqft, rates, existing = 0) {
+  if (!(sqft > 0) || existing >= TILE_AREA_MAX) return [];
+  return [{ ...newTileArea(existing, rates), name: "Tile", sqft: Math.min(sqft, TILE_SQFT_MAX) }];
+}
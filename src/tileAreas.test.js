@@ -0,0 +1,76 @@
+import { RATES } from "./rates";
+import { newTileArea, normalizeTileAreas, tileAreaLabel, tileAreaPrice, tileAreasFromSqft, tileAreaSqft, TILE_AREA_MAX } from "./tileAreas";
+
+const area = (patch) => ({ ...newTileArea(0, RATES), ...patch });
+
+describe("newTileArea", () => {
+  it("starts with the first kind and surface and no add-ons", () => {
+    expect(newTileArea(2, RATES)).toEqual({
+      name: "Area 3",
+      kind: "floor",
+      length: 0,
+      width: 0,
+      sqft: 0,
+      surface: "ceramic",
+      addOns: { groutSeal: false, colorSeal: false },
+    });
+  });
+});
+
+describe("tileAreaSqft", () => {
+  it("uses the dimensions when both are given", () => {
+    expect(tileAreaSqft(area({ length: 10.5, width: 9, sqft: 300 }))).toBe(95);
+    expect(tileAreaSqft(area({ width: 9, sqft: 300 }))).toBe(300);
+  });
+});
+
+describe("tileAreaPrice", () => {
+  it("charges the area rate raised by the surface multiplier", () => {
+    expect(tileAreaPrice(area({ kind: "kitchen", sqft: 200 }), RATES)).toEqual({
+      sqft: 200,
+      rate: 0.8,
+      cleaning: 160,
+      addOns: { groutSeal: 0, colorSeal: 0 },
+      total: 160,
+    });
+    expect(tileAreaPrice(area({ kind: "shower", length: 8, width: 10, surface: "stone" }), RATES).rate).toBe(2.03);
+  });
+
+  it("charges add-ons per square foot", () => {
+    const price = tileAreaPrice(area({ sqft: 100, surface: "porcelain", addOns: { groutSeal: true, colorSeal: true } }), RATES);
+    expect(price.addOns).toEqual({ groutSeal: 60, colorSeal: 150 });
+    expect(price.total).toBe(293);
+  });
+});
+
+describe("tileAreaLabel", () => {
+  it("names the area, kind, surface and size", () => {
+    expect(tileAreaLabel(area({ name: "Master Bath", kind: "shower", sqft: 80, surface: "stone" }), RATES))
+      .toBe("Master Bath - Shower Walls, Natural Stone (80 sq ft)");
+  });
+});
+
+describe("normalizeTileAreas", () => {
+  it("drops entries the rate card can't price and clamps sizes", () => {
+    const list = [
+      { name: "  Kitchen  ", kind: "kitchen", sqft: 1e9, surface: "porcelain", addOns: { groutSeal: true, glitter: true } },
+      { name: "Patio", kind: "patio", sqft: 100, surface: "ceramic" },
+      { name: "Hall", kind: "floor", sqft: 100, surface: "marble" },
+      null,
+      { kind: "floor", length: -3, width: "9", surface: "ceramic" },
+    ];
+    expect(normalizeTileAreas(list, RATES)).toEqual([
+      { name: "Kitchen", kind: "kitchen", length: 0, width: 0, sqft: 5000, surface: "porcelain", addOns: { groutSeal: true, colorSeal: false } },
+      { name: "Area 2", kind: "floor", length: 0, width: 0, sqft: 0, surface: "ceramic", addOns: { groutSeal: false, colorSeal: false } },
+    ]);
+    expect(normalizeTileAreas("kitchen", RATES)).toEqual([]);
+  });
+});
+
+describe("tileAreasFromSqft", () => {
+  it("turns an older total into one area", () => {
+    expect(tileAreasFromSqft(400, RATES, 1)).toEqual([{ ...newTileArea(1, RATES), name: "Tile", sqft: 400 }]);
+    expect(tileAreasFromSqft(0, RATES)).toEqual([]);
+    expect(tileAreasFromSqft(400, RATES, TILE_AREA_MAX)).toEqual([]);
+  });
+});
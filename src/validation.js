@@ -0,0 +1,79 @@
+/*
+ * Step-level form validation for the quote wizard.
+ *
+ * `validateStep` checks everything a step asks for and returns an object
+ * mapping field names to error messages; an empty object means the step
+ * is complete and the customer may continue.  The wizard shows each
+ * message next to its field.  `firstIncompleteStep` checks a quote is
+ * ready to book, however the customer reached the end of the wizard.
+ */
+
+// A five digit US ZIP code.
+export function isValidZip(zip) {
+  return /^\d{5}$/.test(String(zip || "").trim());
+}
+
+// Format a US phone number as (XXX) XXX-XXXX.  Accepts any punctuation
+// and an optional leading country code of 1.  Returns null when the
+// input does not hold a ten digit number.
+export function normalizePhone(phone) {
+  let digits = String(phone || "").replace(/\D/g, "");
+  if (digits.length === 11 && digits[0] === "1") digits = digits.slice(1);
+  if (digits.length !== 10) return null;
+  return "(" + digits.slice(0, 3) + ") " + digits.slice(3, 6) + "-" + digits.slice(6);
+}
+
+// A plausible email address: something@domain.tld, no spaces.
+export function isValidEmail(email) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(String(email || "").trim());
+}
+
+// Whether a quote has at least one priced service, not counting fees
+// and adjustments.
+export function hasPricedService(summary) {
+  return summary.lines.some((l) => l.service !== "fees");
+}
+
+// Validate the fields of a wizard step.  `values` holds the current
+// form state: zip, address and zoneInfo (from detectZone) for step 1,
+// summary for step 2, and name, phone and email for step 3.  `zone` is
+// the zone the quote will use, which staff may have set by hand.
+export function validateStep(step, values) {
+  const errors = {};
+  if (step === 1) {
+    if (!isValidZip(values.zip)) {
+      errors.zip = "Enter a 5-digit ZIP code.";
+    } else if (!values.zone) {
+      errors.zip = "This ZIP code is outside our service area.";
+    }
+    if (!String(values.address || "").trim()) {
+      errors.address = "Enter the street address where we'll be working.";
+    }
+  }
+  if (step === 2 || step === 4) {
+    if (!hasPricedService(values.summary)) {
+      errors.services = "Add at least one service to your quote.";
+    }
+  }
+  if (step === 3) {
+    if (!String(values.name || "").trim()) {
+      errors.name = "Enter your name.";
+    }
+    if (!normalizePhone(values.phone)) {
+      errors.phone = "Enter a 10-digit phone number.";
+    }
+    if (!isValidEmail(values.email)) {
+      errors.email = "Enter a valid email address.";
+    }
+  }
+  return errors;
+}
+
+// The first of steps 1 to 4 with errors for `values`, or null when the
+// quote is complete: a location in the service area, a priced service
+// and a valid contact.  A quote opened from a link or resumed on a later
+// step may have skipped any of them.
+export function firstIncompleteStep(values) {
+  const step = [1, 2, 3, 4].find((s) => Object.keys(validateStep(s, values)).length > 0);
+  return step === undefined ? null : step;
+}
@@ -0,0 +1,108 @@
+import { RATES } from "./rates";
+import { emptyJob, priceQuote } from "./quoteEngine";
+import { detectZone } from "./serviceArea";
+import { firstIncompleteStep, hasPricedService, isValidEmail, isValidZip, normalizePhone, validateStep } from "./validation";
+
+describe("isValidZip", () => {
+  test.each(["36867", " 31901 "])("accepts %p", (zip) => {
+    expect(isValidZip(zip)).toBe(true);
+  });
+
+  test.each(["", "3686", "368671", "36867-1234", "abcde", undefined])("rejects %p", (zip) => {
+    expect(isValidZip(zip)).toBe(false);
+  });
+});
+
+describe("normalizePhone", () => {
+  test.each([
+    ["3345550100", "(334) 555-0100"],
+    ["334-555-0100", "(334) 555-0100"],
+    ["(334) 555 0100", "(334) 555-0100"],
+    ["+1 334.555.0100", "(334) 555-0100"],
+  ])("formats %p", (input, expected) => {
+    expect(normalizePhone(input)).toBe(expected);
+  });
+
+  test.each(["", "555-0100", "23345550100", "33455501001", undefined])("rejects %p", (input) => {
+    expect(normalizePhone(input)).toBeNull();
+  });
+});
+
+describe("isValidEmail", () => {
+  test.each(["pat@example.com", "pat.lee+quotes@mail.example.org"])("accepts %p", (email) => {
+    expect(isValidEmail(email)).toBe(true);
+  });
+
+  test.each(["", "pat", "pat@", "pat@example", "pat lee@example.com", "pat@example.c"])("rejects %p", (email) => {
+    expect(isValidEmail(email)).toBe(false);
+  });
+});
+
+describe("hasPricedService", () => {
+  test("ignores fees and adjustments", () => {
+    expect(hasPricedService(priceQuote({ ...emptyJob(RATES), zone: "extended" }, RATES))).toBe(false);
+    const job = emptyJob(RATES);
+    job.carpets.rooms.standard = 1;
+    expect(hasPricedService(priceQuote(job, RATES))).toBe(true);
+  });
+});
+
+describe("validateStep", () => {
+  const step1 = (zip, address) => ({ zip, address, zoneInfo: detectZone(zip, RATES), zone: detectZone(zip, RATES).zone });
+
+  test("step 1 needs a ZIP in the service area and an address", () => {
+    expect(validateStep(1, step1("36867", "12 Main St"))).toEqual({});
+    expect(validateStep(1, step1("368", "  "))).toEqual({
+      zip: "Enter a 5-digit ZIP code.",
+      address: "Enter the street address where we'll be working.",
+    });
+    expect(validateStep(1, step1("30303", "12 Main St")).zip).toBe("This ZIP code is outside our service area.");
+  });
+
+  test("step 1 accepts a ZIP missing from the table, for staff to confirm", () => {
+    expect(validateStep(1, step1("90210", "12 Main St"))).toEqual({});
+  });
+
+  test("step 1 accepts a zone set by staff", () => {
+    expect(validateStep(1, { ...step1("30303", "12 Main St"), zone: "extended" })).toEqual({});
+  });
+
+  test("steps 2 and 4 need a priced service", () => {
+    const empty = { summary: priceQuote(emptyJob(RATES), RATES) };
+    expect(validateStep(2, empty)).toEqual({ services: "Add at least one service to your quote." });
+    expect(validateStep(4, empty)).toEqual({ services: "Add at least one service to your quote." });
+    const job = emptyJob(RATES);
+    job.tileSqft = 100;
+    expect(validateStep(2, { summary: priceQuote(job, RATES) })).toEqual({});
+  });
+
+  test("step 3 needs a name, phone and email", () => {
+    expect(validateStep(3, { name: "Pat Lee", phone: "334-555-0100", email: "pat@example.com" })).toEqual({});
+    expect(Object.keys(validateStep(3, { name: " ", phone: "555", email: "pat@" }))).toEqual(["name", "phone", "email"]);
+  });
+});
+
+describe("firstIncompleteStep", () => {
+  const job = emptyJob(RATES);
+  job.tileSqft = 100;
+  const complete = {
+    zip: "36867",
+    address: "12 Main St",
+    zoneInfo: detectZone("36867", RATES),
+    zone: "local",
+    summary: priceQuote(job, RATES),
+    name: "Pat Lee",
+    phone: "334-555-0100",
+    email: "pat@example.com",
+  };
+
+  test("is null once every step is complete", () => {
+    expect(firstIncompleteStep(complete)).toBeNull();
+  });
+
+  test("finds the first step a linked or resumed quote skipped", () => {
+    expect(firstIncompleteStep({ ...complete, name: "", phone: "", email: "" })).toBe(3);
+    expect(firstIncompleteStep({ ...complete, address: "", name: "" })).toBe(1);
+    expect(firstIncompleteStep({ ...complete, summary: priceQuote(emptyJob(RATES), RATES) })).toBe(2);
+  });
+});
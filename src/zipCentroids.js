@@ -0,0 +1,113 @@
+/*
+ * Bundled ZIP code centroids for the Jet Stream Clean service region.
+ *
+ * Each entry maps a five digit ZIP to the approximate latitude and
+ * longitude of its centre.  The list is not complete: it holds the ZIPs
+ * customers in the service area around Fort Mitchell, AL, come from,
+ * plus a few larger cities beyond it so they resolve as out of area.
+ * A ZIP missing from it is still quoted, at the farthest zone, and
+ * flagged for staff to confirm the service area (see serviceArea.js).
+ * Add ZIPs here as new customers come in from them.
+ */
+export const ZIP_CENTROIDS = {
+  // Alabama - Russell County and Phenix City
+  "36856": [32.345, -85.022], // Fort Mitchell
+  "36858": [32.290, -85.300], // Hatchechubbee
+  "36860": [32.240, -85.415], // Hurtsboro
+  "36867": [32.470, -85.000], // Phenix City
+  "36868": [32.470, -85.000], // Phenix City
+  "36869": [32.420, -85.080], // Phenix City
+  "36870": [32.478, -85.101], // Phenix City
+  "36871": [32.180, -85.150], // Pittsview
+  "36874": [32.590, -85.230], // Salem
+  "36875": [32.300, -85.170], // Seale
+  "36877": [32.540, -85.100], // Smiths Station
+  // Alabama - Lee, Chambers and Macon Counties
+  "36801": [32.645, -85.378], // Opelika
+  "36803": [32.650, -85.380], // Opelika
+  "36804": [32.550, -85.350], // Opelika
+  "36830": [32.580, -85.480], // Auburn
+  "36832": [32.600, -85.520], // Auburn
+  "36849": [32.603, -85.487], // Auburn University
+  "36852": [32.760, -85.270], // Cusseta
+  "36854": [32.810, -85.180], // Valley
+  "36855": [33.030, -85.300], // Five Points
+  "36862": [32.900, -85.400], // Lafayette
+  "36865": [32.600, -85.600], // Loachapoka
+  "36863": [32.870, -85.190], // Lanett
+  "36866": [32.560, -85.670], // Notasulga
+  "36879": [32.740, -85.550], // Waverly
+  "36083": [32.424, -85.691], // Tuskegee
+  "36088": [32.430, -85.710], // Tuskegee Institute
+  "36039": [32.280, -85.830], // Hardaway
+  // Alabama - Barbour, Bullock and Henry Counties
+  "36016": [31.710, -85.610], // Clio
+  "36017": [31.878, -85.449], // Clayton
+  "36027": [31.891, -85.145], // Eufaula
+  "36053": [32.150, -85.610], // Midway
+  "36089": [32.150, -85.700], // Union Springs
+  "36310": [31.600, -85.210], // Abbeville
+  "36345": [31.570, -85.250], // Headland
+  // Alabama - Tallapoosa, Elmore, Pike and Montgomery Counties
+  "36010": [31.720, -85.820], // Brundidge
+  "36078": [32.540, -85.890], // Tallassee
+  "36081": [31.810, -85.970], // Troy
+  "36853": [32.830, -85.760], // Dadeville
+  "36861": [32.880, -85.810], // Jacksons Gap
+  "35010": [32.930, -85.950], // Alexander City
+  "36092": [32.600, -86.200], // Wetumpka
+  "36104": [32.380, -86.300], // Montgomery
+  "36105": [32.300, -86.300], // Montgomery
+  "36106": [32.350, -86.260], // Montgomery
+  "36107": [32.380, -86.270], // Montgomery
+  "36108": [32.340, -86.350], // Montgomery
+  "36109": [32.380, -86.240], // Montgomery
+  "36110": [32.420, -86.260], // Montgomery
+  "36111": [32.340, -86.270], // Montgomery
+  "36116": [32.300, -86.220], // Montgomery
+  "36117": [32.370, -86.140], // Montgomery
+  // Alabama - beyond the extended zone
+  "36066": [32.470, -86.450], // Prattville
+  "36203": [33.600, -85.830], // Oxford
+  "36301": [31.200, -85.400], // Dothan
+  "35203": [33.520, -86.810], // Birmingham
+  // Georgia - Columbus and Muscogee County
+  "31901": [32.465, -84.980], // Columbus
+  "31903": [32.420, -84.950], // Columbus
+  "31904": [32.520, -84.970], // Columbus
+  "31905": [32.360, -84.950], // Fort Moore
+  "31906": [32.470, -84.950], // Columbus
+  "31907": [32.480, -84.900], // Columbus
+  "31909": [32.550, -84.930], // Columbus
+  // Georgia - Harris, Chattahoochee, Talbot and Stewart Counties
+  "31803": [32.320, -84.520], // Buena Vista
+  "31804": [32.640, -84.880], // Cataula
+  "31805": [32.300, -84.770], // Cusseta
+  "31808": [32.630, -85.010], // Fortson
+  "31811": [32.760, -84.880], // Hamilton
+  "31815": [32.050, -84.800], // Lumpkin
+  "31816": [32.860, -84.620], // Manchester
+  "31820": [32.580, -84.830], // Midland
+  "31822": [32.860, -84.860], // Pine Mountain
+  "31825": [32.090, -84.670], // Richland
+  "31827": [32.690, -84.520], // Talbotton
+  "31829": [32.560, -84.740], // Upatoi
+  "31830": [32.890, -84.680], // Warm Springs
+  "31831": [32.680, -84.740], // Waverly Hall
+  "31833": [32.880, -85.180], // West Point
+  "39854": [31.880, -85.100], // Georgetown
+  "39840": [31.770, -84.790], // Cuthbert
+  // Georgia - Troup, Meriwether, Heard and Sumter Counties
+  "30217": [33.280, -85.100], // Franklin
+  "30222": [33.030, -84.710], // Greenville
+  "30230": [33.170, -84.920], // Hogansville
+  "30240": [33.040, -85.030], // LaGrange
+  "30241": [32.990, -84.990], // LaGrange
+  "31709": [32.070, -84.230], // Americus
+  "31780": [32.030, -84.390], // Plains
+  "30263": [33.380, -84.800], // Newnan
+  "31701": [31.580, -84.160], // Albany
+  // Georgia - beyond the extended zone
+  "30303": [33.750, -84.390], // Atlanta
+  "31201": [32.840, -83.630], // Macon
+};
@@ -0,0 +1,77 @@
+/*
+ * ZIP prefix to state lookup.
+ *
+ * The first three digits of a US ZIP code identify the state it belongs
+ * to.  ZIP_PREFIX_STATES lists inclusive prefix ranges for each state;
+ * `stateForZip` resolves a ZIP against it.  The table is bundled so the
+ * lookup works offline.
+ */
+export const ZIP_PREFIX_STATES = [
+  [5, 5, "NY"],
+  [6, 7, "PR"],
+  [8, 8, "VI"],
+  [9, 9, "PR"],
+  [10, 27, "MA"],
+  [28, 29, "RI"],
+  [30, 38, "NH"],
+  [39, 49, "ME"],
+  [50, 59, "VT"],
+  [60, 69, "CT"],
+  [70, 89, "NJ"],
+  [100, 149, "NY"],
+  [150, 196, "PA"],
+  [197, 199, "DE"],
+  [200, 205, "DC"],
+  [206, 219, "MD"],
+  [220, 246, "VA"],
+  [247, 268, "WV"],
+  [270, 289, "NC"],
+  [290, 299, "SC"],
+  [300, 319, "GA"],
+  [320, 349, "FL"],
+  [350, 369, "AL"],
+  [370, 385, "TN"],
+  [386, 397, "MS"],
+  [398, 399, "GA"],
+  [400, 427, "KY"],
+  [430, 459, "OH"],
+  [460, 479, "IN"],
+  [480, 499, "MI"],
+  [500, 528, "IA"],
+  [530, 549, "WI"],
+  [550, 567, "MN"],
+  [570, 577, "SD"],
+  [580, 588, "ND"],
+  [590, 599, "MT"],
+  [600, 629, "IL"],
+  [630, 658, "MO"],
+  [660, 679, "KS"],
+  [680, 693, "NE"],
+  [700, 714, "LA"],
+  [716, 729, "AR"],
+  [730, 749, "OK"],
+  [750, 799, "TX"],
+  [800, 816, "CO"],
+  [820, 831, "WY"],
+  [832, 838, "ID"],
+  [840, 847, "UT"],
+  [850, 865, "AZ"],
+  [870, 884, "NM"],
+  [885, 885, "TX"],
+  [889, 898, "NV"],
+  [900, 961, "CA"],
+  [967, 968, "HI"],
+  [970, 979, "OR"],
+  [980, 994, "WA"],
+  [995, 999, "AK"],
+];
+
+// Two-letter state code for a five digit ZIP, or null when the ZIP is
+// incomplete or its prefix is not assigned to a state.
+export function stateForZip(zip) {
+  const z = String(zip || "").trim();
+  if (!/^\d{5}$/.test(z)) return null;
+  const prefix = parseInt(z.slice(0, 3), 10);
+  const match = ZIP_PREFIX_STATES.find(([lo, hi]) => prefix >= lo && prefix <= hi);
+  return match ? match[2] : null;
+}
@@ -0,0 +1,28 @@
+import { stateForZip } from "./zipStates";
+
+describe("stateForZip", () => {
+  test.each([
+    ["36856", "AL"],
+    ["35203", "AL"],
+    ["31901", "GA"],
+    ["39854", "GA"],
+    ["32501", "FL"],
+    ["38655", "MS"],
+    ["37203", "TN"],
+  ])("resolves %s to %s", (zip, state) => {
+    expect(stateForZip(zip)).toBe(state);
+  });
+
+  test("ignores surrounding whitespace", () => {
+    expect(stateForZip(" 36867 ")).toBe("AL");
+  });
+
+  test.each(["", "3686", "abcde", undefined])("returns null for incomplete ZIP %p", (zip) => {
+    expect(stateForZip(zip)).toBeNull();
+  });
+
+  test("returns null for unassigned prefixes", () => {
+    expect(stateForZip("00100")).toBeNull();
+    expect(stateForZip("71500")).toBeNull();
+  });
+});